@@ -1,3 +1,24 @@
 'use strict';
 
-module.exports = require('./lib/futar');
\ No newline at end of file
+module.exports = require('./lib/futar');
+module.exports.references = require('./lib/references');
+module.exports.transport = require('./lib/transport');
+module.exports.cache = require('./lib/cache');
+module.exports.watcher = require('./lib/watcher');
+module.exports.poller = require('./lib/poller');
+module.exports.errors = require('./lib/errors');
+module.exports.gtfsrt = require('./lib/gtfsrt');
+module.exports.itinerary = require('./lib/itinerary');
+module.exports.polyline = require('./lib/polyline');
+module.exports.geo = require('./lib/geo');
+module.exports.bikeshare = require('./lib/bikeshare');
+module.exports.alerts = require('./lib/alerts');
+module.exports.timetable = require('./lib/timetable');
+module.exports.route = require('./lib/route');
+module.exports.server = require('./lib/server');
+module.exports.fixtures = require('./lib/fixtures');
+module.exports.params = require('./lib/params');
+module.exports.gtfs = require('./lib/gtfs');
+module.exports.metrics = require('./lib/metrics');
+module.exports.debug = require('./lib/debug');
+module.exports.board = require('./lib/board');
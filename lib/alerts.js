@@ -0,0 +1,279 @@
+'use strict';
+
+const { Poller } = require('./poller');
+
+const DEFAULT_LANG = 'hu';
+const DEFAULT_INTERVAL = 60 * 1000;
+const DEFAULT_MAX_BACKOFF = 10 * 60 * 1000;
+
+/**
+ * Többnyelvű szöveg fordítása a kért nyelvre
+ * Ha a kért nyelven nincs fordítás, a magyar, majd bármely elérhető változattal tér vissza.
+ * @param {object} text a Futár API többnyelvű szövege ({ translations, someTranslation })
+ * @param {string} [lang = 'hu'] a kért nyelv (hu, en)
+ * @return {string}
+ */
+function translate(text, lang) {
+    if (!text) return '';
+    if (typeof text === 'string') return text;
+
+    const translations = text.translations || {};
+    return translations[lang || DEFAULT_LANG] ||
+        translations[DEFAULT_LANG] ||
+        text.someTranslation ||
+        Object.keys(translations).map(key => translations[key])[0] ||
+        '';
+}
+
+/**
+ * Egy forgalmi változás
+ */
+class Alert {
+    /**
+     * @param {object} raw a forgalmi változás nyers adatai a válasz referenciáiból
+     * @param {object} [refs] a válasz referenciái, a közlekedési módok meghatározásához
+     * @param {object} [opts] beállítások
+     * @param {string} [opts.lang = 'hu'] a szövegek alapértelmezett nyelve
+     * @param {function(): number} [opts.clock = Date.now] az aktuális időt (ezredmásodperc) adó függvény
+     */
+    constructor(raw, refs, opts) {
+        Object.defineProperty(this, 'raw', { value: raw });
+        Object.defineProperty(this, 'refs', { value: refs || {} });
+        Object.defineProperty(this, 'clock', { value: (opts && opts.clock) || Date.now });
+
+        this.id = raw.id;
+        this.lang = (opts && opts.lang) || DEFAULT_LANG;
+        this.start = raw.start ? new Date(raw.start * 1000) : null;
+        this.end = raw.end ? new Date(raw.end * 1000) : null;
+        this.modified = raw.modifiedTime ? new Date(raw.modifiedTime * 1000) : null;
+    }
+
+    /**
+     * Egy szöveges mező a kért nyelven
+     * @param {string} field a mező neve (header, description, url, startText, endText)
+     * @param {string} [lang = this.lang] a kért nyelv
+     * @return {string}
+     */
+    text(field, lang) {
+        return translate(this.raw[field], lang || this.lang);
+    }
+
+    /** @return {string} a forgalmi változás címe */
+    get header() {
+        return this.text('header');
+    }
+
+    /** @return {string} a forgalmi változás leírása */
+    get description() {
+        return this.text('description');
+    }
+
+    /** @return {string} a részletes leírás címe */
+    get url() {
+        return this.text('url');
+    }
+
+    /**
+     * Az érintett viszonylatok azonosítói
+     * @return {string[]}
+     */
+    get routeIds() {
+        const ids = (this.raw.routeIds || []).concat((this.raw.routes || []).map(route => route.routeId));
+        return ids.filter((id, index) => id && ids.indexOf(id) === index);
+    }
+
+    /**
+     * Az érintett megállók azonosítói
+     * @return {string[]}
+     */
+    get stopIds() {
+        let ids = this.raw.stopIds || [];
+        (this.raw.routes || []).forEach(route => {
+            ids = ids.concat(route.stopIds || []);
+        });
+        return ids.filter((id, index) => id && ids.indexOf(id) === index);
+    }
+
+    /**
+     * Az érintett viszonylatok közlekedési módjai (BUS, TRAM, TROLLEYBUS, SUBWAY, RAIL, FERRY)
+     * @return {string[]}
+     */
+    get modes() {
+        const routes = this.refs.routes || {};
+        const modes = this.routeIds
+            .map(id => routes[id] && routes[id].type)
+            .filter(Boolean);
+        return modes.filter((mode, index) => modes.indexOf(mode) === index);
+    }
+
+    /**
+     * Érvényes-e a forgalmi változás az adott időpontban
+     * @param {(Date|number)} [time = most] az időpont (Date vagy ezredmásodperc)
+     * @return {boolean}
+     */
+    activeAt(time) {
+        const ms = time === undefined ? this.clock() : +time;
+        if (this.start && ms < this.start.getTime()) return false;
+        if (this.end && ms >= this.end.getTime()) return false;
+        return true;
+    }
+
+    /**
+     * Érinti-e a forgalmi változás a megadott viszonylatot, megállót, illetve közlekedési módot
+     * Több feltétel esetén mindegyiknek teljesülnie kell.
+     * @param {object} filter a feltételek
+     * @param {string} [filter.routeId] a viszonylat azonosítója
+     * @param {string} [filter.stopId] a megálló azonosítója
+     * @param {string} [filter.mode] a közlekedési mód
+     * @return {boolean}
+     */
+    affects(filter) {
+        const { routeId, stopId, mode } = filter || {};
+
+        if (routeId !== undefined && this.routeIds.indexOf(routeId) === -1) return false;
+        if (stopId !== undefined && this.stopIds.indexOf(stopId) === -1) return false;
+        if (mode !== undefined && this.modes.indexOf(mode) === -1) return false;
+        return true;
+    }
+}
+
+/**
+ * Forgalmi változások gyűjteménye egy alertSearch (vagy bármely más, alerts referenciákat tartalmazó) válaszból
+ */
+class Alerts {
+    /**
+     * @param {object} data a Futár API válasza
+     * @param {object} [opts] beállítások
+     * @param {string} [opts.lang = 'hu'] a szövegek alapértelmezett nyelve
+     * @param {function(): number} [opts.clock = Date.now] az aktuális időt (ezredmásodperc) adó függvény
+     */
+    constructor(data, opts) {
+        data = (data && data.raw) || data || {};
+        Object.defineProperty(this, 'raw', { value: data });
+
+        const refs = data.references || {};
+        const alerts = refs.alerts || {};
+        const ids = (data.entry && data.entry.alertIds) || Object.keys(alerts);
+
+        this.alerts = ids
+            .filter(id => alerts[id])
+            .map(id => new Alert(alerts[id], refs, opts));
+    }
+
+    /** @return {number} a forgalmi változások száma */
+    get length() {
+        return this.alerts.length;
+    }
+
+    /**
+     * Egy forgalmi változás azonosító alapján
+     * @param {string} id a forgalmi változás azonosítója
+     * @return {?Alert}
+     */
+    get(id) {
+        return this.alerts.find(alert => alert.id === id) || null;
+    }
+
+    /**
+     * A feltételeknek megfelelő forgalmi változások
+     * @param {object} filter a feltételek
+     * @param {string} [filter.routeId] az érintett viszonylat azonosítója
+     * @param {string} [filter.stopId] az érintett megálló azonosítója
+     * @param {string} [filter.mode] az érintett közlekedési mód
+     * @param {(Date|number)} [filter.activeAt] az időpont, melyben érvényesnek kell lennie
+     * @return {Alert[]}
+     */
+    filter(filter) {
+        const activeAt = (filter || {}).activeAt;
+
+        return this.alerts
+            .filter(alert => alert.affects(filter))
+            .filter(alert => activeAt === undefined || alert.activeAt(activeAt));
+    }
+
+    /**
+     * Az adott időpontban érvényes forgalmi változások
+     * @param {(Date|number)} [time = most] az időpont
+     * @return {Alert[]}
+     */
+    active(time) {
+        return this.alerts.filter(alert => alert.activeAt(time));
+    }
+}
+
+/**
+ * Forgalmi változások folyamatos figyelése
+ *
+ * Események:
+ * - published: új forgalmi változás jelent meg (alert), az első lekérdezéskor már meglévő változások nem váltanak ki eseményt
+ * - updated: módosult egy forgalmi változás (alert, previous)
+ * - expired: egy forgalmi változás lejárt vagy eltűnt a listából (alert)
+ * - update: minden sikeres lekérdezés után (alerts)
+ * - error: sikertelen lekérdezés (err)
+ * - stop: a figyelés leállt
+ */
+class AlertMonitor extends Poller {
+    /**
+     * @param {Futar} futar a lekérdezésekhez használt Futár kliens
+     * @param {object} [opts] a figyelés beállításai
+     * @param {string} [opts.query] a megálló azonosítója, melyet érintő forgalmi változások figyelendők
+     * @param {string} [opts.lang] a szövegek alapértelmezett nyelve
+     * @param {number} [opts.interval = 60000] a lekérdezési időköz ezredmásodpercben
+     * @param {number} [opts.maxBackoff = 600000] a hibák utáni várakozás felső korlátja ezredmásodpercben
+     */
+    constructor(futar, opts) {
+        const { query, lang, interval, maxBackoff } = opts || {};
+        super({ interval: interval || DEFAULT_INTERVAL, maxBackoff: maxBackoff || DEFAULT_MAX_BACKOFF });
+
+        this.futar = futar;
+        this.query = query || '';
+        this.lang = lang;
+        this.alerts = new Map();
+        this.polled = false;
+    }
+
+    _fetch() {
+        return this.futar.alertSearch({ query: this.query, includeReferences: true, hydrate: false, model: false });
+    }
+
+    _handle(data) {
+        const clock = this.futar.config.clock;
+        const alerts = new Alerts(data, { lang: this.lang || this.futar.config.lang, clock });
+        const now = clock();
+
+        const current = new Map();
+        alerts.alerts
+            .filter(alert => !alert.end || alert.end.getTime() > now)
+            .forEach(alert => current.set(alert.id, alert));
+
+        // az első lekérdezés csak kiindulási állapot, a már meglévő forgalmi változások nem számítanak újnak
+        if (this.polled) {
+            current.forEach((alert, id) => {
+                const previous = this.alerts.get(id);
+                if (!previous) this.emit('published', alert);
+                else if (modified(previous, alert)) this.emit('updated', alert, previous);
+            });
+
+            this.alerts.forEach((alert, id) => {
+                if (!current.has(id)) this.emit('expired', alert);
+            });
+        }
+
+        this.alerts = current;
+        this.polled = true;
+        this.emit('update', alerts);
+    }
+}
+
+function modified(previous, alert) {
+    if (previous.raw.modifiedTime !== alert.raw.modifiedTime) return true;
+    return ['start', 'end'].some(key => previous.raw[key] !== alert.raw[key]) ||
+        ['header', 'description', 'url'].some(key => JSON.stringify(previous.raw[key]) !== JSON.stringify(alert.raw[key]));
+}
+
+module.exports = {
+    translate,
+    Alert,
+    Alerts,
+    AlertMonitor
+};
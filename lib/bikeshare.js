@@ -0,0 +1,249 @@
+'use strict';
+
+const geo = require('./geo');
+const { Poller } = require('./poller');
+
+const DEFAULT_INTERVAL = 60 * 1000;
+const DEFAULT_MAX_BACKOFF = 10 * 60 * 1000;
+
+/**
+ * Egy Bubi állomás
+ */
+class Station {
+    /**
+     * @param {object} raw az állomás nyers adatai a bicycleRental válaszából
+     */
+    constructor(raw) {
+        Object.defineProperty(this, 'raw', { value: raw });
+
+        const bikes = first(raw.bikes, raw.bikesAvailable, 0);
+        const capacity = first(raw.capacity, raw.slots, null);
+
+        this.id = raw.id;
+        this.name = raw.name;
+        this.lat = first(raw.lat, raw.y);
+        this.lon = first(raw.lon, raw.x);
+        this.bikes = bikes;
+        this.docks = first(raw.spaces, raw.spacesAvailable, raw.docks, capacity !== null ? capacity - bikes : null);
+        this.capacity = capacity;
+    }
+
+    /**
+     * Nincs elvihető kerékpár az állomáson
+     * @return {boolean}
+     */
+    get empty() {
+        return this.bikes === 0;
+    }
+
+    /**
+     * Nincs szabad dokkoló az állomáson
+     * @return {boolean}
+     */
+    get full() {
+        return this.docks === 0;
+    }
+
+    /**
+     * Az állomás GeoJSON Feature formában
+     * @return {object}
+     */
+    toGeoJSON() {
+        return {
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [this.lon, this.lat] },
+            properties: {
+                id: this.id,
+                name: this.name,
+                bikes: this.bikes,
+                docks: this.docks,
+                capacity: this.capacity
+            }
+        };
+    }
+}
+
+/**
+ * A Bubi közbringa rendszer egy pillanatnyi állapota
+ */
+class BikeShare {
+    /**
+     * @param {object} data a bicycleRental válasza
+     * @param {object} [opts] beállítások
+     * @param {function(): number} [opts.clock = Date.now] az aktuális időt (ezredmásodperc) adó függvény
+     */
+    constructor(data, opts) {
+        data = (data && data.raw) || data || {};
+        Object.defineProperty(this, 'raw', { value: data });
+
+        const entry = data.entry || {};
+        const list = data.list || entry.stations || entry.list || data.stations || [];
+
+        this.stations = list.map(station => new Station(station));
+        this.time = ((opts && opts.clock) || Date.now)();
+    }
+
+    /**
+     * Egy állomás azonosító alapján
+     * @param {string} id az állomás azonosítója
+     * @return {?Station}
+     */
+    station(id) {
+        return this.stations.find(station => station.id === id) || null;
+    }
+
+    /**
+     * A legközelebbi állomások, melyeken legalább a megadott számú kerékpár, illetve szabad dokkoló van
+     * @param {{ lat: number, lon: number }} location a hely
+     * @param {object} [opts] a keresés feltételei
+     * @param {number} [opts.minBikes = 0] az elvihető kerékpárok minimális száma
+     * @param {number} [opts.minDocks = 0] a szabad dokkolók minimális száma
+     * @param {number} [opts.maxDistance] a maximális távolság méterben
+     * @param {number} [opts.limit = 5] a visszaadott állomások maximális száma
+     * @return {Array<{ station: Station, distance: number }>} az állomások távolság szerint rendezve
+     */
+    nearest(location, opts) {
+        const { minBikes, minDocks, maxDistance, limit } = opts || {};
+
+        return this.stations
+            .filter(station => station.bikes >= (minBikes || 0))
+            .filter(station => minDocks === undefined || (station.docks !== null && station.docks >= minDocks))
+            .map(station => ({ station, distance: geo.distance(location, station) }))
+            .filter(result => maxDistance === undefined || result.distance <= maxDistance)
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, limit || 5);
+    }
+
+    /**
+     * Az állomások GeoJSON FeatureCollection formában
+     * @return {object}
+     */
+    toGeoJSON() {
+        return {
+            type: 'FeatureCollection',
+            features: this.stations.map(station => station.toGeoJSON())
+        };
+    }
+
+    /**
+     * Változások egy korábbi állapothoz képest
+     * @param {BikeShare} previous a korábbi állapot
+     * @return {BikeShare~diff}
+     */
+    diff(previous) {
+        return BikeShare.diff(previous, this);
+    }
+
+    /**
+     * Két állapot közötti változások
+     * @param {BikeShare} previous a korábbi állapot
+     * @param {BikeShare} current az újabb állapot
+     * @return {BikeShare~diff}
+     */
+    static diff(previous, current) {
+        const before = new Map(previous.stations.map(station => [station.id, station]));
+        const after = new Map(current.stations.map(station => [station.id, station]));
+
+        const result = {
+            becameEmpty: [],
+            becameFull: [],
+            noLongerEmpty: [],
+            noLongerFull: [],
+            changed: [],
+            added: [],
+            removed: []
+        };
+
+        after.forEach((station, id) => {
+            const old = before.get(id);
+            if (!old) return result.added.push(station);
+
+            if (station.empty && !old.empty) result.becameEmpty.push(station);
+            if (!station.empty && old.empty) result.noLongerEmpty.push(station);
+            if (station.full && !old.full) result.becameFull.push(station);
+            if (!station.full && old.full) result.noLongerFull.push(station);
+            if (station.bikes !== old.bikes || station.docks !== old.docks) result.changed.push({ station, previous: old });
+        });
+
+        before.forEach((station, id) => {
+            if (!after.has(id)) result.removed.push(station);
+        });
+
+        return result;
+    }
+}
+
+/**
+ * Két állapot közötti változások
+ * @typedef {object} BikeShare~diff
+ * @property {Station[]} becameEmpty a kiürült állomások
+ * @property {Station[]} becameFull a megtelt állomások
+ * @property {Station[]} noLongerEmpty a már nem üres állomások
+ * @property {Station[]} noLongerFull a már nem teli állomások
+ * @property {Array<{ station: Station, previous: Station }>} changed a megváltozott kerékpár- vagy dokkolószámú állomások
+ * @property {Station[]} added az új állomások
+ * @property {Station[]} removed a megszűnt állomások
+ */
+
+/**
+ * A Bubi állomások folyamatos figyelése
+ *
+ * Események:
+ * - empty: egy állomás kiürült (station)
+ * - full: egy állomás megtelt (station)
+ * - available: egy üres állomáson ismét van kerékpár (station)
+ * - docksAvailable: egy teli állomáson ismét van szabad dokkoló (station)
+ * - diff: minden lekérdezés után, ha volt korábbi állapot (diff)
+ * - update: minden sikeres lekérdezés után (bikeShare)
+ * - error: sikertelen lekérdezés (err)
+ * - stop: a figyelés leállt
+ */
+class BikeShareWatcher extends Poller {
+    /**
+     * @param {Futar} futar a lekérdezésekhez használt Futár kliens
+     * @param {object} [opts] a figyelés beállításai
+     * @param {number} [opts.interval = 60000] a lekérdezési időköz ezredmásodpercben
+     * @param {number} [opts.maxBackoff = 600000] a hibák utáni várakozás felső korlátja ezredmásodpercben
+     */
+    constructor(futar, opts) {
+        const { interval, maxBackoff } = opts || {};
+        super({ interval: interval || DEFAULT_INTERVAL, maxBackoff: maxBackoff || DEFAULT_MAX_BACKOFF });
+
+        this.futar = futar;
+        this.current = null;
+    }
+
+    _fetch() {
+        return this.futar.bicycleRental({ model: false });
+    }
+
+    _handle(data) {
+        const bikeShare = new BikeShare(data, { clock: this.futar.config.clock });
+        const previous = this.current;
+        this.current = bikeShare;
+
+        if (previous) {
+            const diff = bikeShare.diff(previous);
+            diff.becameEmpty.forEach(station => this.emit('empty', station));
+            diff.becameFull.forEach(station => this.emit('full', station));
+            diff.noLongerEmpty.forEach(station => this.emit('available', station));
+            diff.noLongerFull.forEach(station => this.emit('docksAvailable', station));
+            this.emit('diff', diff);
+        }
+
+        this.emit('update', bikeShare);
+    }
+}
+
+function first() {
+    for (let i = 0; i < arguments.length; i++) {
+        if (arguments[i] !== undefined && arguments[i] !== null) return arguments[i];
+    }
+    return null;
+}
+
+module.exports = {
+    BikeShare,
+    BikeShareWatcher,
+    Station
+};
@@ -0,0 +1,354 @@
+'use strict';
+
+const moment = require('moment-timezone');
+const { toDeparture } = require('./watcher');
+const { Alert } = require('./alerts');
+const { TIMEZONE } = require('./timetable');
+
+const DEFAULT_LIMIT = 20;
+
+/**
+ * A kijelző szövegei nyelvenként
+ */
+const LABELS = {
+    hu: {
+        route: 'Járat',
+        headsign: 'Irány',
+        time: 'Indul',
+        due: 'Perc',
+        delay: 'Késés',
+        now: 'most',
+        minutes: n => `${n} perc`,
+        accessible: 'Akadálymentes',
+        scheduled: 'menetrend szerinti időpont',
+        offline: 'A valós idejű adatok nem érhetők el, a menetrend szerinti időpontok láthatók.',
+        empty: 'Nincs induló járat.'
+    },
+    en: {
+        route: 'Route',
+        headsign: 'Direction',
+        time: 'Departs',
+        due: 'Min',
+        delay: 'Delay',
+        now: 'now',
+        minutes: n => `${n} min`,
+        accessible: 'Wheelchair accessible',
+        scheduled: 'scheduled time',
+        offline: 'Realtime data is unavailable, showing scheduled times.',
+        empty: 'No departures.'
+    }
+};
+
+const WHEELCHAIR = '♿';
+const ALERT = '⚠';
+
+const ANSI = {
+    reset: '\u001b[0m',
+    bold: '\u001b[1m',
+    dim: '\u001b[2m',
+    red: '\u001b[31m',
+    green: '\u001b[32m',
+    yellow: '\u001b[33m',
+    cyan: '\u001b[36m'
+};
+
+/**
+ * Egy indulás a kijelzőn
+ * @typedef {object} Board~row
+ * @property {string} id a menet és az üzemnap azonosítója
+ * @property {string} routeId a viszonylat azonosítója
+ * @property {string} route a viszonylat rövid neve
+ * @property {?string} color a viszonylat színe (RRGGBB)
+ * @property {?string} textColor a viszonylat szövegszíne (RRGGBB)
+ * @property {string} headsign az úticél
+ * @property {number} time az indulás várható ideje (unix timestamp)
+ * @property {string} clock az indulás ideje 'HH:mm' formában
+ * @property {number} minutes az indulásig hátralévő egész percek száma (legalább 0)
+ * @property {string} due az indulásig hátralévő idő szövegesen ('most', '3 perc')
+ * @property {boolean} realtime valós idejű előrejelzés
+ * @property {?number} delay a késés percben (negatív: korábban indul), ha legalább egy perc
+ * @property {boolean} wheelchairAccessible akadálymentes jármű
+ */
+
+/**
+ * Egy megálló induló járatainak kijelzője egy arrivalsAndDeparturesForStop (vagy arrivalsAndDeparturesForStops) válaszból
+ * A formázás csak a válaszon és a megadott időponton múlik, így azonos bemenetre azonos kimenetet ad.
+ *
+ * @example
+ * const data = await futar.arrivalsAndDeparturesForStop('BKK_F01227');
+ * console.log(new Board(data, { lang: 'en' }).toANSI());
+ */
+class Board {
+    /**
+     * @param {object} data az arrivalsAndDeparturesForStop válasza (nyers vagy hydrate-elt)
+     * @param {object} [opts] beállítások
+     * @param {string} [opts.lang = 'hu'] a feliratok nyelve (hu, en)
+     * @param {(Date|number)} [opts.now = most] a hátralévő idők számításának időpontja (Date vagy ezredmásodperc)
+     * @param {number} [opts.limit = 20] a megjelenített indulások maximális száma
+     * @param {string} [opts.title] a kijelző címe, alapértelmezetten a megálló neve
+     * @param {boolean} [opts.relative = true] a hátralévő idő megjelenítése
+     * @param {boolean} [opts.absolute = true] az indulás idejének megjelenítése
+     * @param {string} [opts.timezone = 'Europe/Budapest'] az időpontok időzónája
+     */
+    constructor(data, opts) {
+        const { lang, now, limit, title, relative, absolute, timezone } = opts || {};
+        data = (data && data.raw) || data || {};
+
+        const entry = data.entry || {};
+        const refs = data.references || {};
+        const time = (now === undefined ? Date.now() : +now) / 1000;
+
+        Object.defineProperty(this, 'raw', { value: data });
+
+        this.lang = LABELS[lang] ? lang : 'hu';
+        this.labels = LABELS[this.lang];
+        this.timezone = timezone || TIMEZONE;
+        this.relative = relative !== false;
+        this.absolute = absolute !== false;
+        this.offline = data.realtime === false || Boolean(data.offline);
+        this.title = title !== undefined ? title : stopTitle(entry, refs);
+
+        this.rows = (entry.stopTimes || [])
+            .map(stopTime => this._row(stopTime, refs, time))
+            .filter(row => row.time >= time - 60)
+            .sort((a, b) => a.time - b.time)
+            .slice(0, limit || DEFAULT_LIMIT);
+
+        // a megállót érintő, éppen érvényes forgalmi változások címei
+        this.alerts = (entry.alertIds || [])
+            .map(id => (refs.alerts || {})[id])
+            .filter(Boolean)
+            .map(raw => new Alert(raw, refs, { lang: this.lang }))
+            .filter(alert => alert.activeAt(time * 1000))
+            .map(alert => alert.header);
+    }
+
+    /**
+     * A kijelző formázása
+     * @param {string} [format = 'text'] a formátum (text, ansi, html)
+     * @return {string}
+     */
+    render(format) {
+        if (format === 'ansi') return this.toANSI();
+        if (format === 'html') return this.toHTML();
+        return this.toText();
+    }
+
+    /**
+     * A kijelző egyszerű szövegként, igazított oszlopokkal
+     * @return {string}
+     */
+    toText() {
+        return this._lines(false).join('\n') + '\n';
+    }
+
+    /**
+     * A kijelző ANSI színkódokkal, a viszonylatok saját színeivel (24 bites színeket támogató terminálokhoz)
+     * @return {string}
+     */
+    toANSI() {
+        return this._lines(true).join('\n') + '\n';
+    }
+
+    /**
+     * A kijelző HTML töredékként, futar-board CSS osztályokkal
+     * @return {string}
+     */
+    toHTML() {
+        const labels = this.labels;
+        const columns = this._columns();
+        const lines = [`<div class="futar-board" lang="${this.lang}">`];
+
+        if (this.title) lines.push(`  <h2 class="futar-board__title">${escape(this.title)}</h2>`);
+        if (this.offline) lines.push(`  <div class="futar-board__notice" role="status">${escape(labels.offline)}</div>`);
+        this.alerts.forEach(alert => lines.push(`  <div class="futar-board__alert" role="alert">${ALERT} ${escape(alert)}</div>`));
+
+        if (!this.rows.length) {
+            lines.push(`  <p class="futar-board__empty">${escape(labels.empty)}</p>`, '</div>');
+            return lines.join('\n') + '\n';
+        }
+
+        lines.push('  <table>', '    <thead>', '      <tr>');
+        columns.forEach(column => lines.push(`        <th class="futar-board__${column}">${escape(this._header(column))}</th>`));
+        lines.push('      </tr>', '    </thead>', '    <tbody>');
+
+        this.rows.forEach(row => {
+            const classes = ['futar-board__row', row.realtime ? 'futar-board__row--realtime' : 'futar-board__row--scheduled'];
+            if (row.delay > 0) classes.push('futar-board__row--late');
+            if (row.delay < 0) classes.push('futar-board__row--early');
+
+            lines.push(`      <tr class="${classes.join(' ')}">`);
+            columns.forEach(column => lines.push(`        <td class="futar-board__${column}">${this._htmlCell(row, column)}</td>`));
+            lines.push('      </tr>');
+        });
+
+        lines.push('    </tbody>', '  </table>');
+        if (this.rows.some(row => !row.realtime)) {
+            lines.push(`  <p class="futar-board__legend">* ${escape(labels.scheduled)}</p>`);
+        }
+        lines.push('</div>');
+
+        return lines.join('\n') + '\n';
+    }
+
+    _row(stopTime, refs, now) {
+        const departure = toDeparture(stopTime, refs);
+        const route = departure.route || {};
+        const trip = departure.trip || {};
+        const minutes = Math.max(Math.floor((departure.time - now) / 60), 0);
+        const delay = departure.delay !== null ? Math.round(departure.delay / 60) : 0;
+
+        return {
+            id: departure.id,
+            routeId: departure.routeId,
+            route: route.shortName || departure.routeId || '',
+            color: hexColor(route.color),
+            textColor: hexColor(route.textColor),
+            headsign: departure.headsign || '',
+            time: departure.time,
+            clock: moment.unix(departure.time).tz(this.timezone).format('HH:mm'),
+            minutes,
+            due: minutes < 1 ? this.labels.now : this.labels.minutes(minutes),
+            realtime: departure.realtime,
+            delay: delay ? delay : null,
+            wheelchairAccessible: Boolean(stopTime.wheelchairAccessible || trip.wheelchairAccessible)
+        };
+    }
+
+    _columns() {
+        const columns = ['route', 'headsign'];
+        if (this.absolute) columns.push('time');
+        if (this.relative) columns.push('due');
+        if (this.rows.some(row => row.delay)) columns.push('delay');
+        if (this.rows.some(row => row.wheelchairAccessible)) columns.push('accessible');
+        return columns;
+    }
+
+    _header(column) {
+        return column === 'accessible' ? '' : this.labels[column];
+    }
+
+    _cell(row, column) {
+        switch (column) {
+        case 'route': return row.route;
+        case 'headsign': return row.headsign;
+        case 'time': return row.clock + (row.realtime ? '' : '*');
+        case 'due': return row.due;
+        case 'delay': return row.delay ? `${row.delay > 0 ? '+' : '-'}${this.labels.minutes(Math.abs(row.delay))}` : '';
+        case 'accessible': return row.wheelchairAccessible ? WHEELCHAIR : '';
+        default: return '';
+        }
+    }
+
+    _htmlCell(row, column) {
+        const text = escape(this._cell(row, column));
+
+        if (column === 'route' && row.color) {
+            return `<span style="background-color:#${row.color};color:#${row.textColor || 'FFFFFF'}">${text}</span>`;
+        }
+        if (column === 'time') {
+            const datetime = moment.unix(row.time).tz(this.timezone).format();
+            return `<time datetime="${datetime}">${escape(row.clock)}</time>${row.realtime ? '' : '*'}`;
+        }
+        if (column === 'accessible' && row.wheelchairAccessible) {
+            return `<span title="${escape(this.labels.accessible)}" aria-label="${escape(this.labels.accessible)}">${WHEELCHAIR}</span>`;
+        }
+        return text;
+    }
+
+    // a szöveges és az ANSI kimenet sorai, a színkódok az igazítás után kerülnek a cellák köré
+    _lines(ansi) {
+        const labels = this.labels;
+        const paint = (text, codes) => ansi && codes && text ? `${codes}${text}${ANSI.reset}` : text;
+        const lines = [];
+
+        if (this.title) lines.push(paint(this.title, ANSI.bold));
+        if (this.offline) lines.push(paint(labels.offline, ANSI.dim));
+        this.alerts.forEach(alert => lines.push(paint(`${ALERT} ${alert}`, ANSI.yellow + ANSI.bold)));
+        if (lines.length) lines.push('');
+
+        if (!this.rows.length) {
+            lines.push(labels.empty);
+            return lines;
+        }
+
+        const columns = this._columns();
+        const cells = this.rows.map(row => columns.map(column => this._cell(row, column)));
+        const headers = columns.map(column => this._header(column));
+        const widths = columns.map((column, i) => Math.max.apply(null, [headers[i]].concat(cells.map(row => row[i])).map(text => text.length)));
+        const layout = row => row.map((text, i) => i === row.length - 1 ? text : pad(text, widths[i]));
+
+        lines.push(layout(headers).map(text => paint(text, ANSI.bold)).join('  ').replace(/\s+$/, ''));
+
+        this.rows.forEach((row, index) => {
+            const styled = layout(cells[index]).map((text, i) => cells[index][i] ? paint(text, ansi ? this._style(row, columns[i]) : null) : text);
+            lines.push(styled.join('  ').replace(/\s+$/, ''));
+        });
+
+        if (this.rows.some(row => !row.realtime)) lines.push('', paint(`* ${labels.scheduled}`, ANSI.dim));
+
+        return lines;
+    }
+
+    _style(row, column) {
+        if (column === 'route' && row.color) return background(row.color) + foreground(row.textColor || 'FFFFFF');
+        if (column === 'time' || column === 'due') return row.realtime ? ANSI.green : ANSI.dim;
+        if (column === 'delay') return row.delay > 0 ? ANSI.red : ANSI.cyan;
+        return null;
+    }
+}
+
+/**
+ * Induló járatok kijelzőjének formázása
+ * @param {object} data az arrivalsAndDeparturesForStop válasza
+ * @param {object} [opts] beállítások (lásd Board), valamint:
+ * @param {string} [opts.format = 'text'] a formátum (text, ansi, html)
+ * @return {string}
+ */
+function render(data, opts) {
+    return new Board(data, opts).render(opts && opts.format);
+}
+
+function stopTitle(entry, refs) {
+    const stops = refs.stops || {};
+    const ids = entry.stopId ? [entry.stopId] : entry.stopIds || [];
+    const names = ids.map(id => (stops[id] || {}).name).filter(Boolean);
+    return names.filter((name, i) => names.indexOf(name) === i).join(', ') || null;
+}
+
+// a viszonylat színe csak RRGGBB formában kerülhet a kimenetbe (style attribútum, ANSI kód), más érték figyelmen kívül marad
+function hexColor(color) {
+    return typeof color === 'string' && /^[0-9A-Fa-f]{6}$/.test(color) ? color : null;
+}
+
+function pad(text, width) {
+    return text + ' '.repeat(Math.max(width - text.length, 0));
+}
+
+function rgb(color) {
+    const value = parseInt(color, 16);
+    return `${(value >> 16) & 255};${(value >> 8) & 255};${value & 255}`;
+}
+
+function foreground(color) {
+    return `\u001b[38;2;${rgb(color)}m`;
+}
+
+function background(color) {
+    return `\u001b[48;2;${rgb(color)}m`;
+}
+
+function escape(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+module.exports = {
+    Board,
+    render,
+    LABELS
+};
@@ -0,0 +1,197 @@
+'use strict';
+
+/**
+ * Az endpointok alapértelmezett gyorsítótárazási ideje ezredmásodpercben
+ */
+const DEFAULT_TTL = {
+    'stop': 60 * 60 * 1000,
+    'route': 60 * 60 * 1000,
+    'route-details': 60 * 60 * 1000,
+    'route-details-for-stop': 60 * 60 * 1000,
+    'metadata': 60 * 60 * 1000,
+    'schedule-for-stop': 60 * 60 * 1000,
+    'stops-for-location': 10 * 60 * 1000,
+    'search': 10 * 60 * 1000,
+    'alert-search': 60 * 1000,
+    'bicycle-rental': 30 * 1000,
+    'arrivals-and-departures-for-stop': 5 * 1000,
+    'vehicles-for-stop': 0,
+    'vehicles-for-route': 0,
+    'vehicles-for-location': 0,
+    'trip-details': 5 * 1000,
+    'trips-for-location': 0,
+    'plan-trip': 0
+};
+
+/**
+ * Endpointok, melyek lejárt gyorsítótár esetén ifModifiedSince paraméterrel frissülnek
+ */
+const CONDITIONAL = ['vehicles-for-stop', 'vehicles-for-route', 'vehicles-for-location', 'trips-for-location'];
+
+const DEFAULT_MAX_SIZE = 1000;
+
+/**
+ * Gyorsítótár tároló interfész, a metódusok értéket vagy Promise-t adhatnak vissza
+ * @typedef {object} Futar~cacheStore
+ * @property {function(string): *} get egy bejegyzés lekérdezése
+ * @property {function(string, *): *} set egy bejegyzés mentése
+ * @property {function(string): *} delete egy bejegyzés törlése
+ * @property {function(): *} [clear] az összes bejegyzés törlése
+ */
+
+/**
+ * Memóriában tárolt, legrégebben használt elemet eldobó (LRU) gyorsítótár
+ */
+class MemoryStore {
+    /**
+     * @param {object} [opts] a tároló beállításai
+     * @param {number} [opts.maxSize = 1000] a tárolt bejegyzések maximális száma
+     */
+    constructor(opts) {
+        const { maxSize } = opts || {};
+        this.maxSize = maxSize || DEFAULT_MAX_SIZE;
+        this._entries = new Map();
+    }
+
+    get(key) {
+        if (!this._entries.has(key)) return undefined;
+
+        const value = this._entries.get(key);
+        this._entries.delete(key);
+        this._entries.set(key, value);
+        return value;
+    }
+
+    set(key, value) {
+        this._entries.delete(key);
+        this._entries.set(key, value);
+
+        while (this._entries.size > this.maxSize) {
+            this._entries.delete(this._entries.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        this._entries.delete(key);
+    }
+
+    clear() {
+        this._entries.clear();
+    }
+
+    get size() {
+        return this._entries.size;
+    }
+}
+
+/**
+ * Endpointonkénti lejárati idővel dolgozó válasz gyorsítótár
+ * Az azonos, folyamatban lévő lekérdezéseket összevonja.
+ */
+class ResponseCache {
+    /**
+     * @param {object} [opts] a gyorsítótár beállításai
+     * @param {object} [opts.ttl] endpointonkénti lejárati idők ezredmásodpercben (pl. { 'stop': 60000 })
+     * @param {Futar~cacheStore} [opts.store] a bejegyzéseket tároló objektum, alapértelmezetten MemoryStore
+     * @param {number} [opts.maxSize = 1000] az alapértelmezett MemoryStore mérete
+     */
+    constructor(opts) {
+        const { ttl, store, maxSize } = opts || {};
+        this.ttl = Object.assign({}, DEFAULT_TTL, ttl);
+        this.store = store || new MemoryStore({ maxSize });
+        this._inflight = new Map();
+    }
+
+    /**
+     * Egy lekérdezés kiszolgálása a gyorsítótárból vagy a load függvénnyel
+     * @param {string} endpoint az API endpoint URI
+     * @param {object} params a lekérdezés paraméterei
+     * @param {function(object): Promise} load a lekérdezést ténylegesen elküldő függvény
+     * @param {function(string)} [report] a kiszolgálás módját kapja meg: 'hit' (tárolt válasz), 'dedup' (folyamatban lévő lekérdezéshez csatlakozott), vagy 'miss'
+     * @return {Promise} a teljes API válasz
+     */
+    fetch(endpoint, params, load, report) {
+        const name = endpointName(endpoint);
+        const ttl = this.ttl[name] || 0;
+        const conditional = CONDITIONAL.indexOf(name) !== -1 && !params.ifModifiedSince;
+
+        const key = cacheKey(endpoint, params, conditional);
+        const result = value => report && report(value);
+        if (this._inflight.has(key)) {
+            result('dedup');
+            return this._inflight.get(key);
+        }
+
+        const cacheable = ttl > 0 || conditional;
+        const request = (cacheable ? Promise.resolve(this.store.get(key)) : Promise.resolve())
+            .then(entry => {
+                if (entry && entry.expires > Date.now()) {
+                    result('hit');
+                    return entry.data;
+                }
+
+                result('miss');
+                if (!cacheable) return load(params);
+
+                if (conditional && entry) {
+                    const conditionalParams = Object.assign({}, params, { ifModifiedSince: Math.floor(entry.currentTime / 1000) });
+                    return load(conditionalParams)
+                        .then(data => this._save(key, data, ttl), err => {
+                            if (err.code !== 304) throw err;
+                            return this._save(key, entry.data, ttl, entry.currentTime);
+                        });
+                }
+
+                return load(params).then(data => this._save(key, data, ttl));
+            });
+
+        const settle = () => this._inflight.delete(key);
+        request.then(settle, settle);
+
+        this._inflight.set(key, request);
+        return request;
+    }
+
+    /**
+     * Az összes bejegyzés törlése
+     * @return {Promise}
+     */
+    clear() {
+        return Promise.resolve(this.store.clear ? this.store.clear() : undefined);
+    }
+
+    _save(key, data, ttl, currentTime) {
+        const entry = {
+            data,
+            currentTime: currentTime || data.currentTime || Date.now(),
+            expires: Date.now() + ttl
+        };
+        return Promise.resolve(this.store.set(key, entry)).then(() => data);
+    }
+}
+
+/**
+ * Az endpoint nevének meghatározása az URI-ból (pl. '/stop/BKK_F01.json' -> 'stop')
+ * @param {string} endpoint az API endpoint URI
+ * @return {string} az endpoint neve
+ */
+function endpointName(endpoint) {
+    return endpoint.replace(/^\/+/, '').replace(/\.json$/, '').split('/')[0];
+}
+
+function cacheKey(endpoint, params, conditional) {
+    const parts = Object.keys(params)
+        .filter(key => params[key] !== undefined && key !== 'key')
+        .filter(key => !(conditional && key === 'ifModifiedSince'))
+        .sort()
+        .map(key => `${key}=${params[key]}`);
+
+    return `${endpoint}?${parts.join('&')}`;
+}
+
+module.exports = {
+    ResponseCache,
+    MemoryStore,
+    endpointName,
+    DEFAULT_TTL
+};
@@ -0,0 +1,532 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const moment = require('moment-timezone');
+
+const Futar = require('./futar');
+const geo = require('./geo');
+const { Plan } = require('./itinerary');
+const { BikeShare } = require('./bikeshare');
+const { TIMEZONE } = require('./timetable');
+
+const DOTFILE = '.futarrc';
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = '127.0.0.1';
+
+const LABELS = {
+    hu: {
+        usage: [
+            'Használat: futar <parancs> [argumentumok] [--json]',
+            '',
+            'Parancsok:',
+            '  departures <megálló|keresés>            induló járatok',
+            '  search <szöveg>                         megállók, viszonylatok keresése',
+            '  plan <honnan> <hová> [--arrive-by idő]  utazás tervezése (lat,lon vagy megálló neve)',
+            '  alerts [megálló]                        forgalmi változások',
+            '  bubi --near lat,lon [--min-bikes n]     Bubi állomások a közelben',
+            '  stop <azonosító>                        megálló adatai',
+            '  route <azonosító>                       viszonylat adatai',
+            '  serve [--port 8080] [--host cím]        REST proxy szerver indítása',
+            '',
+            'Beállítások: FUTAR_API_KEY, FUTAR_BASE_URL, FUTAR_LANG környezeti változók vagy ~/.futarrc (JSON)'
+        ].join('\n'),
+        route: 'Járat',
+        headsign: 'Irány',
+        time: 'Indul',
+        minutes: 'Perc',
+        min: 'perc',
+        now: 'most',
+        id: 'Azonosító',
+        name: 'Név',
+        type: 'Típus',
+        stops: 'Megállók',
+        routes: 'Viszonylatok',
+        start: 'Indulás',
+        end: 'Érkezés',
+        duration: 'Időtartam',
+        transfers: 'Átszállás',
+        bikes: 'Bicikli',
+        docks: 'Dokkoló',
+        distance: 'Távolság',
+        valid: 'Érvényes',
+        noResults: 'Nincs találat.',
+        listening: 'A szerver elérhető:',
+        unknownCommand: 'Ismeretlen parancs',
+        missingArgument: 'Hiányzó argumentum'
+    },
+    en: {
+        usage: [
+            'Usage: futar <command> [arguments] [--json]',
+            '',
+            'Commands:',
+            '  departures <stop|query>                 departures from a stop',
+            '  search <text>                           search for stops and routes',
+            '  plan <from> <to> [--arrive-by time]     plan a trip (lat,lon or stop name)',
+            '  alerts [stop]                           service alerts',
+            '  bubi --near lat,lon [--min-bikes n]     nearby Bubi stations',
+            '  stop <id>                               stop details',
+            '  route <id>                              route details',
+            '  serve [--port 8080] [--host address]    start the REST proxy server',
+            '',
+            'Configuration: FUTAR_API_KEY, FUTAR_BASE_URL, FUTAR_LANG environment variables or ~/.futarrc (JSON)'
+        ].join('\n'),
+        route: 'Route',
+        headsign: 'Direction',
+        time: 'Departs',
+        minutes: 'Min',
+        min: 'min',
+        now: 'now',
+        id: 'ID',
+        name: 'Name',
+        type: 'Type',
+        stops: 'Stops',
+        routes: 'Routes',
+        start: 'Departure',
+        end: 'Arrival',
+        duration: 'Duration',
+        transfers: 'Transfers',
+        bikes: 'Bikes',
+        docks: 'Docks',
+        distance: 'Distance',
+        valid: 'Valid',
+        noResults: 'No results.',
+        listening: 'Server listening on',
+        unknownCommand: 'Unknown command',
+        missingArgument: 'Missing argument'
+    }
+};
+
+/**
+ * Értéket váró kapcsolók
+ */
+const VALUE_FLAGS = ['arrive-by', 'depart-at', 'near', 'lang', 'limit', 'min-bikes', 'radius', 'minutes', 'api-key', 'base-url', 'port', 'host', 'cors'];
+
+/**
+ * Parancssori argumentumok feldolgozása
+ * @param {string[]} argv az argumentumok
+ * @return {{ _: string[], flags: object }} a pozicionális argumentumok és a kapcsolók
+ */
+function parseArgs(argv) {
+    const args = { _: [], flags: {} };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const match = /^--([^=]+)(?:=(.*))?$/.exec(arg);
+
+        if (!match) {
+            args._.push(arg);
+        } else if (match[2] !== undefined) {
+            args.flags[camelCase(match[1])] = match[2];
+        } else if (argv[i + 1] !== undefined && !/^--/.test(argv[i + 1]) && VALUE_FLAGS.indexOf(match[1]) !== -1) {
+            args.flags[camelCase(match[1])] = argv[++i];
+        } else {
+            args.flags[camelCase(match[1])] = true;
+        }
+    }
+
+    return args;
+}
+
+function camelCase(text) {
+    return text.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * A beállítások betöltése a környezeti változókból és a .futarrc fájlból
+ * A környezeti változók felülírják a fájlban megadott értékeket.
+ * @param {object} env a környezeti változók
+ * @param {string[]} dirs a .futarrc fájl keresési helyei sorrendben
+ * @return {{ apiKey: string, baseUrl: string, lang: string }}
+ */
+function loadConfig(env, dirs) {
+    let file = {};
+
+    for (let i = 0; i < dirs.length; i++) {
+        const filename = path.join(dirs[i], DOTFILE);
+        if (!fs.existsSync(filename)) continue;
+        file = JSON.parse(fs.readFileSync(filename, 'utf8'));
+        break;
+    }
+
+    return {
+        apiKey: env.FUTAR_API_KEY || file.apiKey,
+        baseUrl: env.FUTAR_BASE_URL || file.baseUrl,
+        lang: env.FUTAR_LANG || file.lang || 'hu'
+    };
+}
+
+/**
+ * Szöveges táblázat összeállítása
+ * @param {string[]} header a fejléc
+ * @param {Array<string[]>} rows a sorok
+ * @return {string}
+ */
+function table(header, rows) {
+    const all = [header].concat(rows).map(row => row.map(cell => cell === undefined || cell === null ? '' : String(cell)));
+    const widths = header.map((cell, index) => Math.max.apply(null, all.map(row => row[index].length)));
+
+    return all
+        .map(row => row.map((cell, index) => index === row.length - 1 ? cell : pad(cell, widths[index])).join('  '))
+        .join('\n');
+}
+
+function pad(text, width) {
+    return text + ' '.repeat(Math.max(width - text.length, 0));
+}
+
+function translate(text, lang) {
+    if (!text) return '';
+    const translations = text.translations || {};
+    return translations[lang] || translations.hu || text.someTranslation || Object.keys(translations).map(key => translations[key])[0] || '';
+}
+
+/**
+ * Parancssori kliens
+ */
+class Cli {
+    /**
+     * @param {object} opts a kliens beállításai
+     * @param {Futar} opts.futar a lekérdezésekhez használt Futár kliens
+     * @param {string} [opts.lang = 'hu'] a kimenet nyelve (hu, en)
+     * @param {function(string)} [opts.out = console.log] a kimenetet kiíró függvény
+     */
+    constructor(opts) {
+        this.futar = opts.futar;
+        this.lang = LABELS[opts.lang] ? opts.lang : 'hu';
+        this.labels = LABELS[this.lang];
+        this.out = opts.out || console.log;
+    }
+
+    /**
+     * Egy parancs végrehajtása
+     * @param {string[]} argv az argumentumok
+     * @return {Promise}
+     */
+    run(argv) {
+        const args = parseArgs(argv);
+        const command = args._[0];
+        const params = args._.slice(1);
+
+        const commands = {
+            departures: () => this.departures(params.join(' '), args.flags),
+            search: () => this.search(params.join(' '), args.flags),
+            plan: () => this.plan(params[0], params[1], args.flags),
+            alerts: () => this.alerts(params.join(' '), args.flags),
+            bubi: () => this.bubi(args.flags),
+            stop: () => this.stop(params[0], args.flags),
+            route: () => this.route(params[0], args.flags),
+            serve: () => this.serve(args.flags)
+        };
+
+        if (!command || args.flags.help) {
+            this.out(this.labels.usage);
+            return Promise.resolve();
+        }
+        if (!commands[command]) {
+            return Promise.reject(new Error(`${this.labels.unknownCommand}: ${command}\n\n${this.labels.usage}`));
+        }
+
+        return commands[command]();
+    }
+
+    departures(query, flags) {
+        if (!query) return this._missing('departures');
+
+        const opts = { minutesAfter: flags.minutes, includeReferences: true };
+
+        return this._resolveStops(query)
+            .then(stopIds => this.futar.arrivalsAndDeparturesForStops(stopIds, opts))
+            .then(data => {
+                if (flags.json) return this._json(data);
+
+                const now = Date.now() / 1000;
+                const refs = data.references;
+                const rows = data.entry.stopTimes.slice(0, Number(flags.limit) || 20).map(stopTime => {
+                    const trip = (refs.trips || {})[stopTime.tripId] || {};
+                    const route = (refs.routes || {})[trip.routeId] || {};
+                    const time = stopTime.predictedDepartureTime || stopTime.departureTime || stopTime.predictedArrivalTime || stopTime.arrivalTime;
+                    const realtime = Boolean(stopTime.predictedDepartureTime || stopTime.predictedArrivalTime);
+
+                    return [
+                        route.shortName,
+                        stopTime.stopHeadsign || trip.tripHeadsign,
+                        moment(time * 1000).tz(TIMEZONE).format('HH:mm') + (realtime ? '*' : ''),
+                        this._relative(time - now)
+                    ];
+                });
+
+                this._print([this.labels.route, this.labels.headsign, this.labels.time, this.labels.minutes], rows);
+            });
+    }
+
+    search(query, flags) {
+        if (!query) return this._missing('search');
+
+        return this.futar.search({ query, includeReferences: true })
+            .then(data => {
+                if (flags.json) return this._json(data);
+
+                const refs = data.references || {};
+                const entry = data.entry || {};
+                const stops = (entry.stopIds || []).map(id => (refs.stops || {})[id]).filter(Boolean);
+                const routes = (entry.routeIds || []).map(id => (refs.routes || {})[id]).filter(Boolean);
+
+                if (stops.length) {
+                    this.out(`${this.labels.stops}:`);
+                    this._print([this.labels.id, this.labels.name, this.labels.routes], stops.map(stop => [
+                        stop.id,
+                        stop.name,
+                        (stop.routeIds || []).map(id => ((refs.routes || {})[id] || {}).shortName).filter(Boolean).join(', ')
+                    ]));
+                }
+                if (routes.length) {
+                    if (stops.length) this.out('');
+                    this.out(`${this.labels.routes}:`);
+                    this._print([this.labels.id, this.labels.route, this.labels.name], routes.map(route => [
+                        route.id,
+                        route.shortName,
+                        route.description || route.longName
+                    ]));
+                }
+                if (!stops.length && !routes.length) this.out(this.labels.noResults);
+            });
+    }
+
+    plan(from, to, flags) {
+        if (!from || !to) return this._missing('plan');
+
+        return Promise.all([this._resolvePlace(from), this._resolvePlace(to)])
+            .then(places => {
+                const opts = {
+                    fromLat: places[0].lat,
+                    fromLon: places[0].lon,
+                    fromName: places[0].name,
+                    toLat: places[1].lat,
+                    toLon: places[1].lon,
+                    toName: places[1].name
+                };
+
+                const time = flags.arriveBy || flags.departAt;
+                if (time && time !== true) {
+                    const parsed = moment.tz(time, ['HH:mm', moment.ISO_8601], true, TIMEZONE);
+                    opts.dateTime = parsed.isValid() ? parsed.valueOf() : time;
+                    opts.arriveBy = Boolean(flags.arriveBy);
+                }
+
+                return this.futar.planTrip(opts);
+            })
+            .then(data => {
+                if (flags.json) return this._json(data);
+
+                const plan = data instanceof Plan ? data : new Plan(data);
+                if (!plan.itineraries.length) return this.out(this.labels.noResults);
+
+                this._print(
+                    [this.labels.start, this.labels.end, this.labels.duration, this.labels.transfers, this.labels.routes],
+                    plan.itineraries.map(itinerary => [
+                        moment(itinerary.startTime).tz(TIMEZONE).format('HH:mm'),
+                        moment(itinerary.endTime).tz(TIMEZONE).format('HH:mm'),
+                        `${Math.round(itinerary.duration / 60)} ${this.labels.min}`,
+                        itinerary.transfers,
+                        itinerary.routes.join(' > ')
+                    ])
+                );
+            });
+    }
+
+    alerts(stop, flags) {
+        const request = stop ? this._resolveStops(stop).then(stopIds => stopIds[0]) : Promise.resolve('');
+
+        return request
+            .then(query => this.futar.alertSearch({ query, includeReferences: true }))
+            .then(data => {
+                if (flags.json) return this._json(data);
+
+                const alerts = (data.references || {}).alerts || {};
+                const ids = (data.entry && data.entry.alertIds) || Object.keys(alerts);
+                const rows = ids.map(id => alerts[id]).filter(Boolean).map(alert => [
+                    `${moment(alert.start * 1000).tz(TIMEZONE).format('MM.DD HH:mm')} - ${alert.end ? moment(alert.end * 1000).tz(TIMEZONE).format('MM.DD HH:mm') : ''}`,
+                    translate(alert.header, this.lang)
+                ]);
+
+                if (!rows.length) return this.out(this.labels.noResults);
+                this._print([this.labels.valid, this.labels.name], rows);
+            });
+    }
+
+    bubi(flags) {
+        const near = geo.parseLatLon(flags.near);
+        if (!near) return this._missing('bubi --near lat,lon');
+
+        return this.futar.bicycleRental({ model: false })
+            .then(data => {
+                if (flags.json) return this._json(data);
+
+                const opts = { minBikes: Number(flags.minBikes) || 0, limit: Number(flags.limit) || 10 };
+                const stations = new BikeShare(data).nearest(near, opts);
+
+                this._print([this.labels.name, this.labels.bikes, this.labels.docks, this.labels.distance], stations.map(result => [
+                    result.station.name,
+                    result.station.bikes,
+                    result.station.docks,
+                    `${Math.round(result.distance)} m`
+                ]));
+            });
+    }
+
+    stop(stopId, flags) {
+        if (!stopId) return this._missing('stop');
+
+        return this.futar.stop({ stopId, includeReferences: true })
+            .then(data => {
+                if (flags.json) return this._json(data);
+
+                const stop = data.entry || {};
+                const routes = (data.references || {}).routes || {};
+                this._details([
+                    [this.labels.id, stop.id],
+                    [this.labels.name, stop.name],
+                    [this.labels.headsign, stop.direction],
+                    ['lat,lon', `${stop.lat},${stop.lon}`],
+                    [this.labels.routes, (stop.routeIds || []).map(id => (routes[id] || {}).shortName || id).join(', ')]
+                ]);
+            });
+    }
+
+    route(routeId, flags) {
+        if (!routeId) return this._missing('route');
+
+        return this.futar.route({ routeId, includeReferences: true })
+            .then(data => {
+                if (flags.json) return this._json(data);
+
+                const route = data.entry || {};
+                this._details([
+                    [this.labels.id, route.id],
+                    [this.labels.route, route.shortName],
+                    [this.labels.name, route.description || route.longName],
+                    [this.labels.type, route.type]
+                ]);
+            });
+    }
+
+    serve(flags) {
+        const port = Number(flags.port) || DEFAULT_PORT;
+        const host = flags.host || DEFAULT_HOST;
+        const server = this.futar.createServer({ cors: flags.cors });
+
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, host, () => {
+                this.out(`${this.labels.listening} http://${host}:${server.address().port}/`);
+                resolve(server);
+            });
+        });
+    }
+
+    _resolveStops(query) {
+        if (/^[A-Z]+_[\w-]+$/.test(query)) return Promise.resolve([query]);
+
+        return this.futar.search({ query, includeReferences: true })
+            .then(data => {
+                const stops = (data.references || {}).stops || {};
+                const stopIds = ((data.entry || {}).stopIds || []).filter(id => stops[id]);
+                if (!stopIds.length) throw new Error(`${this.labels.noResults} (${query})`);
+
+                // az azonos nevű megállók (pl. egy csomópont peronjai) együtt kerülnek lekérdezésre
+                const name = stops[stopIds[0]].name;
+                return stopIds.filter(id => stops[id].name === name);
+            });
+    }
+
+    _resolvePlace(text) {
+        const point = geo.parseLatLon(text);
+        if (point) return Promise.resolve(point);
+
+        return this._resolveStops(text)
+            .then(stopIds => this.futar.stop({ stopId: stopIds[0], includeReferences: false }))
+            .then(data => ({ lat: data.entry.lat, lon: data.entry.lon, name: data.entry.name }));
+    }
+
+    _relative(seconds) {
+        const minutes = Math.round(seconds / 60);
+        return minutes <= 0 ? this.labels.now : `${minutes} ${this.labels.min}`;
+    }
+
+    _print(header, rows) {
+        this.out(table(header, rows));
+    }
+
+    _details(rows) {
+        const width = Math.max.apply(null, rows.map(row => row[0].length));
+        this.out(rows.map(row => `${pad(`${row[0]}:`, width + 1)} ${row[1] === undefined ? '' : row[1]}`).join('\n'));
+    }
+
+    _json(data) {
+        this.out(JSON.stringify(data, null, 2));
+    }
+
+    _missing(command) {
+        return Promise.reject(new Error(`${this.labels.missingArgument}: futar ${command}`));
+    }
+}
+
+/**
+ * A Futár kliens beállításai a parancssori kapcsolók és a betöltött beállítások alapján
+ * A kapcsolók felülírják a környezeti változókban, illetve a .futarrc fájlban megadott értékeket.
+ * @param {object} config a loadConfig által betöltött beállítások
+ * @param {{ _: string[], flags: object }} args a feldolgozott argumentumok
+ * @return {object} a Futar konstruktornak átadandó beállítások
+ */
+function clientConfig(config, args) {
+    const flags = args.flags;
+
+    return {
+        apiKey: flags.apiKey || config.apiKey,
+        baseUrl: flags.baseUrl || config.baseUrl,
+        lang: flags.lang || config.lang,
+        // szerver módban az ismétlődő kérések a gyorsítótárból szolgálhatók ki, a statisztikák a /metrics útvonalon érhetők el
+        cache: args._[0] === 'serve',
+        metrics: args._[0] === 'serve'
+    };
+}
+
+/**
+ * A futar parancs futtatása
+ * @param {string[]} argv a parancssori argumentumok
+ * @param {object} [env = process.env] a környezeti változók
+ * @return {Promise<number>} a kilépési kód
+ */
+function main(argv, env) {
+    env = env || process.env;
+
+    let config;
+    try {
+        config = loadConfig(env, [process.cwd(), os.homedir()]);
+    } catch (err) {
+        console.error(err.message);
+        return Promise.resolve(1);
+    }
+
+    const options = clientConfig(config, parseArgs(argv));
+    const futar = new Futar(options);
+    const cli = new Cli({ futar, lang: options.lang });
+
+    return cli.run(argv)
+        .then(() => 0)
+        .catch(err => {
+            console.error(err.message);
+            return 1;
+        });
+}
+
+module.exports = {
+    Cli,
+    main,
+    parseArgs,
+    loadConfig,
+    clientConfig,
+    table
+};
@@ -0,0 +1,54 @@
+'use strict';
+
+const NAMESPACE = 'futar';
+
+/**
+ * Be van-e kapcsolva a naplózás a DEBUG környezeti változó alapján (a debug csomaggal azonos szintaxissal)
+ * A minták vesszővel vagy szóközzel elválasztva adhatók meg, a * bármilyen szövegre illeszkedik, a - előtagú minták kizárnak.
+ * @param {string} [value = process.env.DEBUG] a DEBUG változó értéke (pl. 'futar', 'futar,express:*', '*,-futar')
+ * @param {string} [namespace = 'futar'] a névtér
+ * @return {boolean}
+ */
+function enabled(value, namespace) {
+    const patterns = String(value !== undefined ? value : process.env.DEBUG || '').split(/[\s,]+/).filter(Boolean);
+    const name = namespace || NAMESPACE;
+    const matches = pattern => new RegExp(`^${pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*?')}$`).test(name);
+
+    if (patterns.some(pattern => pattern[0] === '-' && matches(pattern.slice(1)))) return false;
+    return patterns.some(pattern => pattern[0] !== '-' && matches(pattern));
+}
+
+/**
+ * A Futár kliens lekérdezéseinek naplózása soronként
+ *
+ * @example
+ * // futar #12 → https://futar.bkk.hu/.../arrivals-and-departures-for-stop.json?stopId=BKK_F01227&key=***
+ * // futar #12 ← 200 143ms cache=miss
+ * @param {Futar} futar a kliens
+ * @param {object} [opts] beállítások
+ * @param {function(string)} [opts.log] a sorokat kiíró függvény, alapértelmezetten a standard hibakimenet
+ * @return {function()} a naplózás megszüntetése
+ */
+function createLogger(futar, opts) {
+    const log = (opts && opts.log) || (line => process.stderr.write(`${line}\n`));
+    const write = (event, text) => log(`${NAMESPACE} #${event.id} ${text}`);
+
+    const listeners = {
+        request: event => write(event, `→ ${event.url}`),
+        response: event => write(event, `← ${event.status} ${event.latency}ms${cacheInfo(event)}${event.offline ? ' offline' : ''}`),
+        retry: event => write(event, `↻ ${event.attempt}. újrapróbálkozás ${event.delay}ms múlva (${event.error.name}: ${event.error.message})`),
+        error: event => write(event, `✗ ${event.status !== null ? `${event.status} ` : ''}${event.latency}ms${cacheInfo(event)} ${event.error.name}: ${event.error.message}`)
+    };
+
+    Object.keys(listeners).forEach(type => futar.on(type, listeners[type]));
+    return () => Object.keys(listeners).forEach(type => futar.removeListener(type, listeners[type]));
+}
+
+function cacheInfo(event) {
+    return event.cache ? ` cache=${event.cache}` : '';
+}
+
+module.exports = {
+    enabled,
+    createLogger
+};
@@ -0,0 +1,136 @@
+'use strict';
+
+const { mergeReferences, unique } = require('./util');
+
+/**
+ * Egy stopTime elem indulási ideje, a valós idejű előrejelzés elsőbbségével (unix timestamp)
+ * @param {object} stopTime a Futár API stopTime eleme
+ * @return {number}
+ */
+function departureTime(stopTime) {
+    return stopTime.predictedDepartureTime || stopTime.departureTime || stopTime.predictedArrivalTime || stopTime.arrivalTime;
+}
+
+/**
+ * Szűrőfüggvény létrehozása viszonylat, irány és közlekedési mód alapján
+ * @param {object} filter a szűrési feltételek
+ * @param {(string|string[])} [filter.routeIds] a megtartandó viszonylatok azonosítói
+ * @param {(string|number)} [filter.directionId] a megtartandó irány azonosítója
+ * @param {(string|string[])} [filter.mode] a megtartandó közlekedési módok (BUS, TRAM, TROLLEYBUS, SUBWAY, RAIL, FERRY)
+ * @param {object} refs a válasz referenciái
+ * @return {function(object): boolean} a stopTime elemeket szűrő függvény
+ */
+function createFilter(filter, refs) {
+    const routeIds = toList(filter.routeIds);
+    const modes = toList(filter.mode);
+    const directionId = filter.directionId;
+
+    return stopTime => {
+        const trip = (refs.trips || {})[stopTime.tripId];
+        const route = trip && (refs.routes || {})[trip.routeId];
+
+        if (routeIds && (!trip || routeIds.indexOf(trip.routeId) === -1)) return false;
+        if (directionId !== undefined && (!trip || String(trip.directionId) !== String(directionId))) return false;
+        if (modes && (!route || modes.indexOf(route.type) === -1)) return false;
+        return true;
+    };
+}
+
+function toList(value) {
+    if (value === undefined || value === null) return null;
+    return Array.isArray(value) ? value : String(value).split(',');
+}
+
+/**
+ * Több megálló arrivalsAndDeparturesForStop válaszának összefésülése egy időrendbe rendezett listává
+ * @param {Array<{ item: string, value: object, error: Error }>} results a megállónkénti eredmények
+ * @param {object} [filter] a szűrési feltételek (routeIds, directionId, mode)
+ * @return {object} a Futár API válaszával azonos szerkezetű objektum, kiegészítve a megállónkénti hibákkal
+ */
+function mergeStopDepartures(results, filter) {
+    const succeeded = results.filter(result => !result.error);
+    const refs = mergeReferences(succeeded.map(result => result.value.references));
+    const keep = filter ? createFilter(filter, refs) : () => true;
+
+    let stopTimes = [];
+    let alertIds = [];
+    let routeIds = [];
+
+    succeeded.forEach(result => {
+        const entry = result.value.entry || {};
+
+        (entry.stopTimes || []).forEach(stopTime => {
+            stopTimes.push(Object.assign({ stopId: result.item }, stopTime));
+        });
+        alertIds = alertIds.concat(entry.alertIds || []);
+        routeIds = routeIds.concat(entry.routeIds || []);
+    });
+
+    stopTimes = stopTimes.filter(keep).sort((a, b) => departureTime(a) - departureTime(b));
+
+    return {
+        entry: {
+            stopIds: succeeded.map(result => result.item),
+            routeIds: unique(routeIds),
+            alertIds: unique(alertIds),
+            stopTimes
+        },
+        references: refs,
+        errors: results
+            .filter(result => result.error)
+            .map(result => ({ stopId: result.item, error: result.error }))
+    };
+}
+
+/**
+ * Az összefésült indulások csoportosítása viszonylat és irány szerint, csoportonként a legközelebbi megállóval
+ * A gyalogosan már el nem érhető indulások kimaradnak, a legközelebbi megálló az elérhető indulások közül kerül kiválasztásra.
+ * @param {object} data a mergeStopDepartures eredménye
+ * @param {Array<{ stopId: string, distance: number, walkingTime: number }>} stops a megállók távolsága és gyaloglási ideje
+ * @param {number} now az aktuális idő (unix timestamp)
+ * @return {object[]} a csoportok a legkorábbi elérhető indulás szerint rendezve
+ */
+function groupByNearestStop(data, stops, now) {
+    const trips = (data.references || {}).trips || {};
+    const stopsById = {};
+    stops.forEach(stop => {
+        stopsById[stop.stopId] = stop;
+    });
+
+    const groups = new Map();
+
+    data.entry.stopTimes.forEach(stopTime => {
+        const stop = stopsById[stopTime.stopId];
+        const trip = trips[stopTime.tripId] || {};
+        // az elérhetetlen indulások a csoportosítás előtt kimaradnak, különben egy közelebbi megálló
+        // lekésett indulásai kiszorítanák egy távolabbi megálló még elérhető indulásait
+        if (!stop || departureTime(stopTime) - now < stop.walkingTime) return;
+
+        const key = `${trip.routeId}:${trip.directionId}`;
+        const group = groups.get(key);
+
+        if (!group || stop.distance < group.distance) {
+            groups.set(key, {
+                routeId: trip.routeId,
+                directionId: trip.directionId,
+                headsign: stopTime.stopHeadsign || trip.tripHeadsign,
+                stopId: stop.stopId,
+                distance: stop.distance,
+                walkingTime: stop.walkingTime,
+                stopTimes: [stopTime]
+            });
+        } else if (group.stopId === stop.stopId) {
+            group.stopTimes.push(stopTime);
+        }
+    });
+
+    return Array.from(groups.values())
+        .sort((a, b) => departureTime(a.stopTimes[0]) - departureTime(b.stopTimes[0]));
+}
+
+module.exports = {
+    departureTime,
+    createFilter,
+    mergeStopDepartures,
+    groupByNearestStop
+};
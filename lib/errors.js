@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+ * A Futár kliens hibáinak közös őse
+ */
+class FutarError extends Error {
+    /**
+     * @param {string} message a hiba leírása
+     */
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+        Error.captureStackTrace(this, this.constructor);
+    }
+}
+
+/**
+ * Hiányzó vagy érvénytelen paraméter
+ */
+class ValidationError extends FutarError {}
+
+/**
+ * A Futár API hibát jelző válasza
+ */
+class ApiError extends FutarError {
+    /**
+     * @param {number} code a válasz hibakódja
+     * @param {string} text a válasz hibaüzenete
+     */
+    constructor(code, text) {
+        super(text || `A Futár API hibát adott vissza (${code})`);
+        this.code = code;
+        this.text = text;
+    }
+}
+
+/**
+ * Hálózati hiba, a válasz nem érkezett meg
+ */
+class NetworkError extends FutarError {
+    /**
+     * @param {string} message a hiba leírása
+     * @param {Error} [cause] az eredeti hiba
+     */
+    constructor(message, cause) {
+        super(message);
+        this.cause = cause;
+        if (cause && cause.code) this.code = cause.code;
+    }
+}
+
+/**
+ * A válasz nem érkezett meg a megadott időn belül
+ */
+class TimeoutError extends FutarError {
+    /**
+     * @param {number} timeout az időkorlát ezredmásodpercben
+     */
+    constructor(timeout) {
+        super(`A lekérdezés nem fejeződött be ${timeout} ms alatt`);
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * Túl sok lekérdezés, a Futár API korlátozza a kéréseket
+ */
+class RateLimitError extends FutarError {
+    /**
+     * @param {string} [text] a válasz hibaüzenete
+     * @param {number} [retryAfter] az újrapróbálkozásig várandó idő ezredmásodpercben
+     */
+    constructor(text, retryAfter) {
+        super(text || 'Túl sok lekérdezés');
+        this.code = 429;
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * A lekérdezést az AbortSignal megszakította
+ */
+class AbortError extends FutarError {
+    constructor() {
+        super('A lekérdezés megszakítva');
+    }
+}
+
+/**
+ * Visszajátszáskor nem található a kéréshez tartozó rögzített válasz, vagy nem olvasható a rögzített válaszok könyvtára
+ */
+class FixtureError extends FutarError {
+    /**
+     * @param {string} [endpoint] a kért endpoint
+     * @param {object} [params] a kérés normalizált paraméterei
+     * @param {string} [message] a hiba leírása, alapértelmezetten a hiányzó válasz kérése
+     */
+    constructor(endpoint, params, message) {
+        super(message || `Nincs rögzített válasz: ${endpoint} ${JSON.stringify(params)}`);
+        this.endpoint = endpoint;
+        this.params = params;
+    }
+}
+
+/**
+ * Átmeneti hiba-e, melynél érdemes újrapróbálkozni
+ * @param {Error} err a hiba
+ * @return {boolean}
+ */
+function isTransient(err) {
+    if (err instanceof NetworkError || err instanceof TimeoutError || err instanceof RateLimitError) return true;
+    return err instanceof ApiError && err.code >= 500;
+}
+
+module.exports = {
+    FutarError,
+    ValidationError,
+    ApiError,
+    NetworkError,
+    TimeoutError,
+    RateLimitError,
+    AbortError,
+    FixtureError,
+    isTransient
+};
@@ -0,0 +1,193 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { URL } = require('url');
+const { FixtureError } = require('./errors');
+
+/**
+ * A rögzítésből kihagyott paraméterek
+ */
+const SECRET_PARAMS = ['key'];
+
+/**
+ * Az időfüggő paraméterek, melyeket a megengedő visszajátszás figyelmen kívül hagy
+ */
+const VOLATILE_PARAMS = ['ifModifiedSince', 'dateTime', 'date', 'time', 'day'];
+
+/**
+ * Egy kérés endpointja és normalizált paraméterei
+ * Az API kulcs kimarad, a paraméterek ábécé sorrendbe kerülnek.
+ * @param {string} url a kérés teljes URL-je
+ * @param {string} baseUrl az API alap URL-je
+ * @return {{ endpoint: string, params: object }}
+ */
+function normalize(url, baseUrl) {
+    const parsed = new URL(url);
+    const basePath = new URL(baseUrl).pathname.replace(/\/+$/, '');
+
+    let endpoint = parsed.pathname;
+    if (endpoint.indexOf(basePath) === 0) endpoint = endpoint.slice(basePath.length);
+
+    const params = {};
+    Array.from(parsed.searchParams.keys())
+        .filter(key => SECRET_PARAMS.indexOf(key) === -1)
+        .sort()
+        .forEach(key => {
+            params[key] = parsed.searchParams.get(key);
+        });
+
+    return { endpoint, params };
+}
+
+/**
+ * A rögzített válasz fájljának neve
+ * @param {string} endpoint az endpoint
+ * @param {object} params a normalizált paraméterek
+ * @return {string}
+ */
+function fileName(endpoint, params) {
+    const name = endpoint.replace(/^\/+/, '').replace(/\.json$/, '').replace(/[^\w-]+/g, '_');
+    const hash = crypto.createHash('sha1').update(JSON.stringify(params)).digest('hex').slice(0, 10);
+    return `${name}-${hash}.json`;
+}
+
+/**
+ * Rögzítő transport létrehozása, mely minden kérést és a rá kapott választ fájlba menti
+ * @param {object} opts a rögzítés beállításai
+ * @param {string} opts.dir a rögzített válaszok könyvtára
+ * @param {string} opts.baseUrl az API alap URL-je
+ * @param {Futar~transport} opts.transport a kéréseket ténylegesen elküldő transport
+ * @param {function(): number} [opts.clock = Date.now] a rögzítés idejét (ezredmásodperc) adó függvény
+ * @return {Futar~transport}
+ */
+function createRecordTransport(opts) {
+    const { dir, baseUrl, transport } = opts;
+    const clock = opts.clock || Date.now;
+
+    return function recordTransport(req) {
+        const { endpoint, params } = normalize(req.url, baseUrl);
+
+        return transport(req).then(res => {
+            const fixture = {
+                endpoint,
+                params,
+                recordedAt: clock(),
+                response: { status: res.status, headers: res.headers || {}, body: res.body }
+            };
+
+            try {
+                fixture.response.json = JSON.parse(res.body);
+                delete fixture.response.body;
+            } catch (e) {
+                // a nem JSON válaszok szövegként kerülnek mentésre
+            }
+
+            return writeFile(path.join(dir, fileName(endpoint, params)), JSON.stringify(fixture, null, 2) + '\n')
+                .then(() => res);
+        });
+    };
+}
+
+/**
+ * Visszajátszó transport létrehozása, mely a rögzített válaszokat adja vissza hálózati kérés nélkül
+ * Szigorú módban az endpointnak és minden paraméternek egyeznie kell. Megengedő módban csak az azonosító paraméterek
+ * (stopId, routeId, tripId, query stb.) kötelezően egyezők, az időfüggő paraméterek (ifModifiedSince, dateTime, date, time, day)
+ * nem számítanak, és az azonos endpointú válaszok közül a legtöbb egyező paraméterű kerül visszaadásra.
+ * @param {object} opts a visszajátszás beállításai
+ * @param {string} opts.dir a rögzített válaszok könyvtára
+ * @param {string} opts.baseUrl az API alap URL-je
+ * @param {boolean} [opts.strict = true] szigorú egyeztetés
+ * @param {(boolean|number)} [opts.freezeTime = false] a transport clock függvényének ideje: a legkorábbi rögzítés ideje (true),
+ *   vagy a megadott időpont (ezredmásodperc)
+ * @return {Futar~transport} a transport, melynek clock függvénye a Futár kliens config.clock beállításaként használható
+ */
+function createReplayTransport(opts) {
+    const { dir, baseUrl, freezeTime } = opts;
+    const strict = opts.strict !== undefined ? opts.strict : true;
+
+    let fixtures = null;
+
+    // a hiányzó könyvtár nem átmeneti hiba, így a kérés sem kerül újrapróbálásra
+    const load = (endpoint, params) => {
+        if (!fixtures) {
+            let files;
+            try {
+                files = fs.readdirSync(dir);
+            } catch (err) {
+                throw new FixtureError(endpoint, params, `A rögzített válaszok könyvtára nem olvasható: ${dir} (${err.code || err.message})`);
+            }
+            fixtures = files
+                .filter(file => /\.json$/.test(file))
+                .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+        }
+        return fixtures;
+    };
+
+    const find = (endpoint, params) => {
+        const candidates = load(endpoint, params).filter(fixture => fixture.endpoint === endpoint);
+
+        if (strict) {
+            const key = JSON.stringify(params);
+            return candidates.find(fixture => JSON.stringify(fixture.params) === key) || null;
+        }
+
+        const keys = Object.keys(params).filter(key => VOLATILE_PARAMS.indexOf(key) === -1);
+        const score = fixture => {
+            if (keys.some(key => isIdentifier(key) && fixture.params[key] !== params[key])) return -1;
+            return keys.filter(key => fixture.params[key] === params[key]).length;
+        };
+
+        return candidates
+            .map(fixture => ({ fixture, score: score(fixture) }))
+            .filter(candidate => candidate.score >= 0)
+            .sort((a, b) => b.score - a.score)
+            .map(candidate => candidate.fixture)[0] || null;
+    };
+
+    const replayTransport = function replayTransport(req) {
+        return Promise.resolve().then(() => {
+            const { endpoint, params } = normalize(req.url, baseUrl);
+            const fixture = find(endpoint, params);
+            if (!fixture) throw new FixtureError(endpoint, params);
+
+            const response = fixture.response;
+            return {
+                status: response.status,
+                headers: response.headers || {},
+                body: response.json !== undefined ? JSON.stringify(response.json) : response.body
+            };
+        });
+    };
+
+    // a rögzítés ideje a kérések előtt is ismert, így a kliens alapértelmezett napjai és dátumai is ehhez igazodnak
+    replayTransport.clock = () => {
+        if (typeof freezeTime === 'number') return freezeTime;
+
+        const times = load().map(fixture => fixture.recordedAt).filter(time => typeof time === 'number');
+        return times.length ? Math.min.apply(null, times) : Date.now();
+    };
+
+    return replayTransport;
+}
+
+function isIdentifier(key) {
+    return key === 'query' || /Ids?$/.test(key);
+}
+
+function writeFile(file, content) {
+    return new Promise((resolve, reject) => {
+        fs.mkdir(path.dirname(file), { recursive: true }, err => {
+            if (err) return reject(err);
+            fs.writeFile(file, content, err => err ? reject(err) : resolve());
+        });
+    });
+}
+
+module.exports = {
+    createRecordTransport,
+    createReplayTransport,
+    normalize,
+    fileName
+};
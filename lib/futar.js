@@ -3,25 +3,97 @@
 const FUTAR_URL = 'https://futar.bkk.hu/api/query/v1/ws/otp/api/where/';
 const DEFAULT_VERSION = 3;
 const DEFAULT_KEY = '';
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY = 500;
+const DEFAULT_MAX_RETRY_DELAY = 10000;
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_LANG = 'hu';
+const REDACTED = '***';
 
-const rp = require('request-promise').defaults({ baseUrl: FUTAR_URL });
-const moment = require('moment');
+const EventEmitter = require('events');
+const moment = require('moment-timezone');
+const references = require('./references');
+const transport = require('./transport');
+const { ResponseCache } = require('./cache');
+const { StopWatcher } = require('./watcher');
+const errors = require('./errors');
+const util = require('./util');
+const departures = require('./departures');
+const { Plan, Itinerary, ItineraryMonitor } = require('./itinerary');
+const geo = require('./geo');
+const { BikeShare, BikeShareWatcher } = require('./bikeshare');
+const { Alerts, AlertMonitor } = require('./alerts');
+const timetable = require('./timetable');
+const route = require('./route');
+const server = require('./server');
+const fixtures = require('./fixtures');
+const schemas = require('./params');
+const gtfs = require('./gtfs');
+const { Metrics } = require('./metrics');
+const debug = require('./debug');
+const { ValidationError } = errors;
 
 /**
  * BKK Futár API kliens
+ *
+ * Események (a lekérdezések megfigyeléséhez, az API kulcs helyén *** szerepel):
+ * - request: egy lekérdezés indul ({ id, endpoint, params, url })
+ * - retry: átmeneti hiba után újrapróbálkozás következik ({ id, endpoint, params, url, attempt, delay, error })
+ * - response: sikeres lekérdezés ({ id, endpoint, params, url, status, latency, cache, offline })
+ * - error: sikertelen lekérdezés ({ id, endpoint, params, url, status, latency, cache, error }), figyelő nélkül nem dob kivételt
+ * A latency ezredmásodpercben értendő, a cache értéke 'hit', 'miss', 'dedup' (egy folyamatban lévő azonos lekérdezés eredménye),
+ * vagy kikapcsolt gyorsítótár esetén null.
  * @return {Futar} Futár API kliens példány
  */
-class Futar {
+class Futar extends EventEmitter {
     /**
      * Új BKK Futár API kliens létrehozása
      * @param {object} config a konfigurációs paramétereket tartalmazó objektum
      * @param {string} config.apiKey API kulcs
      * @param {number} [config.apiVersion = 3] API verzió
      * @param {boolean} [config.includeReferences = true] referenciák megjelenítése a válaszokban
+     * @param {boolean} [config.hydrate = false] a válaszok referenciáinak feloldása kapcsolt objektumokká
+     * @param {boolean} [config.model = false] a válaszok becsomagolása modell objektumokba, ahol a metódus támogatja (pl. planTrip: Plan, bicycleRental: BikeShare, alertSearch: Alerts, scheduleForStop: Timetable, routeDetails: Route)
+     * @param {string} [config.lang = 'hu'] a modell objektumok szövegeinek alapértelmezett nyelve (hu, en)
+     * @param {string} [config.baseUrl = FUTAR_URL] az API alap URL-je
+     * @param {Futar~transport} [config.transport] a HTTP kéréseket küldő transport, alapértelmezetten a beépített http/https transport
+     * @param {(boolean|object)} [config.cache = false] a válaszok gyorsítótárazása, true esetén az alapértelmezett beállításokkal
+     * @param {object} [config.cache.ttl] endpointonkénti lejárati idők ezredmásodpercben (pl. { 'stop': 60000 })
+     * @param {Futar~cacheStore} [config.cache.store] a bejegyzéseket tároló objektum, alapértelmezetten memóriában tárolt LRU
+     * @param {number} [config.cache.maxSize = 1000] az alapértelmezett tároló mérete
+     * @param {number} [config.timeout = 10000] egy lekérdezés időkorlátja ezredmásodpercben (0: nincs korlát)
+     * @param {number} [config.retries = 2] az újrapróbálkozások száma átmeneti hiba esetén
+     * @param {number} [config.retryDelay = 500] az első újrapróbálkozás előtti várakozás ezredmásodpercben
+     * @param {number} [config.maxRetryDelay = 10000] az újrapróbálkozások előtti várakozás felső korlátja ezredmásodpercben
+     * @param {object} [config.fixtures] a kérések rögzítése fájlokba, illetve visszajátszása fájlokból hálózat nélkül
+     * @param {string} config.fixtures.mode 'record' (rögzítés) vagy 'replay' (visszajátszás)
+     * @param {string} config.fixtures.dir a rögzített válaszok könyvtára
+     * @param {boolean} [config.fixtures.strict = true] visszajátszáskor minden paraméternek egyeznie kell
+     * @param {(boolean|number)} [config.fixtures.freezeTime = false] visszajátszáskor a kliens órájának megállítása a legkorábbi rögzítés idején (true),
+     *   vagy a megadott időponton (ezredmásodperc), ha nincs megadva config.clock
+     * @param {function(): number} [config.clock = Date.now] az aktuális időt (ezredmásodperc) adó függvény, ebből számolódnak az alapértelmezett
+     *   napok és dátumok (scheduleForStop, timetable, tripDetails), a departuresNearLocation elérhetősége, a modellek és a figyelők
+     *   aktuális időpontja, valamint a menetrendi tartalék válaszai
+     * @param {(string|Buffer|GtfsStore)} [config.offline] GTFS statikus adatok (zip fájl vagy könyvtár elérési útja, a zip tartalma, vagy betöltött GtfsStore),
+     *   melyekből a stop, route, search, scheduleForStop és arrivalsAndDeparturesForStop lekérdezések az API elérhetetlensége
+     *   vagy túlterhelése esetén megválaszolásra kerülnek (a válaszban realtime: false és offline: true jelzéssel, csak menetrendi időpontokkal).
+     *   Az adatok az első tartalék lekérdezéskor töltődnek be, vagy előre, a loadOffline metódussal.
+     * @param {(boolean|Metrics)} [config.metrics = false] a lekérdezések statisztikáinak gyűjtése (futar.metrics), true esetén az alapértelmezett beállításokkal
+     * @param {(boolean|function(string))} [config.debug = DEBUG környezeti változó] a lekérdezések naplózása a standard hibakimenetre, vagy a megadott függvénnyel
      */
     constructor(config) {
+        super();
+
         if (typeof config === 'undefined') config = {};
         this.config = this._validateConfig(config);
+        this.cache = this.config.cache ? new ResponseCache(this.config.cache === true ? {} : this.config.cache) : null;
+        this.metrics = this.config.metrics ? (this.config.metrics === true ? new Metrics() : this.config.metrics) : null;
+        this._offline = null;
+        this._requests = 0;
+
+        if (this.metrics) this.metrics.attach(this);
+        if (this.config.debug) debug.createLogger(this, typeof this.config.debug === 'function' ? { log: this.config.debug } : {});
     }
 
     /**
@@ -39,34 +111,148 @@ class Futar {
      * @param {number} [opts.minutesAfter = 30] perccel később
      * @param {boolean} [opts.onlyDepartures = true] csak az induló járatok lekérdezése
      * @param {boolean} [opts.includeReferences = config.includeReferences] referenciák megjelenítése a válaszban
+     * @param {boolean} [opts.hydrate = config.hydrate] a referenciák feloldása kapcsolt objektumokká
+     * @param {AbortSignal} [opts.signal] a lekérdezést megszakító jelzés
      * @param {Futar~requestCallback} [cb] a választ kezelő callback függvény
      * @return {Promise} Promise, ha nincs callback paraméter
      */
     arrivalsAndDeparturesForStop(opts, cb) {
-        return new Promise((resolve, reject) => {
-            const { stopId, minutesBefore, minutesAfter, onlyDepartures, includeReferences, version } = this._validateStop(opts);
+        return this._call(cb, () => {
+            const { query } = this._params('arrivalsAndDeparturesForStop', opts);
+            const { hydrate, signal } = opts;
+
+            return this.sendRequest('/arrivals-and-departures-for-stop.json', query, { hydrate, signal });
+        });
+    }
+
+    /**
+     * Több megálló induló és érkező járatainak lekérdezése egy időrendbe rendezett listában
+     * Az egyes megállók hibái nem szakítják meg a lekérdezést, ezek a válasz errors listájába kerülnek.
+     * Ha egyik megálló lekérdezése sem sikerül, az első hibával tér vissza.
+     * @param {string[]} stopIds a megállók azonosítói
+     * @param {object} [opts] a lekérdezés paramétereit tartalmazó objektum
+     * @param {number} [opts.minutesBefore = 0] perccel korábban
+     * @param {number} [opts.minutesAfter = 30] perccel később
+     * @param {boolean} [opts.onlyDepartures = true] csak az induló járatok lekérdezése
+     * @param {number} [opts.concurrency = 4] a párhuzamos lekérdezések maximális száma
+     * @param {(string|string[])} [opts.routeIds] csak a megadott viszonylatok járatai
+     * @param {(string|number)} [opts.directionId] csak a megadott irányú járatok
+     * @param {(string|string[])} [opts.mode] csak a megadott közlekedési módok járatai (BUS, TRAM, TROLLEYBUS, SUBWAY, RAIL, FERRY)
+     * @param {boolean} [opts.hydrate = config.hydrate] a referenciák feloldása kapcsolt objektumokká
+     * @param {AbortSignal} [opts.signal] a lekérdezést megszakító jelzés
+     * @param {Futar~requestCallback} [cb] a választ kezelő callback függvény
+     * @return {Promise} Promise, ha nincs callback paraméter
+     */
+    arrivalsAndDeparturesForStops(stopIds, opts, cb) {
+        if (typeof opts === 'function' && cb === undefined) {
+            cb = opts;
+            opts = undefined;
+        }
 
-            const params = {
+        return this._call(cb, () => {
+            if (!Array.isArray(stopIds) || !stopIds.length) {
+                throw new ValidationError('A stopIds megadása kötelező!');
+            }
+
+            const { values } = this._params('arrivalsAndDeparturesForStops', opts);
+            const { minutesBefore, minutesAfter, onlyDepartures, concurrency, routeIds, directionId, mode } = values;
+            const { hydrate, signal } = opts || {};
+            const filter = (routeIds || directionId !== undefined || mode) ? { routeIds, directionId, mode } : null;
+
+            const request = stopId => this.arrivalsAndDeparturesForStop({
                 stopId,
-                minutesBefore: minutesBefore || 0,
-                minutesAfter: minutesAfter || 30,
-                onlyDepartures: onlyDepartures || true,
-                includeReferences: includeReferences || this.config.includeReferences,
-                version: version || this.config.apiVersion
-            };
+                minutesBefore,
+                minutesAfter,
+                onlyDepartures,
+                includeReferences: true,
+                hydrate: false,
+                signal
+            });
 
-            this.sendRequest('/arrivals-and-departures-for-stop.json', params)
+            return util.mapLimit(util.unique(stopIds), concurrency || DEFAULT_CONCURRENCY, request)
+                .then(results => {
+                    if (results.every(result => result.error)) throw results[0].error;
+
+                    const data = departures.mergeStopDepartures(results, filter);
+                    return (hydrate !== undefined ? hydrate : this.config.hydrate) ? references.hydrate(data) : data;
+                });
+        });
+    }
+
+    /**
+     * Egy hely közelében induló járatok lekérdezése
+     * A közeli megállókat távolság szerint rangsorolja, majd viszonylatonként és irányonként csak a legközelebbi
+     * megálló indulásait adja vissza, kihagyva azokat, melyeket a becsült gyaloglási idő alatt nem lehet elérni.
+     * @param {object} opts a lekérdezés paramétereit tartalmazó objektum
+     * @param {number} opts.lat a hely szélességi foka
+     * @param {number} opts.lon a hely hosszúsági foka
+     * @param {number} [opts.radius = 500] a hely körüli keresési sugár méterben
+     * @param {number} [opts.limit = 10] a lekérdezett megállók maximális száma
+     * @param {number} [opts.minutesAfter = 30] perccel később
+     * @param {number} [opts.walkingSpeed = 1.3] a gyaloglási sebesség méter/másodpercben
+     * @param {number} [opts.concurrency = 4] a párhuzamos lekérdezések maximális száma
+     * @param {boolean} [opts.hydrate = config.hydrate] a referenciák feloldása kapcsolt objektumokká
+     * @param {AbortSignal} [opts.signal] a lekérdezést megszakító jelzés
+     * @param {Futar~requestCallback} [cb] a választ kezelő callback függvény
+     * @return {Promise} Promise, ha nincs callback paraméter
+     */
+    departuresNearLocation(opts, cb) {
+        return this._call(cb, () => {
+            const { values } = this._params('departuresNearLocation', opts);
+            const { lat, lon, radius, limit, minutesAfter, walkingSpeed, concurrency } = values;
+            const { hydrate, signal } = opts;
+            const location = { lat, lon };
+
+            let stops;
+
+            return this.stopsForLocation({ lat, lon, radius, includeReferences: false, hydrate: false, signal })
                 .then(data => {
-                    if (cb) cb(null, data);
-                    return resolve(data);
+                    stops = (data.list || [])
+                        .map(stop => {
+                            const distance = geo.distance(location, stop);
+                            return { stopId: stop.id, name: stop.name, distance, walkingTime: geo.walkingTime(distance, walkingSpeed) };
+                        })
+                        .sort((a, b) => a.distance - b.distance)
+                        .slice(0, limit);
+
+                    if (!stops.length) {
+                        return { entry: { stopTimes: [] }, references: {}, errors: [] };
+                    }
+
+                    const stopIds = stops.map(stop => stop.stopId);
+                    return this.arrivalsAndDeparturesForStops(stopIds, { minutesAfter, concurrency, hydrate: false, signal });
                 })
-                .catch(err => {
-                    if (cb) cb(err);
-                    return reject(err);
+                .then(merged => {
+                    const data = {
+                        entry: {
+                            stops,
+                            groups: departures.groupByNearestStop(merged, stops, this.config.clock() / 1000)
+                        },
+                        references: merged.references,
+                        errors: merged.errors
+                    };
+                    return (hydrate !== undefined ? hydrate : this.config.hydrate) ? references.hydrate(data) : data;
                 });
         });
     }
 
+    /**
+     * Egy megálló induló járatainak folyamatos figyelése
+     * @param {string} stopId a megálló azonosítója
+     * @param {object} [opts] a figyelés beállításai
+     * @param {number} [opts.minutesBefore = 0] perccel korábban
+     * @param {number} [opts.minutesAfter = 30] perccel később
+     * @param {number} [opts.interval = 15000] az alapértelmezett lekérdezési időköz ezredmásodpercben
+     * @param {number} [opts.minInterval = 5000] a lekérdezési időköz, ha a következő indulás 5 percen belül van
+     * @param {number} [opts.maxInterval = 60000] a lekérdezési időköz, ha 30 percen belül nincs indulás
+     * @param {number} [opts.maxBackoff = 300000] a hibák utáni várakozás felső korlátja ezredmásodpercben
+     * @return {StopWatcher} az eseményeket kibocsátó, aszinkron iterátorként is bejárható figyelő
+     */
+    watchStop(stopId, opts) {
+        this._params('arrivalsAndDeparturesForStop', stopId);
+        return new StopWatcher(this, stopId, opts);
+    }
+
     /**
      * Egy helytől adott sugáron belül lévő megállók lekérdezése
      * @param {object} opts a lekérdezés paramétereit tartalmazó objektum
@@ -74,36 +260,17 @@ class Futar {
      * @param {number} opts.lon a hely hosszúsági foka
      * @param {number} opts.radius a hely körüli keresési sugár
      * @param {boolean} [opts.includeReferences = config.includeReferences] referenciák megjelenítése a válaszban
+     * @param {boolean} [opts.hydrate = config.hydrate] a referenciák feloldása kapcsolt objektumokká
+     * @param {AbortSignal} [opts.signal] a lekérdezést megszakító jelzés
      * @param {Futar~requestCallback} [cb] a választ kezelő callback függvény
      * @return {Promise} Promise, ha nincs callback paraméter
      */
     stopsForLocation(opts, cb) {
-        return new Promise((resolve, reject) => {
-            if (!opts || !opts.lat || !opts.lon || !opts.radius) {
-                const err = new Error('A lat, lon és radius megadása kötelező!');
-                err.name = 'InvalidArgumentError';
-                throw err;
-            }
-
-            const { lat, lon, radius, includeReferences } = opts;
+        return this._call(cb, () => {
+            const { query } = this._params('stopsForLocation', opts);
+            const { hydrate, signal } = opts;
 
-            const params = {
-                lat,
-                lon,
-                radius,
-                includeReferences: includeReferences || this.config.includeReferences,
-                version: this.config.apiVersion
-            };
-
-            this.sendRequest('/stops-for-location.json', params)
-                .then(data => {
-                    if (cb) cb(null, data);
-                    return resolve(data);
-                })
-                .catch(err => {
-                    if (cb) cb(err);
-                    return reject(err);
-                });
+            return this.sendRequest('/stops-for-location.json', query, { hydrate, signal });
         });
     }
 
@@ -111,30 +278,67 @@ class Futar {
      * Egy megálló menetrendjének lekérdezése
      * @param {(object|string)} opts a lekérdezés paramétereit tartalmazó objektum vagy a stopId stringje
      * @param {string} opts.stopId a megálló azonosítója
-     * @param {string} [opts.day = aktuális nap] a menetrend napja 'YYYY-MM-DD' formátumban
+     * @param {(string|Date)} [opts.day = aktuális nap] a menetrend napja 'YYYY-MM-DD' formátumban, Date, ISO 8601 szöveg vagy unix timestamp
      * @param {boolean} [opts.includeReferences = config.includeReferences] referenciák megjelenítése a válaszban
+     * @param {boolean} [opts.hydrate = config.hydrate] a referenciák feloldása kapcsolt objektumokká
+     * @param {boolean} [opts.model = config.model] az eredmény becsomagolása Timetable objektumba
+     * @param {AbortSignal} [opts.signal] a lekérdezést megszakító jelzés
      * @param {Futar~requestCallback} [cb] a választ kezelő callback függvény
      * @return {Promise} Promise, ha nincs callback paraméter
      */
     scheduleForStop(opts, cb) {
-        return new Promise((resolve, reject) => {
-            const { stopId, day, includeReferences } = this._validateStop(opts);
+        return this._call(cb, () => {
+            const { query } = this._params('scheduleForStop', opts);
+            const { hydrate, model, signal } = opts;
+            const useModel = this._useModel(model);
+            if (useModel) query.includeReferences = true;
 
-            const params = {
-                stopId,
-                day: day || moment().format('YYYY-MM-DD'),
-                includeReferences: includeReferences || this.config.includeReferences,
-                version: this.config.apiVersion
-            };
+            return this.sendRequest('/schedule-for-stop.json', query, { hydrate: useModel ? false : hydrate, signal })
+                .then(data => useModel ? new timetable.Timetable(data, { clock: this.config.clock }) : data);
+        });
+    }
 
-            this.sendRequest('/schedule-for-stop.json', params)
-                .then(data => {
-                    if (cb) cb(null, data);
-                    return resolve(data);
-                })
-                .catch(err => {
-                    if (cb) cb(err);
-                    return reject(err);
+    /**
+     * Egy megálló több napra szóló menetrendje
+     * Az egyes napok hibái nem szakítják meg a lekérdezést, ezek a Timetable errors listájába kerülnek.
+     * Ha egyik nap lekérdezése sem sikerül, az első hibával tér vissza.
+     * @param {(object|string)} opts a lekérdezés paramétereit tartalmazó objektum vagy a stopId stringje
+     * @param {string} opts.stopId a megálló azonosítója
+     * @param {(string|Date)} [opts.day = aktuális nap] az első nap 'YYYY-MM-DD' formátumban, Date, ISO 8601 szöveg vagy unix timestamp
+     * @param {(number|string[])} [opts.days = 1] a napok száma az első naptól, vagy a lekérdezendő napok listája
+     * @param {boolean} [opts.variants = false] az első naptól számított első munkanap, szombat és vasárnap lekérdezése
+     * @param {number} [opts.concurrency = 4] a párhuzamos lekérdezések maximális száma
+     * @param {AbortSignal} [opts.signal] a lekérdezést megszakító jelzés
+     * @param {Futar~requestCallback} [cb] a választ kezelő callback függvény
+     * @return {Promise<Timetable>} Promise, ha nincs callback paraméter
+     */
+    timetable(opts, cb) {
+        return this._call(cb, () => {
+            const { values } = this._params('timetable', opts);
+            const { stopId, day, days, variants, concurrency } = values;
+            const { signal } = opts;
+            const start = moment.tz(day, timetable.TIMEZONE);
+
+            let list;
+            if (variants) {
+                list = timetable.variantDays(day);
+            } else if (typeof days === 'string') {
+                list = days.split(',');
+            } else {
+                list = Array.from({ length: days }, (value, i) => start.clone().add(i, 'days').format('YYYY-MM-DD'));
+            }
+
+            const request = date => this.scheduleForStop({ stopId, day: date, includeReferences: true, hydrate: false, model: false, signal });
+
+            return util.mapLimit(util.unique(list), concurrency || DEFAULT_CONCURRENCY, request)
+                .then(results => {
+                    if (results.every(result => result.error)) throw results[0].error;
+
+                    const model = new timetable.Timetable(results.filter(result => !result.error).map(result => result.value), { clock: this.config.clock });
+                    model.errors = results
+                        .filter(result => result.error)
+                        .map(result => ({ day: result.item, error: result.error }));
+                    return model;
                 });
         });
     }
@@ -144,27 +348,21 @@ class Futar {
      * @param {(object|string)} opts a lekérdezés paramétereit tartalmazó objektum vagy a stopId stringje
      * @param {string} opts.stopId a megálló azonosítója
      * @param {boolean} [opts.includeReferences = config.includeReferences] referenciák megjelenítése a válaszban
+     * @param {boolean} [opts.hydrate = config.hydrate] a referenciák feloldása kapcsolt objektumokká
+     * @param {boolean} [opts.model = config.model] az eredmény becsomagolása Route objektumok tömbjébe, a routeDetails modelljével azonos formában
+     * @param {AbortSignal} [opts.signal] a lekérdezést megszakító jelzés
      * @param {Futar~requestCallback} [cb] a választ kezelő callback függvény
      * @return {Promise} Promise, ha nincs callback paraméter
      */
     routeDetailsForStop(opts, cb) {
-        return new Promise((resolve, reject) => {
-            const { stopId, includeReferences } = this._validateStop(opts);
+        return this._call(cb, () => {
+            const { query } = this._params('routeDetailsForStop', opts);
+            const { hydrate, model, signal } = opts;
+            const useModel = this._useModel(model);
+            if (useModel) query.includeReferences = true;
 
-            const params = {
-                stopId,
-                includeReferences: includeReferences || this.config.includeReferences
-            };
-
-            this.sendRequest('/route-details-for-stop.json', params)
-                .then(data => {
-                    if (cb) cb(null, data);
-                    return resolve(data);
-                })
-                .catch(err => {
-                    if (cb) cb(err);
-                    return reject(err);
-                });
+            return this.sendRequest('/route-details-for-stop.json', query, { hydrate: useModel ? false : hydrate, signal })
+                .then(data => useModel ? route.fromResponse(data) : data);
         });
     }
 
@@ -174,29 +372,128 @@ class Futar {
      * @param {string} opts.stopId a megálló azonosítója
      * @param {number} [opts.ifModifiedSince = 0] új adatok visszaadása, ha azok változtak a megadott időpont óta (unix timestamp)
      * @param {boolean} [opts.includeReferences = config.includeReferences] referenciák megjelenítése a válaszban
+     * @param {boolean} [opts.hydrate = config.hydrate] a referenciák feloldása kapcsolt objektumokká
+     * @param {AbortSignal} [opts.signal] a lekérdezést megszakító jelzés
+     * @param {Futar~requestCallback} [cb] a választ kezelő callback függvény
+     * @return {Promise} Promise, ha nincs callback paraméter
+     */
+    vehiclesForStop(opts, cb) {
+        return this._call(cb, () => {
+            const { query } = this._params('vehiclesForStop', opts);
+            const { hydrate, signal } = opts;
+
+            return this.sendRequest('/vehicles-for-stop.json', query, { hydrate, signal });
+        });
+    }
+
+    /**
+     * Egy megállót érintő járművek részletei
+     * @deprecated a helyes nevű vehiclesForStop metódust kell használni
+     * @param {(object|string)} opts a lekérdezés paramétereit tartalmazó objektum vagy a stopId stringje
      * @param {Futar~requestCallback} [cb] a választ kezelő callback függvény
      * @return {Promise} Promise, ha nincs callback paraméter
      */
     vechiclesForStop(opts, cb) {
-        return new Promise((resolve, reject) => {
-            const { stopId, ifModifiedSince, includeReferences } = this._validateStop(opts);
+        return this.vehiclesForStop(opts, cb);
+    }
 
-            const params = {
-                stopId,
-                ifModifiedSince: ifModifiedSince || 0,
-                includeReferences: includeReferences || this.config.includeReferences,
-                version: this.config.apiVersion
-            };
+    /**
+     * Egy viszonylat járműveinek részletei
+     * @param {(object|string)} opts a lekérdezés paramétereit tartalmazó objektum vagy a routeId stringje
+     * @param {string} opts.routeId a viszonylat azonosítója
+     * @param {boolean} [opts.related = false] kapcsolódó viszonylatok járműveinek mutatása
+     * @param {number} [opts.ifModifiedSince = 0] új adatok visszaadása, ha azok változtak a megadott időpont óta (unix timestamp)
+     * @param {boolean} [opts.includeReferences = config.includeReferences] referenciák megjelenítése a válaszban
+     * @param {boolean} [opts.hydrate = config.hydrate] a referenciák feloldása kapcsolt objektumokká
+     * @param {AbortSignal} [opts.signal] a lekérdezést megszakító jelzés
+     * @param {Futar~requestCallback} [cb] a választ kezelő callback függvény
+     * @return {Promise} Promise, ha nincs callback paraméter
+     */
+    vehiclesForRoute(opts, cb) {
+        return this._call(cb, () => {
+            const { query } = this._params('vehiclesForRoute', opts);
+            const { hydrate, signal } = opts;
 
-            this.sendRequest('/vehicles-for-stop.json', params)
-                .then(data => {
-                    if (cb) cb(null, data);
-                    return resolve(data);
-                })
-                .catch(err => {
-                    if (cb) cb(err);
-                    return reject(err);
-                });
+            return this.sendRequest('/vehicles-for-route.json', query, { hydrate, signal });
+        });
+    }
+
+    /**
+     * Egy területen lévő járművek részletei
+     * A terület megadható középponttal és sugárral, középponttal és kiterjedéssel, vagy befoglaló téglalappal.
+     * @param {object} opts a lekérdezés paramétereit tartalmazó objektum
+     * @param {number} [opts.lat] a középpont szélességi foka
+     * @param {number} [opts.lon] a középpont hosszúsági foka
+     * @param {number} [opts.radius] a középpont körüli keresési sugár
+     * @param {number} [opts.latSpan] a terület kiterjedése szélességi fokban
+     * @param {number} [opts.lonSpan] a terület kiterjedése hosszúsági fokban
+     * @param {number} [opts.minLat] a befoglaló téglalap déli határa
+     * @param {number} [opts.minLon] a befoglaló téglalap nyugati határa
+     * @param {number} [opts.maxLat] a befoglaló téglalap északi határa
+     * @param {number} [opts.maxLon] a befoglaló téglalap keleti határa
+     * @param {number} [opts.ifModifiedSince = 0] új adatok visszaadása, ha azok változtak a megadott időpont óta (unix timestamp)
+     * @param {boolean} [opts.includeReferences = config.includeReferences] referenciák megjelenítése a válaszban
+     * @param {boolean} [opts.hydrate = config.hydrate] a referenciák feloldása kapcsolt objektumokká
+     * @param {AbortSignal} [opts.signal] a lekérdezést megszakító jelzés
+     * @param {Futar~requestCallback} [cb] a választ kezelő callback függvény
+     * @return {Promise} Promise, ha nincs callback paraméter
+     */
+    vehiclesForLocation(opts, cb) {
+        return this._call(cb, () => {
+            const { query } = this._params('vehiclesForLocation', opts);
+            const { hydrate, signal } = opts;
+
+            return this.sendRequest('/vehicles-for-location.json', query, { hydrate, signal });
+        });
+    }
+
+    /**
+     * Egy menet részletei a valós idejű megállási időkkel
+     * @param {(object|string)} opts a lekérdezés paramétereit tartalmazó objektum vagy a tripId stringje
+     * @param {string} opts.tripId a menet azonosítója
+     * @param {(string|Date)} [opts.date = aktuális nap] a menet napja 'YYYYMMDD' formátumban, Date, ISO 8601 szöveg vagy unix timestamp
+     * @param {string} [opts.vehicleId] a menetet teljesítő jármű azonosítója
+     * @param {boolean} [opts.includeReferences = config.includeReferences] referenciák megjelenítése a válaszban
+     * @param {boolean} [opts.hydrate = config.hydrate] a referenciák feloldása kapcsolt objektumokká
+     * @param {AbortSignal} [opts.signal] a lekérdezést megszakító jelzés
+     * @param {Futar~requestCallback} [cb] a választ kezelő callback függvény
+     * @return {Promise} Promise, ha nincs callback paraméter
+     */
+    tripDetails(opts, cb) {
+        return this._call(cb, () => {
+            const { query } = this._params('tripDetails', opts);
+            const { hydrate, signal } = opts;
+
+            return this.sendRequest('/trip-details.json', query, { hydrate, signal });
+        });
+    }
+
+    /**
+     * Egy területen közlekedő menetek lekérdezése
+     * A terület megadható középponttal és sugárral, középponttal és kiterjedéssel, vagy befoglaló téglalappal.
+     * @param {object} opts a lekérdezés paramétereit tartalmazó objektum
+     * @param {number} [opts.lat] a középpont szélességi foka
+     * @param {number} [opts.lon] a középpont hosszúsági foka
+     * @param {number} [opts.radius] a középpont körüli keresési sugár
+     * @param {number} [opts.latSpan] a terület kiterjedése szélességi fokban
+     * @param {number} [opts.lonSpan] a terület kiterjedése hosszúsági fokban
+     * @param {number} [opts.minLat] a befoglaló téglalap déli határa
+     * @param {number} [opts.minLon] a befoglaló téglalap nyugati határa
+     * @param {number} [opts.maxLat] a befoglaló téglalap északi határa
+     * @param {number} [opts.maxLon] a befoglaló téglalap keleti határa
+     * @param {number} [opts.ifModifiedSince = 0] új adatok visszaadása, ha azok változtak a megadott időpont óta (unix timestamp)
+     * @param {boolean} [opts.includeReferences = config.includeReferences] referenciák megjelenítése a válaszban
+     * @param {boolean} [opts.hydrate = config.hydrate] a referenciák feloldása kapcsolt objektumokká
+     * @param {AbortSignal} [opts.signal] a lekérdezést megszakító jelzés
+     * @param {Futar~requestCallback} [cb] a választ kezelő callback függvény
+     * @return {Promise} Promise, ha nincs callback paraméter
+     */
+    tripsForLocation(opts, cb) {
+        return this._call(cb, () => {
+            const { query } = this._params('tripsForLocation', opts);
+            const { hydrate, signal } = opts;
+
+            return this.sendRequest('/trips-for-location.json', query, { hydrate, signal });
         });
     }
 
@@ -205,27 +502,17 @@ class Futar {
      * @param {(object|string)} opts a lekérdezés paramétereit tartalmazó objektum vagy a stopId stringje
      * @param {string} opts.stopId a megálló azonosítója
      * @param {boolean} [opts.includeReferences = config.includeReferences] referenciák megjelenítése a válaszban
+     * @param {boolean} [opts.hydrate = config.hydrate] a referenciák feloldása kapcsolt objektumokká
+     * @param {AbortSignal} [opts.signal] a lekérdezést megszakító jelzés
      * @param {Futar~requestCallback} [cb] a választ kezelő callback függvény
      * @return {Promise} Promise, ha nincs callback paraméter
      */
     stop(opts, cb) {
-        return new Promise((resolve, reject) => {
-            const { stopId, includeReferences } = this._validateStop(opts);
-
-            const params = {
-                includeReferences: includeReferences || this.config.includeReferences,
-                version: this.config.apiVersion
-            };
+        return this._call(cb, () => {
+            const { values, query } = this._params('stop', opts);
+            const { hydrate, signal } = opts;
 
-            this.sendRequest(`/stop/${stopId}.json`, params)
-                .then(data => {
-                    if (cb) cb(null, data);
-                    return resolve(data);
-                })
-                .catch(err => {
-                    if (cb) cb(err);
-                    return reject(err);
-                });
+            return this.sendRequest(`/stop/${encodeURIComponent(values.stopId)}.json`, query, { hydrate, signal });
         });
     }
 
@@ -234,27 +521,17 @@ class Futar {
      * @param {(object|string)} opts a lekérdezés paramétereit tartalmazó objektum vagy a routeId stringje
      * @param {string} opts.routeId a viszonylat azonosítója
      * @param {boolean} [opts.includeReferences = config.includeReferences] referenciák megjelenítése a válaszban
+     * @param {boolean} [opts.hydrate = config.hydrate] a referenciák feloldása kapcsolt objektumokká
+     * @param {AbortSignal} [opts.signal] a lekérdezést megszakító jelzés
      * @param {Futar~requestCallback} [cb] a választ kezelő callback függvény
      * @return {Promise} Promise, ha nincs callback paraméter
      */
     route(opts, cb) {
-        return new Promise((resolve, reject) => {
-            const { routeId, includeReferences } = this._validateRoute(opts);
+        return this._call(cb, () => {
+            const { values, query } = this._params('route', opts);
+            const { hydrate, signal } = opts;
 
-            const params = {
-                includeReferences: includeReferences || this.config.includeReferences,
-                version: this.config.apiVersion
-            };
-
-            this.sendRequest(`/route/${routeId}.json`, params)
-                .then(data => {
-                    if (cb) cb(null, data);
-                    return resolve(data);
-                })
-                .catch(err => {
-                    if (cb) cb(err);
-                    return reject(err);
-                });
+            return this.sendRequest(`/route/${encodeURIComponent(values.routeId)}.json`, query, { hydrate, signal });
         });
     }
 
@@ -264,29 +541,21 @@ class Futar {
      * @param {string} opts.routeId a viszonylat azonosítója
      * @param {boolean} [opts.related = false] kapcsolódó adatok mutatása
      * @param {boolean} [opts.includeReferences = config.includeReferences] referenciák megjelenítése a válaszban
+     * @param {boolean} [opts.hydrate = config.hydrate] a referenciák feloldása kapcsolt objektumokká
+     * @param {boolean} [opts.model = config.model] az eredmény becsomagolása Route objektumba (változatokkal)
+     * @param {AbortSignal} [opts.signal] a lekérdezést megszakító jelzés
      * @param {Futar~requestCallback} [cb] a választ kezelő callback függvény
      * @return {Promise} Promise, ha nincs callback paraméter
      */
     routeDetails(opts, cb) {
-        return new Promise((resolve, reject) => {
-            const { routeId, related, includeReferences } = this._validateRoute(opts);
+        return this._call(cb, () => {
+            const { query } = this._params('routeDetails', opts);
+            const { hydrate, model, signal } = opts;
+            const useModel = this._useModel(model);
+            if (useModel) query.includeReferences = true;
 
-            const params = {
-                routeId,
-                related: related || false,
-                includeReferences: includeReferences || this.config.includeReferences,
-                version: this.config.apiVersion
-            };
-
-            this.sendRequest('/route-details.json', params)
-                .then(data => {
-                    if (cb) cb(null, data);
-                    return resolve(data);
-                })
-                .catch(err => {
-                    if (cb) cb(err);
-                    return reject(err);
-                });
+            return this.sendRequest('/route-details.json', query, { hydrate: useModel ? false : hydrate, signal })
+                .then(data => useModel ? route.fromResponse(data)[0] || null : data);
         });
     }
 
@@ -294,128 +563,120 @@ class Futar {
      * Megállók, viszonylatok keresése
      * @param {(object|string)} opts a lekérdezés paramétereit tartalmazó objektum vagy a query stringje
      * @param {string} opts.query a keresést tartalmazó string
+     * @param {boolean} [opts.hydrate = config.hydrate] a referenciák feloldása kapcsolt objektumokká
+     * @param {AbortSignal} [opts.signal] a lekérdezést megszakító jelzés
      * @param {Futar~requestCallback} [cb] a választ kezelő callback függvény
      * @return {Promise} Promise, ha nincs callback paraméter
      */
     search(opts, cb) {
-        return new Promise((resolve, reject) => {
-            if (!opts || (typeof opts === 'object') && !opts.query) {
-                const err = new Error('A query megadása kötelező!');
-                err.name = 'InvalidArgumentError';
-                throw err;
-            }
-
-            if (typeof opts === 'string') {
-                const query = opts;
-                opts = { query };
-            }
+        return this._call(cb, () => {
+            const { query } = this._params('search', opts);
+            const { hydrate, signal } = opts;
 
-            const { query, includeReferences } = opts;
-
-            const params = {
-                query,
-                includeReferences: includeReferences || this.config.includeReferences,
-                version: this.config.apiVersion
-            };
-
-            this.sendRequest('/search.json', params)
-                .then(data => {
-                    if (cb) cb(null, data);
-                    return resolve(data);
-                })
-                .catch(err => {
-                    if (cb) cb(err);
-                    return reject(err);
-                });
+            return this.sendRequest('/search.json', query, { hydrate, signal });
         });
     }
 
     /**
      * Metaadatok lekérdezése
+     * @param {object} [opts] a lekérdezés paramétereit tartalmazó objektum
+     * @param {AbortSignal} [opts.signal] a lekérdezést megszakító jelzés
      * @param {Futar~requestCallback} [cb] a választ kezelő callback függvény
      * @return {Promise} Promise, ha nincs callback paraméter
      */
-    metadata(cb) {
-        return new Promise((resolve, reject) => {
-            const params = { includeReferences: false, version: this.config.apiVersion };
+    metadata(opts, cb) {
+        if (typeof opts === 'function' && cb === undefined) {
+            cb = opts;
+            opts = undefined;
+        }
 
-            this.sendRequest('/metadata.json', params)
-                .then(data => {
-                    if (cb) cb(null, data);
-                    return resolve(data);
-                })
-                .catch(err => {
-                    if (cb) cb(err);
-                    return reject(err);
-                });
+        return this._call(cb, () => {
+            const { query } = this._params('metadata', opts);
+            const { signal } = opts || {};
+
+            return this.sendRequest('/metadata.json', query, { hydrate: false, signal });
         });
     }
 
     /**
      * Bubi terminálok adatainak lekérdezése
+     * @param {object} [opts] a lekérdezés paramétereit tartalmazó objektum
+     * @param {boolean} [opts.model = config.model] az eredmény becsomagolása BikeShare objektumba
+     * @param {AbortSignal} [opts.signal] a lekérdezést megszakító jelzés
      * @param {Futar~requestCallback} [cb] a választ kezelő callback függvény
      * @return {Promise} Promise, ha nincs callback paraméter
      */
-    bicycleRental(cb) {
-        return new Promise((resolve, reject) => {
-            const params = { includeReferences: false, version: this.config.apiVersion };
+    bicycleRental(opts, cb) {
+        if (typeof opts === 'function' && cb === undefined) {
+            cb = opts;
+            opts = undefined;
+        }
 
-            this.sendRequest('/bicycle-rental.json', params)
-                .then(data => {
-                    if (cb) cb(null, data);
-                    return resolve(data);
-                })
-                .catch(err => {
-                    if (cb) cb(err);
-                    return reject(err);
-                });
+        return this._call(cb, () => {
+            const { query } = this._params('bicycleRental', opts);
+            const { model, signal } = opts || {};
+
+            return this.sendRequest('/bicycle-rental.json', query, { hydrate: false, signal })
+                .then(data => this._useModel(model) ? new BikeShare(data, { clock: this.config.clock }) : data);
         });
     }
 
+    /**
+     * A Bubi állomások folyamatos figyelése (kiürülő, megtelő állomások)
+     * @param {object} [opts] a figyelés beállításai
+     * @param {number} [opts.interval = 60000] a lekérdezési időköz ezredmásodpercben
+     * @param {number} [opts.maxBackoff = 600000] a hibák utáni várakozás felső korlátja ezredmásodpercben
+     * @return {BikeShareWatcher} az eseményeket kibocsátó figyelő
+     */
+    watchBikeShare(opts) {
+        return new BikeShareWatcher(this, opts);
+    }
+
     /**
      * Forgalmi változások lekérdezése
      * @param {(object|string)} opts a lekérdezés paramétereit tartalmazó objektum vagy a query stringje
      * @param {string=} opts.query a megálló azonosítója, melyet érintő forgalmi változások kerülnek visszaadásra, ha nincs megadva, az összes forgalmi változás visszaadásra kerül
+     * @param {boolean} [opts.hydrate = config.hydrate] a referenciák feloldása kapcsolt objektumokká
+     * @param {boolean} [opts.model = config.model] az eredmény becsomagolása Alerts objektumba
+     * @param {string} [opts.lang = config.lang] a model szövegeinek alapértelmezett nyelve (hu, en)
+     * @param {AbortSignal} [opts.signal] a lekérdezést megszakító jelzés
      * @param {Futar~requestCallback} [cb] a választ kezelő callback függvény
      * @return {Promise} Promise, ha nincs callback paraméter
      */
     alertSearch(opts, cb) {
-        return new Promise((resolve, reject) => {
-
-            if (typeof opts === 'string') {
-                const query = opts;
-                opts = { query };
-            }
-
-            if (typeof opts === 'function' && cb === undefined) {
-                cb = opts;
-                opts = undefined;
-            }
-
-            if (opts === undefined || typeof opts === 'function') {
-                opts = {};
-            }
-
-            const { query, includeReferences } = opts;
+        if (typeof opts === 'function' && cb === undefined) {
+            cb = opts;
+            opts = undefined;
+        }
 
-            const params = {
-                query: query || '',
-                includeReferences: includeReferences || this.config.includeReferences,
-                version: this.config.apiVersion
-            };
+        return this._call(cb, () => {
+            const { query } = this._params('alertSearch', opts);
+            const { hydrate, model, lang, signal } = opts || {};
+            const useModel = this._useModel(model);
+            if (useModel) query.includeReferences = true;
 
-            this.sendRequest('/alert-search.json', params)
-                .then(data => {
-                    if (cb) cb(null, data);
-                    return resolve(data);
-                })
-                .catch(err => {
-                    if (cb) cb(err);
-                    return reject(err);
-                });
+            return this.sendRequest('/alert-search.json', query, { hydrate: useModel ? false : hydrate, signal })
+                .then(data => useModel ? new Alerts(data, { lang: lang || this.config.lang, clock: this.config.clock }) : data);
         });
     }
 
+    /**
+     * Forgalmi változások folyamatos figyelése (új, módosult és lejárt forgalmi változások)
+     * @param {(object|string)} [opts] a figyelés beállításai vagy a query stringje
+     * @param {string} [opts.query] a megálló azonosítója, melyet érintő forgalmi változások figyelendők
+     * @param {string} [opts.lang = config.lang] a szövegek alapértelmezett nyelve (hu, en)
+     * @param {number} [opts.interval = 60000] a lekérdezési időköz ezredmásodpercben
+     * @param {number} [opts.maxBackoff = 600000] a hibák utáni várakozás felső korlátja ezredmásodpercben
+     * @return {AlertMonitor} az eseményeket kibocsátó figyelő
+     */
+    monitorAlerts(opts) {
+        if (typeof opts === 'string') {
+            const query = opts;
+            opts = { query };
+        }
+        return new AlertMonitor(this, opts);
+    }
+
     /**
      * Utazás tervezése
      * @param {object} opts a tervezés paramétereit tartalmazó objektum
@@ -427,7 +688,7 @@ class Futar {
      * @param {string} [opts.toName] az érkezési hely neve
      * @param {number} [opts.maxTransfers = 5] maximális átszállások száma
      * @param {boolean} [opts.showIntermediateStops = true] köztes megállók megjelenítése
-     * @param {number} [opts.dateTime = aktuális idő] indulási/érkezési idő (Unix Timestamp)
+     * @param {(number|string|Date)} [opts.dateTime = aktuális idő] indulási/érkezési idő (unix timestamp, Date vagy ISO 8601 szöveg)
      * @param {boolean} [opts.arriveBy = false] ha igaz, akkor a dateTime mező érkezési, ha hamis akkor indulási időpontnak számít
      * @param {number} [opts.maxWalkDistance = 3000] maximális séta hossza méterben
      * @param {boolean} [opts.wheelchair = false] tervezés akadálymentes járatokkal
@@ -439,121 +700,396 @@ class Futar {
      * @param {number} [opts.triangleSlopeFactor = 0] kerékpáros tervezés estén (optimize = TRIANGLE) mennyire számít a meredekség (0...1)
      * @param {boolean} [opts.ignoreRealtimeUpdates = false] valós idejű menetrendi információk figylemen kívül hagyása
      * @param {boolean} [opts.includeReferences = config.includeReferences] referenciák megjelenítése a válaszban
+     * @param {boolean} [opts.hydrate = config.hydrate] a referenciák feloldása kapcsolt objektumokká
+     * @param {boolean} [opts.model = config.model] az eredmény becsomagolása Plan objektumba (Itinerary és Leg elemekkel)
+     * @param {AbortSignal} [opts.signal] a lekérdezést megszakító jelzés
      * @param {Futar~requestCallback} [cb] a választ kezelő callback függvény
      * @return {Promise} Promise, ha nincs callback paraméter
      */
     planTrip(opts, cb) {
-        return new Promise((resolve, reject) => {
-            if (!opts || !opts.fromLat || !opts.fromLon || !opts.toLat || !opts.toLon) {
-                const err = new Error('A fromLat, fromLon, toLat és toLon megadása kötelező!');
-                err.name = 'InvalidArgumentError';
-                throw err;
-            }
-
-            const { fromLat, fromLon, toLat, toLon, fromName, toName, maxTransfers, showIntermediateStops, dateTime, arriveBy, maxWalkDistance, wheelchair, numItineraries, optimize, mode, triangleSafetyFactor, triangleTimeFactor, triangleSlopeFactor, ignoreRealtimeUpdates, includeReferences } = opts;
+        return this._call(cb, () => {
+            const { values, query } = this._params('planTrip', opts);
+            const { fromLat, fromLon, toLat, toLon, fromName, toName, dateTime, triangleSafetyFactor, triangleTimeFactor, triangleSlopeFactor } = values;
+            const { hydrate, model, signal } = opts;
 
             const fromPlace = `${fromLat},${fromLon}`;
             const toPlace = `${toLat},${toLon}`;
 
-            const params = {
+            const params = Object.assign({
                 fromPlace: fromName ? `${fromName}::${fromPlace}` : fromPlace,
-                toPlace: toName ? `${toName}::${toPlace}` : toPlace,
-                maxTransfers: maxTransfers || 5,
-                numItineraries: numItineraries || 10,
-                showIntermediateStops: showIntermediateStops || true,
-                arriveBy: arriveBy || false,
-                maxWalkDistance: maxWalkDistance || 3000,
-                wheelchair: wheelchair || false,
-                ignoreRealtimeUpdates: ignoreRealtimeUpdates || false,
-                optimize: optimize || 'QUICK',
-                mode: mode || 'WALK,SUBWAY,RAIL,FERRY,TRAM,TROLLEYBUS,BUS',
-                includeReferences: includeReferences || this.config.includeReferences,
-                version: this.config.apiVersion
-            };
+                toPlace: toName ? `${toName}::${toPlace}` : toPlace
+            }, query);
 
             if (dateTime) {
-                params.date = moment(dateTime).format('YYYY-MM-DD');
-                params.time = moment(dateTime).format('HH:mm');
+                params.date = dateTime.format('YYYY-MM-DD');
+                params.time = dateTime.format('HH:mm');
             }
 
-            if (optimize === 'TRIANGLE') {
-                params.triangleSafetyFactor = triangleSafetyFactor || 1;
-                params.triangleTimeFactor = triangleTimeFactor || 0;
-                params.triangleSlopeFactor = triangleSlopeFactor || 0;
+            if (values.optimize === 'TRIANGLE') {
+                params.triangleSafetyFactor = triangleSafetyFactor !== undefined ? triangleSafetyFactor : 1;
+                params.triangleTimeFactor = triangleTimeFactor !== undefined ? triangleTimeFactor : 0;
+                params.triangleSlopeFactor = triangleSlopeFactor !== undefined ? triangleSlopeFactor : 0;
             }
 
-            this.sendRequest('/plan-trip.json', params)
-                .then(data => {
-                    if (cb) cb(null, data);
-                    return resolve(data);
-                })
-                .catch(err => {
-                    if (cb) cb(err);
-                    return reject(err);
-                });
+            return this.sendRequest('/plan-trip.json', params, { hydrate, signal })
+                .then(data => this._useModel(model) ? new Plan(data) : data);
         });
     }
 
+    /**
+     * Egy megtervezett útvonal átszállásainak figyelése valós idejű adatok alapján
+     * Jelzi, ha egy átszállás veszélybe kerül vagy nem érhető el, illetve ha forgalmi változás érinti valamelyik szakaszt.
+     * Az el nem érhető átszállás eseményében kapott transfer.replan függvénnyel az út újratervezhető.
+     * @param {(Itinerary|object)} itinerary a figyelendő útvonal (a planTrip eredményének egy eleme, Itinerary vagy nyers formában)
+     * @param {object} [opts] a figyelés beállításai
+     * @param {number} [opts.riskMargin = 120] az átszállás veszélyeztetett, ha a séta után ennél kevesebb idő (másodperc) marad az indulásig
+     * @param {object} [opts.plan] az újratervezéskor használt további planTrip paraméterek (pl. mode, wheelchair)
+     * @param {string} [opts.lang = config.lang] a forgalmi változások szövegeinek alapértelmezett nyelve (hu, en)
+     * @param {number} [opts.interval = 30000] a lekérdezési időköz ezredmásodpercben
+     * @param {number} [opts.maxBackoff = 300000] a hibák utáni várakozás felső korlátja ezredmásodpercben
+     * @return {ItineraryMonitor} az eseményeket kibocsátó, aszinkron iterátorként is bejárható figyelő
+     */
+    monitorItinerary(itinerary, opts) {
+        if (!itinerary || typeof itinerary !== 'object') {
+            throw new ValidationError('Az itinerary megadása kötelező!');
+        }
+
+        const model = itinerary instanceof Itinerary ? itinerary : new Itinerary(itinerary);
+        if (!model.transitLegs.some(leg => leg.tripId)) {
+            throw new ValidationError('Az útvonal nem tartalmaz menetazonosítóval rendelkező, járművel megtett szakaszt!');
+        }
+
+        return new ItineraryMonitor(this, model, opts);
+    }
+
+    /**
+     * HTTP szerver létrehozása, mely a kliens metódusait REST útvonalakon teszi elérhetővé (pl. /stops/:stopId/departures, /plan, /alerts)
+     * Az API kulcs a szerveren marad, a lekérdezések a kliens validációját és gyorsítótárát használják.
+     * @param {object} [opts] beállítások
+     * @param {string} [opts.cors = '*'] az Access-Control-Allow-Origin fejléc értéke (false: nincs CORS fejléc)
+     * @param {string} [opts.prefix = ''] az útvonalak közös előtagja (pl. '/api')
+     * @return {http.Server} a szerver, melyen a listen hívás a hívó feladata
+     */
+    createServer(opts) {
+        return server.createServer(this, opts);
+    }
+
     /**
      * Futár API lekérdezés küldése
+     * Bekapcsolt gyorsítótár esetén a választ a gyorsítótárból szolgálja ki, ha lehetséges.
      * @param {string} endpoint az API endpoint URI
      * @param {object} params a lekérdezés paramétereit tartalmazó objektum
+     * @param {object} [opts] a válasz feldolgozásának beállításai
+     * @param {boolean} [opts.hydrate = config.hydrate] a referenciák feloldása kapcsolt objektumokká
+     * @param {AbortSignal} [opts.signal] a lekérdezést megszakító jelzés
      * @return {Promise}
      */
-    sendRequest(endpoint, params) {
-        const rpOptions = {
-            uri: endpoint,
-            qs: params,
-            json: true
-        };
+    sendRequest(endpoint, params, opts) {
+        const { hydrate, signal } = opts || {};
+        const event = this._event(endpoint, params);
+        const start = Date.now();
+        let cache = null;
+
+        this.emit('request', event);
+
+        const request = this.cache
+            ? abortable(this.cache.fetch(endpoint, params, p => this._request(endpoint, p, undefined, event), result => {
+                cache = result;
+            }), signal)
+            : this._request(endpoint, params, signal, event);
 
-        return rp(rpOptions)
+        return request
+            .catch(err => this._fallback(endpoint, params, err))
             .then(data => {
-                if (data.code !== 200) {
-                    const err = new Error(data.text);
-                    err.code = data.code;
-                    err.name = 'InvalidArgumentError';
-                    throw err;
+                const offline = Boolean(data.data && data.data.offline);
+                this.emit('response', Object.assign({}, event, { status: data.code, latency: Date.now() - start, cache, offline }));
+                return data;
+            }, err => {
+                this.emit('error', Object.assign({}, event, { status: statusOf(err), latency: Date.now() - start, cache, error: err }));
+                throw err;
+            })
+            .then(data => {
+                if (hydrate !== undefined ? hydrate : this.config.hydrate) {
+                    return references.hydrate(data.data);
                 }
                 return data.data;
             });
     }
 
+    /**
+     * Figyelő nélkül az error esemény nem dob kivételt, a hibát a Promise, illetve a callback kapja meg
+     */
+    emit(type, ...args) {
+        if (type === 'error' && !this.listenerCount('error')) return false;
+        return super.emit(type, ...args);
+    }
+
+    /**
+     * A gyorsítótár ürítése
+     * @return {Promise}
+     */
+    clearCache() {
+        return this.cache ? this.cache.clear() : Promise.resolve();
+    }
+
+    /**
+     * A tartalék menetrendi adatok (config.offline) betöltése
+     * Magától az első tartalék lekérdezéskor történik meg, így a tartalékot soha nem igénylő kliens nem tölti be az adatokat.
+     * Sikertelen betöltés esetén a következő hívás újrapróbálja.
+     * @return {Promise<GtfsStore>}
+     */
+    loadOffline() {
+        if (!this.config.offline) return Promise.reject(new ValidationError('Nincsenek megadva tartalék menetrendi adatok (config.offline)!'));
+        if (!this._offline) {
+            const source = this.config.offline;
+            this._offline = source instanceof gtfs.GtfsStore ? Promise.resolve(source) : gtfs.load(source);
+            this._offline.catch(() => {
+                this._offline = null;
+            });
+        }
+        return this._offline;
+    }
+
+    /**
+     * Egy lekérdezés elküldése, átmeneti hiba esetén exponenciálisan növekvő várakozással újrapróbálkozva
+     * @param {string} endpoint az API endpoint URI
+     * @param {object} params a lekérdezés paramétereit tartalmazó objektum
+     * @param {AbortSignal} [signal] a lekérdezést megszakító jelzés
+     * @param {object} [event] a lekérdezés eseményeinek adatai
+     * @return {Promise} a teljes API válasz
+     */
+    _request(endpoint, params, signal, event) {
+        const { retries, retryDelay, maxRetryDelay } = this.config;
+
+        const attempt = n => this._attempt(endpoint, params, signal)
+            .catch(err => {
+                if (n >= retries || !errors.isTransient(err) || (signal && signal.aborted)) throw err;
+
+                const backoff = Math.min(retryDelay * Math.pow(2, n), maxRetryDelay);
+                const delay = err.retryAfter ? Math.max(err.retryAfter, backoff) : backoff;
+                this.emit('retry', Object.assign({}, event, { attempt: n + 1, delay, error: err }));
+
+                return abortable(new Promise(resolve => setTimeout(resolve, delay)), signal)
+                    .then(() => attempt(n + 1));
+            });
+
+        return attempt(0);
+    }
+
+    /**
+     * Egy lekérdezés egyszeri elküldése a transporttal, időkorláttal
+     * @param {string} endpoint az API endpoint URI
+     * @param {object} params a lekérdezés paramétereit tartalmazó objektum
+     * @param {AbortSignal} [signal] a lekérdezést megszakító jelzés
+     * @return {Promise} a teljes API válasz
+     */
+    _attempt(endpoint, params, signal) {
+        const query = Object.assign({}, params);
+        if (this.config.apiKey) query.key = this.config.apiKey;
+
+        const controller = new AbortController();
+        const req = {
+            method: 'GET',
+            url: transport.buildUrl(this.config.baseUrl, endpoint, query),
+            headers: { accept: 'application/json' },
+            signal: controller.signal
+        };
+
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) return reject(new errors.AbortError());
+
+            const onAbort = () => {
+                controller.abort();
+                reject(new errors.AbortError());
+            };
+            if (signal) signal.addEventListener('abort', onAbort);
+
+            const timer = this.config.timeout ? setTimeout(() => {
+                controller.abort();
+                reject(new errors.TimeoutError(this.config.timeout));
+            }, this.config.timeout) : null;
+
+            const done = () => {
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+            };
+
+            Promise.resolve()
+                .then(() => this.config.transport(req))
+                .then(res => {
+                    done();
+                    resolve(parseResponse(res));
+                }, err => {
+                    done();
+                    reject(err instanceof errors.FutarError ? err : new errors.NetworkError(err.message, err));
+                })
+                .catch(err => reject(err));
+        });
+    }
+
+    /**
+     * Egy sikertelen lekérdezés megválaszolása a GTFS statikus adatokból
+     * Csak átmeneti hiba (hálózati hiba, időtúllépés, túl sok kérés, szerverhiba) és támogatott endpoint esetén,
+     * egyébként, illetve ha a kért adat nem szerepel a menetrendi adatok között, az eredeti hibával tér vissza.
+     * @param {string} endpoint az API endpoint URI
+     * @param {object} params a lekérdezés paramétereit tartalmazó objektum
+     * @param {Error} err az online lekérdezés hibája
+     * @return {Promise} a teljes API válasz
+     */
+    _fallback(endpoint, params, err) {
+        if (!this.config.offline || !errors.isTransient(err)) return Promise.reject(err);
+
+        // a betöltés vagy a lekérdezés hibája helyett az eredeti hiba kerül továbbításra
+        const now = this.config.clock();
+
+        return this.loadOffline()
+            .then(store => store.query(endpoint, params, now))
+            .catch(() => null)
+            .then(data => {
+                if (!data) throw err;
+                return { code: 200, text: 'OK', currentTime: now, data };
+            });
+    }
+
+    // az események közös adatai, az API kulcs nélkül
+    _event(endpoint, params) {
+        const query = Object.assign({}, params);
+        if (this.config.apiKey) query.key = REDACTED;
+
+        return {
+            id: ++this._requests,
+            endpoint,
+            params: query,
+            url: transport.buildUrl(this.config.baseUrl, endpoint, query)
+        };
+    }
+
+    _useModel(model) {
+        return model !== undefined ? model : this.config.model;
+    }
+
+    /**
+     * Callback és Promise alapú hívás egyben
+     * A fn által dobott hibák (pl. érvénytelen paraméterek) is a callbackhez, illetve az elutasított Promise-hoz kerülnek.
+     * Callback esetén nincs visszatérési érték, így a hibát csak a callback kapja meg, nem marad kezeletlen elutasított Promise.
+     * @param {Futar~requestCallback} [cb] a választ kezelő callback függvény
+     * @param {function(): Promise} fn a lekérdezést elküldő függvény
+     * @return {(Promise|undefined)} Promise, ha nincs callback paraméter
+     */
+    _call(cb, fn) {
+        const promise = new Promise(resolve => resolve(fn()));
+
+        if (!cb) return promise;
+        promise.then(data => cb(null, data), err => cb(err));
+    }
+
     _validateConfig(config) {
         config.apiKey = config.apiKey ? config.apiKey : DEFAULT_KEY;
-        config.apiVersion = config.apiVersion ? config.apiVersion : DEFAULT_VERSION;
+        config.apiVersion = (config.apiVersion !== undefined) ? config.apiVersion : DEFAULT_VERSION;
         config.includeReferences = (config.includeReferences !== undefined) ? config.includeReferences : true;
+        config.hydrate = (config.hydrate !== undefined) ? config.hydrate : false;
+        config.model = (config.model !== undefined) ? config.model : false;
+        config.lang = config.lang ? config.lang : DEFAULT_LANG;
+        config.baseUrl = config.baseUrl ? config.baseUrl : FUTAR_URL;
+        config.transport = config.transport ? config.transport : transport.createHttpTransport();
+        config.cache = config.cache ? config.cache : false;
+        config.timeout = (config.timeout !== undefined) ? config.timeout : DEFAULT_TIMEOUT;
+        config.retries = (config.retries !== undefined) ? config.retries : DEFAULT_RETRIES;
+        config.retryDelay = (config.retryDelay !== undefined) ? config.retryDelay : DEFAULT_RETRY_DELAY;
+        config.maxRetryDelay = (config.maxRetryDelay !== undefined) ? config.maxRetryDelay : DEFAULT_MAX_RETRY_DELAY;
 
-        return config;
-    }
+        config.offline = config.offline ? config.offline : false;
+        config.metrics = config.metrics ? config.metrics : false;
+        config.debug = (config.debug !== undefined) ? config.debug : debug.enabled();
 
-    _validateStop(opts) {
-        if (!opts || (typeof opts === 'object') && !opts.stopId) {
-            const err = new Error('A stopId megadása kötelező!');
-            err.name = 'InvalidArgumentError';
-            throw err;
+        if (config.offline && typeof config.offline !== 'string' && !Buffer.isBuffer(config.offline) && !(config.offline instanceof gtfs.GtfsStore)) {
+            throw new ValidationError('Az offline értéke GTFS zip fájl vagy könyvtár elérési útja, Buffer vagy GtfsStore lehet!');
         }
 
-        if (typeof opts === 'string') {
-            const stopId = opts;
-            opts = { stopId };
+        if (config.clock && typeof config.clock !== 'function') {
+            throw new ValidationError('A clock értéke az aktuális időt ezredmásodpercben visszaadó függvény lehet!');
         }
-        return opts;
-    }
 
-    _validateRoute(opts) {
-        if (!opts || (typeof opts === 'object') && !opts.routeId) {
-            const err = new Error('A routeId megadása kötelező!');
-            err.name = 'InvalidArgumentError';
-            throw err;
-        }
+        if (config.fixtures) {
+            const { mode, dir, freezeTime } = config.fixtures;
+            if (!dir) throw new ValidationError('A fixtures.dir megadása kötelező!');
 
-        if (typeof opts === 'string') {
-            const routeId = opts;
-            opts = { routeId };
+            const opts = Object.assign({ baseUrl: config.baseUrl, transport: config.transport, clock: config.clock || Date.now }, config.fixtures);
+            if (mode === 'record') config.transport = fixtures.createRecordTransport(opts);
+            else if (mode === 'replay') config.transport = fixtures.createReplayTransport(opts);
+            else throw new ValidationError('A fixtures.mode értéke record vagy replay lehet!');
+
+            // a megállított óra már a paraméterek alapértelmezett értékeinél is érvényes, nem csak a válaszoknál
+            if (mode === 'replay' && freezeTime && !config.clock) config.clock = config.transport.clock;
         }
-        return opts;
+
+        config.clock = config.clock ? config.clock : Date.now;
+
+        return config;
     }
+
+    /**
+     * Egy metódus paramétereinek ellenőrzése és előállítása a paraméter sémája alapján
+     * @param {string} name a metódus neve
+     * @param {(object|string)} opts a metódus paraméterei
+     * @return {{ values: object, query: object }} az ellenőrzött értékek és az API-nak küldendő paraméterek
+     */
+    _params(name, opts) {
+        return schemas.build(name, opts, this.config);
+    }
+}
+
+/**
+ * A transport válaszának feldolgozása
+ * @param {Futar~transportResponse} res a transport válasza
+ * @return {object} a teljes API válasz
+ */
+function parseResponse(res) {
+    let data;
+    try {
+        data = JSON.parse(res.body);
+    } catch (e) {
+        if (res.status === 429) throw new errors.RateLimitError(null, retryAfter(res.headers));
+        throw new errors.ApiError(res.status, `Érvénytelen válasz (HTTP ${res.status})`);
+    }
+
+    if (data.code === 429 || res.status === 429) {
+        throw new errors.RateLimitError(data.text, retryAfter(res.headers));
+    }
+    if (data.code !== 200) {
+        throw new errors.ApiError(data.code, data.text);
+    }
+    return data;
+}
+
+// a hibához tartozó HTTP, illetve API állapotkód (hálózati hiba és időtúllépés esetén null)
+function statusOf(err) {
+    if (err instanceof errors.ApiError || err instanceof errors.RateLimitError) return err.code;
+    return null;
+}
+
+function retryAfter(headers) {
+    const value = headers && headers['retry-after'];
+    if (!value) return undefined;
+    const seconds = Number(value);
+    return isNaN(seconds) ? Math.max(Date.parse(value) - Date.now(), 0) : seconds * 1000;
+}
+
+/**
+ * Egy Promise elutasítása az AbortSignal jelzésére
+ * @param {Promise} promise a megszakítható Promise
+ * @param {AbortSignal} [signal] a megszakító jelzés
+ * @return {Promise}
+ */
+function abortable(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(new errors.AbortError());
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(new errors.AbortError());
+        signal.addEventListener('abort', onAbort);
+        promise.then(resolve, reject).then(() => signal.removeEventListener('abort', onAbort));
+    });
 }
 
 module.exports = Futar;
\ No newline at end of file
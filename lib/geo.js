@@ -0,0 +1,56 @@
+'use strict';
+
+const EARTH_RADIUS = 6371008.8;
+
+/**
+ * Átlagos gyalogos sebesség méter/másodpercben
+ */
+const WALKING_SPEED = 1.3;
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+/**
+ * Két pont távolsága a haversine képlettel
+ * @param {{ lat: number, lon: number }} a az egyik pont
+ * @param {{ lat: number, lon: number }} b a másik pont
+ * @return {number} a távolság méterben
+ */
+function distance(a, b) {
+    const dLat = toRadians(b.lat - a.lat);
+    const dLon = toRadians(b.lon - a.lon);
+
+    const h = Math.pow(Math.sin(dLat / 2), 2) +
+        Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.pow(Math.sin(dLon / 2), 2);
+
+    return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Becsült gyaloglási idő egy adott távolságra
+ * @param {number} meters a távolság méterben
+ * @param {number} [speed = 1.3] a gyaloglási sebesség méter/másodpercben
+ * @return {number} a gyaloglási idő másodpercben
+ */
+function walkingTime(meters, speed) {
+    return Math.round(meters / (speed || WALKING_SPEED));
+}
+
+/**
+ * Koordinátapár értelmezése 'lat,lon' formátumú szövegből
+ * @param {string} text a koordinátapár
+ * @return {?{ lat: number, lon: number }} a pont, vagy null, ha a szöveg nem koordinátapár
+ */
+function parseLatLon(text) {
+    const match = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(text || '');
+    if (!match) return null;
+    return { lat: Number(match[1]), lon: Number(match[2]) };
+}
+
+module.exports = {
+    distance,
+    walkingTime,
+    parseLatLon,
+    WALKING_SPEED
+};
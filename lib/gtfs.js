@@ -0,0 +1,694 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const moment = require('moment-timezone');
+const { TIMEZONE } = require('./timetable');
+
+/**
+ * A Futár azonosítók előtagja, a GTFS statikus adatokban ez nem szerepel
+ */
+const DEFAULT_PREFIX = 'BKK_';
+
+/**
+ * A keresés eredményeinek maximális száma típusonként
+ */
+const SEARCH_LIMIT = 30;
+
+/**
+ * A GTFS route_type értékek (az alap és a bővített típusok) és a Futár közlekedési módjai
+ */
+const ROUTE_TYPES = {
+    0: 'TRAM',
+    1: 'SUBWAY',
+    2: 'RAIL',
+    3: 'BUS',
+    4: 'FERRY',
+    11: 'TROLLEYBUS',
+    100: 'RAIL',
+    109: 'RAIL',
+    400: 'SUBWAY',
+    700: 'BUS',
+    800: 'TROLLEYBUS',
+    900: 'TRAM',
+    1000: 'FERRY',
+    1200: 'FERRY'
+};
+
+const FILES = ['agency.txt', 'stops.txt', 'routes.txt', 'trips.txt', 'stop_times.txt', 'calendar.txt', 'calendar_dates.txt'];
+
+const NO_PICKUP = 1;
+const NO_DROP_OFF = 2;
+const LAST_STOP = 4;
+
+/**
+ * GTFS statikus adatokból felépített, memóriában indexelt menetrendi adatbázis
+ * A lekérdezések a Futár kliens válaszaival azonos formájú adatokat adnak vissza (entry vagy list és references),
+ * kiegészítve a realtime: false és offline: true mezőkkel. Az indulások csak menetrendi időpontokat tartalmaznak.
+ */
+class GtfsStore {
+    /**
+     * @param {object} files a GTFS fájlok tartalma fájlnév szerint (Buffer vagy string)
+     * @param {object} [opts] beállítások
+     * @param {string} [opts.prefix = 'BKK_'] a Futár azonosítók előtagja, mely a GTFS azonosítók elé kerül
+     */
+    constructor(files, opts) {
+        const { prefix } = opts || {};
+
+        this.prefix = prefix !== undefined ? prefix : DEFAULT_PREFIX;
+        this.timezone = TIMEZONE;
+
+        this.agencies = new Map();
+        this.stops = new Map();
+        this.routes = new Map();
+        this.trips = [];
+        this.services = new Map();
+
+        this._tripIndex = new Map();
+        this._stopTimes = new Map();
+        this._stopRoutes = new Map();
+        this._children = new Map();
+
+        this._index(files);
+    }
+
+    /**
+     * Egy megálló adatai
+     * @param {object} params a lekérdezés paraméterei
+     * @param {string} params.stopId a megálló azonosítója
+     * @return {?object} a válasz, vagy null, ha a megálló nem szerepel az adatok között
+     */
+    stop(params) {
+        const stop = this.stops.get(this._local(params.stopId));
+        if (!stop) return null;
+
+        const refs = this._references(params);
+        refs.addRoutes(this._routeIdsFor(stop.stop_id));
+        return this._response({ entry: this._stopRef(stop) }, refs);
+    }
+
+    /**
+     * Egy viszonylat adatai
+     * @param {object} params a lekérdezés paraméterei
+     * @param {string} params.routeId a viszonylat azonosítója
+     * @return {?object} a válasz, vagy null, ha a viszonylat nem szerepel az adatok között
+     */
+    route(params) {
+        const route = this.routes.get(this._local(params.routeId));
+        if (!route) return null;
+
+        const refs = this._references(params);
+        refs.addAgency(route.agency_id);
+        return this._response({ entry: this._routeRef(route) }, refs);
+    }
+
+    /**
+     * Megállók és viszonylatok keresése név, illetve viszonylatszám alapján (kis- és nagybetűtől, ékezetektől függetlenül)
+     * @param {object} params a lekérdezés paraméterei
+     * @param {string} params.query a keresett szöveg
+     * @return {object} a válasz
+     */
+    search(params) {
+        const query = normalizeText(params.query);
+        const refs = this._references(params);
+
+        const routeIds = Array.from(this.routes.values())
+            .map(route => ({ route, name: normalizeText(route.route_short_name || route.route_long_name) }))
+            .filter(item => item.name.indexOf(query) === 0)
+            .sort((a, b) => (a.name === query ? 0 : 1) - (b.name === query ? 0 : 1) || a.name.length - b.name.length)
+            .slice(0, SEARCH_LIMIT)
+            .map(item => item.route.route_id);
+
+        const stopIds = Array.from(this.stops.values())
+            .filter(stop => stop.location_type !== '2' && normalizeText(stop.stop_name).indexOf(query) !== -1)
+            .slice(0, SEARCH_LIMIT)
+            .map(stop => stop.stop_id);
+
+        refs.addRoutes(routeIds);
+        refs.addStops(stopIds);
+
+        return this._response({
+            entry: {
+                query: params.query,
+                routeIds: routeIds.map(id => this._id(id)),
+                stopIds: stopIds.map(id => this._id(id)),
+                alertIds: []
+            }
+        }, refs);
+    }
+
+    /**
+     * Egy megálló menetrendje egy napra, viszonylatok és irányok szerint csoportosítva
+     * @param {object} params a lekérdezés paraméterei
+     * @param {string} params.stopId a megálló azonosítója
+     * @param {string} [params.day = aktuális nap] a nap 'YYYY-MM-DD' vagy 'YYYYMMDD' formátumban
+     * @return {?object} a válasz, vagy null, ha a megálló nem szerepel az adatok között
+     */
+    scheduleForStop(params) {
+        const stopId = this._local(params.stopId);
+        if (!this.stops.has(stopId)) return null;
+
+        const day = params.day ? moment.tz(String(params.day), ['YYYY-MM-DD', 'YYYYMMDD'], this.timezone) : moment.tz(this.timezone);
+        const date = day.format('YYYYMMDD');
+        const refs = this._references(params);
+        const schedules = new Map();
+
+        this._stopTimesAt(stopId).forEach(stopTime => {
+            if (!this._runs(stopTime.trip.service_id, date)) return;
+
+            const trip = stopTime.trip;
+            if (!schedules.has(trip.route_id)) schedules.set(trip.route_id, new Map());
+            const directions = schedules.get(trip.route_id);
+            const directionId = trip.direction_id || '0';
+            if (!directions.has(directionId)) directions.set(directionId, []);
+
+            directions.get(directionId).push(this._stopTime(stopTime, date));
+            refs.addTrip(trip);
+        });
+
+        return this._response({
+            entry: {
+                stopId: this._id(stopId),
+                date,
+                routeIds: Array.from(schedules.keys()).map(id => this._id(id)),
+                nearbyStopIds: [],
+                alertIds: [],
+                schedules: Array.from(schedules.keys()).map(routeId => ({
+                    routeId: this._id(routeId),
+                    alertIds: [],
+                    directions: Array.from(schedules.get(routeId).keys()).map(directionId => ({
+                        directionId,
+                        groups: {},
+                        stopTimes: schedules.get(routeId).get(directionId).sort((a, b) => (a.departureTime || a.arrivalTime) - (b.departureTime || b.arrivalTime))
+                    }))
+                }))
+            }
+        }, refs);
+    }
+
+    /**
+     * Egy megálló menetrend szerinti indulásai és érkezései a mostani időponthoz képest
+     * @param {object} params a lekérdezés paraméterei
+     * @param {string} params.stopId a megálló azonosítója (állomás esetén a hozzá tartozó megállókkal együtt)
+     * @param {number} [params.minutesBefore = 0] perccel korábban
+     * @param {number} [params.minutesAfter = 30] perccel később
+     * @param {boolean} [params.onlyDepartures = true] csak az induló járatok
+     * @param {number} [time = most] a lekérdezés időpontja ezredmásodpercben
+     * @return {?object} a válasz, vagy null, ha a megálló nem szerepel az adatok között
+     */
+    arrivalsAndDeparturesForStop(params, time) {
+        const stopId = this._local(params.stopId);
+        if (!this.stops.has(stopId)) return null;
+
+        const now = Math.floor((time === undefined ? Date.now() : time) / 1000);
+        const from = now - (params.minutesBefore || 0) * 60;
+        const to = now + (params.minutesAfter !== undefined ? params.minutesAfter : 30) * 60;
+        const onlyDepartures = params.onlyDepartures !== false;
+
+        // az előző üzemnap éjfél utáni menetei is az időablakba eshetnek
+        const today = moment.unix(now).tz(this.timezone).startOf('day');
+        const dates = [today.clone().subtract(1, 'day'), today].map(day => day.format('YYYYMMDD'));
+
+        const refs = this._references(params);
+        const stopIds = [stopId].concat(this._children.get(stopId) || []);
+        const stopTimes = [];
+
+        stopIds.forEach(id => {
+            this._stopTimesAt(id).forEach(stopTime => {
+                if (onlyDepartures && stopTime.flags & (NO_PICKUP | LAST_STOP)) return;
+
+                dates.forEach(date => {
+                    if (!this._runs(stopTime.trip.service_id, date)) return;
+
+                    const item = this._stopTime(stopTime, date);
+                    const time = item.departureTime || item.arrivalTime;
+                    if (time < from || time > to) return;
+
+                    stopTimes.push(item);
+                    refs.addTrip(stopTime.trip);
+                });
+            });
+        });
+
+        refs.addStops(stopIds);
+
+        return this._response({
+            entry: {
+                stopId: this._id(stopId),
+                routeIds: this._routeIdsFor(stopId).map(id => this._id(id)),
+                alertIds: [],
+                nearbyStopIds: [],
+                stopTimes: stopTimes.sort((a, b) => (a.departureTime || a.arrivalTime) - (b.departureTime || b.arrivalTime))
+            }
+        }, refs);
+    }
+
+    /**
+     * Egy Futár API lekérdezés megválaszolása a menetrendi adatokból
+     * @param {string} endpoint az API endpoint URI
+     * @param {object} params a lekérdezés paraméterei
+     * @param {number} [time = most] a lekérdezés időpontja ezredmásodpercben, a mostani időponthoz viszonyított lekérdezésekhez
+     * @return {?object} a válasz, vagy null, ha az endpoint nem támogatott, illetve a kért adat nem szerepel az adatok között
+     */
+    query(endpoint, params, time) {
+        const pathParam = pattern => {
+            const match = pattern.exec(endpoint);
+            return match ? decodeURIComponent(match[1]) : null;
+        };
+
+        const stopId = pathParam(/^\/stop\/([^/]+)\.json$/);
+        if (stopId) return this.stop(Object.assign({}, params, { stopId }));
+
+        const routeId = pathParam(/^\/route\/([^/]+)\.json$/);
+        if (routeId) return this.route(Object.assign({}, params, { routeId }));
+
+        switch (endpoint) {
+        case '/search.json': return this.search(params);
+        case '/schedule-for-stop.json': return this.scheduleForStop(params);
+        case '/arrivals-and-departures-for-stop.json': return this.arrivalsAndDeparturesForStop(params, time);
+        default: return null;
+        }
+    }
+
+    _index(files) {
+        const read = name => files[name] !== undefined ? files[name] : null;
+
+        eachRow(read('agency.txt'), row => {
+            this.agencies.set(row.agency_id || '', row);
+            if (row.agency_timezone) this.timezone = row.agency_timezone;
+        });
+        eachRow(read('stops.txt'), row => {
+            this.stops.set(row.stop_id, row);
+            if (row.parent_station) {
+                if (!this._children.has(row.parent_station)) this._children.set(row.parent_station, []);
+                this._children.get(row.parent_station).push(row.stop_id);
+            }
+        });
+        eachRow(read('routes.txt'), row => this.routes.set(row.route_id, row));
+        eachRow(read('trips.txt'), row => {
+            this._tripIndex.set(row.trip_id, this.trips.length);
+            this.trips.push(Object.assign(row, { lastSequence: -1 }));
+        });
+        eachRow(read('calendar.txt'), row => {
+            this._service(row.service_id).calendar = row;
+        });
+        eachRow(read('calendar_dates.txt'), row => this._service(row.service_id).dates.set(row.date, row.exception_type));
+
+        // megállónként párhuzamos tömbök a memóriaigény csökkentésére, a sorok objektummá alakítása nélkül
+        eachFields(read('stop_times.txt'), (fields, columns) => {
+            const tripIndex = this._tripIndex.get(field(fields, columns.trip_id));
+            if (tripIndex === undefined) return;
+
+            const stopId = field(fields, columns.stop_id);
+            if (!this._stopTimes.has(stopId)) {
+                this._stopTimes.set(stopId, { trips: [], arrivals: [], departures: [], sequences: [], flags: [], headsigns: [] });
+            }
+            const times = this._stopTimes.get(stopId);
+            const arrival = field(fields, columns.arrival_time);
+            const departure = field(fields, columns.departure_time);
+            const sequence = Number(field(fields, columns.stop_sequence));
+            const trip = this.trips[tripIndex];
+
+            times.trips.push(tripIndex);
+            times.arrivals.push(parseTime(arrival || departure));
+            times.departures.push(parseTime(departure || arrival));
+            times.sequences.push(sequence);
+            times.flags.push((field(fields, columns.pickup_type) === '1' ? NO_PICKUP : 0) | (field(fields, columns.drop_off_type) === '1' ? NO_DROP_OFF : 0));
+            times.headsigns.push(field(fields, columns.stop_headsign) || null);
+
+            if (sequence > trip.lastSequence) trip.lastSequence = sequence;
+
+            if (!this._stopRoutes.has(stopId)) this._stopRoutes.set(stopId, new Set());
+            this._stopRoutes.get(stopId).add(trip.route_id);
+        });
+    }
+
+    _service(serviceId) {
+        if (!this.services.has(serviceId)) this.services.set(serviceId, { calendar: null, dates: new Map() });
+        return this.services.get(serviceId);
+    }
+
+    // közlekedik-e a szolgáltatás az adott napon (YYYYMMDD)
+    _runs(serviceId, date) {
+        const service = this.services.get(serviceId);
+        if (!service) return false;
+
+        const exception = service.dates.get(date);
+        if (exception === '1') return true;
+        if (exception === '2') return false;
+
+        const calendar = service.calendar;
+        if (!calendar || date < calendar.start_date || date > calendar.end_date) return false;
+
+        const weekday = moment.tz(date, 'YYYYMMDD', this.timezone).format('dddd').toLowerCase();
+        return calendar[weekday] === '1';
+    }
+
+    _stopTimesAt(stopId) {
+        const times = this._stopTimes.get(stopId);
+        if (!times) return [];
+
+        return times.trips.map((tripIndex, i) => {
+            const trip = this.trips[tripIndex];
+            return {
+                stopId,
+                trip,
+                arrival: times.arrivals[i],
+                departure: times.departures[i],
+                headsign: times.headsigns[i],
+                flags: times.flags[i] | (times.sequences[i] === trip.lastSequence ? LAST_STOP : 0)
+            };
+        });
+    }
+
+    // a Futár stopTime eleme, az üzemnap kezdetétől számított GTFS időpontok unix timestamppé alakításával
+    _stopTime(stopTime, date) {
+        // az üzemnap a GTFS szerint a nap delében mért idő előtt 12 órával kezdődik (az óraátállítás napján is)
+        const start = moment.tz(`${date} 12:00`, 'YYYYMMDD HH:mm', this.timezone).unix() - 12 * 3600;
+        const trip = stopTime.trip;
+
+        const item = {
+            stopId: this._id(stopTime.stopId),
+            tripId: this._id(trip.trip_id),
+            serviceDate: date,
+            wheelchairAccessible: trip.wheelchair_accessible === '1'
+        };
+        if (!(stopTime.flags & NO_DROP_OFF)) item.arrivalTime = start + stopTime.arrival;
+        if (!(stopTime.flags & (NO_PICKUP | LAST_STOP))) item.departureTime = start + stopTime.departure;
+        if (stopTime.headsign) item.stopHeadsign = stopTime.headsign;
+
+        return item;
+    }
+
+    _routeIdsFor(stopId) {
+        const routeIds = new Set(this._stopRoutes.get(stopId) || []);
+        (this._children.get(stopId) || []).forEach(child => {
+            (this._stopRoutes.get(child) || []).forEach(id => routeIds.add(id));
+        });
+        return Array.from(routeIds);
+    }
+
+    _references(params) {
+        const store = this;
+        const refs = { agencies: {}, routes: {}, stops: {}, trips: {}, alerts: {} };
+        const enabled = params.includeReferences !== false;
+
+        return {
+            refs,
+            addAgency(agencyId) {
+                const agency = store.agencies.get(agencyId || '') || store.agencies.values().next().value;
+                if (enabled && agency) refs.agencies[store._id(agency.agency_id || '')] = store._agencyRef(agency);
+            },
+            addRoutes(routeIds) {
+                routeIds.forEach(id => {
+                    const route = store.routes.get(id);
+                    if (!enabled || !route) return;
+                    refs.routes[store._id(id)] = store._routeRef(route);
+                    this.addAgency(route.agency_id);
+                });
+            },
+            addStops(stopIds) {
+                stopIds.forEach(id => {
+                    const stop = store.stops.get(id);
+                    if (!enabled || !stop) return;
+                    refs.stops[store._id(id)] = store._stopRef(stop);
+                    this.addRoutes(store._routeIdsFor(id));
+                });
+            },
+            addTrip(trip) {
+                if (!enabled || refs.trips[store._id(trip.trip_id)]) return;
+                refs.trips[store._id(trip.trip_id)] = store._tripRef(trip);
+                this.addRoutes([trip.route_id]);
+            }
+        };
+    }
+
+    _response(data, references) {
+        return Object.assign(data, { references: references.refs, realtime: false, offline: true });
+    }
+
+    _agencyRef(agency) {
+        return {
+            id: this._id(agency.agency_id || ''),
+            name: agency.agency_name,
+            url: agency.agency_url,
+            timezone: agency.agency_timezone,
+            lang: agency.agency_lang,
+            phone: agency.agency_phone
+        };
+    }
+
+    _stopRef(stop) {
+        const routeIds = this._routeIdsFor(stop.stop_id);
+        const route = this.routes.get(routeIds[0]);
+
+        return {
+            id: this._id(stop.stop_id),
+            name: stop.stop_name,
+            code: stop.stop_code || null,
+            description: stop.stop_desc || null,
+            lat: Number(stop.stop_lat),
+            lon: Number(stop.stop_lon),
+            locationType: Number(stop.location_type || 0),
+            parentStationId: stop.parent_station ? this._id(stop.parent_station) : null,
+            wheelchairBoarding: stop.wheelchair_boarding === '1',
+            type: route ? routeType(route.route_type) : null,
+            routeIds: routeIds.map(id => this._id(id))
+        };
+    }
+
+    _routeRef(route) {
+        return {
+            id: this._id(route.route_id),
+            agencyId: this._id(route.agency_id || ''),
+            shortName: route.route_short_name,
+            longName: route.route_long_name || null,
+            description: route.route_desc || null,
+            type: routeType(route.route_type),
+            color: route.route_color || null,
+            textColor: route.route_text_color || null
+        };
+    }
+
+    _tripRef(trip) {
+        return {
+            id: this._id(trip.trip_id),
+            routeId: this._id(trip.route_id),
+            serviceId: this._id(trip.service_id),
+            tripHeadsign: trip.trip_headsign,
+            directionId: trip.direction_id || '0',
+            blockId: trip.block_id ? this._id(trip.block_id) : null,
+            shapeId: trip.shape_id ? this._id(trip.shape_id) : null,
+            wheelchairAccessible: trip.wheelchair_accessible === '1'
+        };
+    }
+
+    _id(id) {
+        return `${this.prefix}${id}`;
+    }
+
+    _local(id) {
+        const value = String(id);
+        return this.prefix && value.indexOf(this.prefix) === 0 ? value.slice(this.prefix.length) : value;
+    }
+}
+
+/**
+ * GTFS statikus adatok betöltése
+ * @param {(string|Buffer)} source a GTFS zip fájl vagy a kicsomagolt fájlokat tartalmazó könyvtár elérési útja, illetve a zip fájl tartalma
+ * @param {object} [opts] a GtfsStore beállításai
+ * @return {Promise<GtfsStore>}
+ */
+function load(source, opts) {
+    if (Buffer.isBuffer(source)) {
+        return readZip(source).then(files => new GtfsStore(files, opts));
+    }
+
+    return stat(source).then(stats => {
+        if (!stats.isDirectory()) {
+            return readFile(source).then(readZip).then(files => new GtfsStore(files, opts));
+        }
+
+        const files = {};
+        return Promise.all(FILES.map(name => readFile(path.join(source, name))
+            .then(buffer => {
+                files[name] = buffer;
+            }, err => {
+                if (err.code !== 'ENOENT') throw err;
+            })))
+            .then(() => new GtfsStore(files, opts));
+    });
+}
+
+/**
+ * Egy zip fájl GTFS fájljainak kicsomagolása (tömörítetlen vagy deflate tömörítésű bejegyzések, ZIP64 nélkül)
+ * A kicsomagolás a zlib szálain fut, így a nagy fájlok (pl. stop_times.txt) sem blokkolják az eseményhurkot.
+ * @param {Buffer} buffer a zip fájl tartalma
+ * @return {Promise<object>} a fájlok tartalma fájlnév szerint
+ */
+function readZip(buffer) {
+    return Promise.resolve().then(() => {
+        const files = {};
+        return Promise.all(zipEntries(buffer).map(entry => {
+            if (entry.method === 0) {
+                files[entry.name] = entry.data;
+                return null;
+            }
+            return inflate(entry.data).then(data => {
+                files[entry.name] = data;
+            });
+        })).then(() => files);
+    });
+}
+
+// a zip fájl GTFS bejegyzései a központi könyvtár alapján, kicsomagolás nélkül
+function zipEntries(buffer) {
+    let end = -1;
+    for (let i = buffer.length - 22; i >= Math.max(buffer.length - 65557, 0); i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) throw new Error('Érvénytelen zip fájl');
+
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Érvénytelen zip fájl');
+
+        const method = buffer.readUInt16LE(offset + 10);
+        const size = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const local = buffer.readUInt32LE(offset + 42);
+        const name = path.posix.basename(buffer.toString('utf8', offset + 46, offset + 46 + nameLength));
+
+        offset += 46 + nameLength + extraLength + commentLength;
+        if (FILES.indexOf(name) === -1) continue;
+
+        const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+        const data = buffer.slice(start, start + size);
+
+        if (method !== 0 && method !== 8) throw new Error(`Nem támogatott tömörítés a zip fájlban: ${name}`);
+        entries.push({ name, method, data });
+    }
+
+    return entries;
+}
+
+function inflate(data) {
+    return new Promise((resolve, reject) => zlib.inflateRaw(data, (err, result) => err ? reject(err) : resolve(result)));
+}
+
+// CSV sorok bejárása soronként, a fejléc szerinti kulcsokkal rendelkező objektumokként
+function eachRow(content, fn) {
+    eachFields(content, (fields, columns) => {
+        const row = {};
+        Object.keys(columns).forEach(key => {
+            row[key] = field(fields, columns[key]);
+        });
+        fn(row);
+    });
+}
+
+// CSV sorok mezőinek bejárása soronként, hogy a nagy fájlok se kerüljenek egyetlen stringbe
+// a callback a sor mezőit és a fejléc oszlopainak indexeit kapja
+function eachFields(content, fn) {
+    if (content === null) return;
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+
+    let columns = null;
+    let start = buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf ? 3 : 0;
+
+    while (start < buffer.length) {
+        let end = buffer.indexOf(0x0a, start);
+        if (end === -1) end = buffer.length;
+
+        const line = buffer.toString('utf8', start, end).replace(/\r$/, '');
+        start = end + 1;
+        if (!line) continue;
+
+        const fields = parseLine(line);
+        if (!columns) {
+            columns = {};
+            fields.forEach((name, i) => {
+                columns[name.trim()] = i;
+            });
+            continue;
+        }
+
+        fn(fields, columns);
+    }
+}
+
+// egy mező értéke az oszlop indexe alapján, a hiányzó oszlop és mező üres szöveg
+function field(fields, index) {
+    return index !== undefined && fields[index] !== undefined ? fields[index] : '';
+}
+
+function parseLine(line) {
+    if (line.indexOf('"') === -1) return line.split(',');
+
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+
+    return fields;
+}
+
+// 'HH:MM:SS' (akár 24 óránál nagyobb) időpont másodpercben az üzemnap kezdetétől
+function parseTime(value) {
+    const parts = String(value).split(':');
+    return Number(parts[0]) * 3600 + Number(parts[1]) * 60 + Number(parts[2] || 0);
+}
+
+function routeType(type) {
+    const code = Number(type);
+    return ROUTE_TYPES[code] || ROUTE_TYPES[Math.floor(code / 100) * 100] || 'BUS';
+}
+
+function normalizeText(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+function stat(file) {
+    return new Promise((resolve, reject) => fs.stat(file, (err, stats) => err ? reject(err) : resolve(stats)));
+}
+
+function readFile(file) {
+    return new Promise((resolve, reject) => fs.readFile(file, (err, data) => err ? reject(err) : resolve(data)));
+}
+
+module.exports = {
+    GtfsStore,
+    load,
+    readZip,
+    ROUTE_TYPES
+};
@@ -0,0 +1,304 @@
+'use strict';
+
+const { transit_realtime: rt } = require('gtfs-realtime-bindings');
+
+const GTFS_RT_VERSION = '2.0';
+
+/**
+ * A Futár járműállapotai, melyek megfelelnek a GTFS-Realtime VehicleStopStatus értékeinek
+ */
+const VEHICLE_STATUSES = ['INCOMING_AT', 'STOPPED_AT', 'IN_TRANSIT_TO'];
+
+/**
+ * GTFS-Realtime FeedMessage összeállítása a Futár kliens válaszaiból
+ *
+ * @example
+ * const feed = new FeedBuilder()
+ *     .addArrivals(await futar.arrivalsAndDeparturesForStop('BKK_F01227'))
+ *     .addVehicles(await futar.vehiclesForRoute('BKK_3060'));
+ * const buffer = feed.encode();
+ */
+class FeedBuilder {
+    /**
+     * @param {object} [opts] az összeállítás beállításai
+     * @param {number} [opts.timestamp = aktuális idő] a feed időbélyege (unix timestamp)
+     * @param {(string|boolean)} [opts.stripPrefix = false] az azonosítók elejéről eltávolítandó előtag (pl. 'BKK_'), a GTFS statikus adatokkal való egyezéshez
+     */
+    constructor(opts) {
+        const { timestamp, stripPrefix } = opts || {};
+        this.timestamp = timestamp || Math.floor(Date.now() / 1000);
+        this.stripPrefix = stripPrefix || false;
+        this._entities = new Map();
+    }
+
+    /**
+     * TripUpdate entitások hozzáadása egy arrivalsAndDeparturesForStop válaszból
+     * @param {object} data az arrivalsAndDeparturesForStop (vagy arrivalsAndDeparturesForStops) válasza
+     * @return {FeedBuilder}
+     */
+    addArrivals(data) {
+        data = raw(data);
+        const entry = data.entry || {};
+        const trips = (data.references || {}).trips || {};
+
+        (entry.stopTimes || []).forEach(stopTime => {
+            const tripUpdate = this._tripUpdate(stopTime.tripId, stopTime.serviceDate, trips[stopTime.tripId]);
+            const update = stopTimeUpdate(stopTime, this);
+            if (update) tripUpdate.stopTimeUpdate.push(update);
+        });
+
+        return this;
+    }
+
+    /**
+     * TripUpdate entitás hozzáadása egy tripDetails válaszból
+     * @param {object} data a tripDetails válasza
+     * @return {FeedBuilder}
+     */
+    addTripDetails(data) {
+        data = raw(data);
+        const entry = data.entry || {};
+        const trips = (data.references || {}).trips || {};
+
+        const tripUpdate = this._tripUpdate(entry.tripId, entry.serviceDate, trips[entry.tripId]);
+        if (entry.vehicle && entry.vehicle.vehicleId) {
+            tripUpdate.vehicle = vehicleDescriptor(entry.vehicle, this);
+        }
+
+        tripUpdate.stopTimeUpdate = (entry.stopTimes || [])
+            .map((stopTime, index) => stopTimeUpdate(Object.assign({ stopSequence: index }, stopTime), this))
+            .filter(update => update !== null);
+
+        return this;
+    }
+
+    /**
+     * VehiclePosition entitások hozzáadása a vehiclesForStop, vehiclesForRoute vagy vehiclesForLocation válaszából
+     * @param {object} data a járműveket tartalmazó válasz
+     * @return {FeedBuilder}
+     */
+    addVehicles(data) {
+        data = raw(data);
+        const entry = data.entry || {};
+        const trips = (data.references || {}).trips || {};
+        const vehicles = data.list || entry.vehicles || [];
+
+        vehicles.forEach(vehicle => {
+            const trip = trips[vehicle.tripId];
+            const position = {
+                vehicle: vehicleDescriptor(vehicle, this),
+                timestamp: vehicle.lastUpdateTime
+            };
+
+            if (vehicle.tripId) {
+                position.trip = tripDescriptor(vehicle.tripId, vehicle.serviceDate, trip || { routeId: vehicle.routeId }, this);
+            }
+            if (vehicle.location) {
+                position.position = {
+                    latitude: vehicle.location.lat,
+                    longitude: vehicle.location.lon,
+                    bearing: vehicle.bearing
+                };
+            }
+            if (vehicle.stopId) position.stopId = this.id(vehicle.stopId);
+            if (vehicle.stopSequence !== undefined) position.currentStopSequence = vehicle.stopSequence;
+            if (VEHICLE_STATUSES.indexOf(vehicle.status) !== -1) position.currentStatus = vehicle.status;
+
+            this._entities.set(`vehicle:${vehicle.vehicleId}`, {
+                id: `vehicle:${this.id(vehicle.vehicleId)}`,
+                vehicle: position
+            });
+        });
+
+        return this;
+    }
+
+    /**
+     * Alert entitások hozzáadása egy alertSearch (vagy bármely más, alerts referenciákat tartalmazó) válaszból
+     * @param {object} data a forgalmi változásokat tartalmazó válasz
+     * @return {FeedBuilder}
+     */
+    addAlerts(data) {
+        data = raw(data);
+        const alerts = (data.references || {}).alerts || {};
+
+        Object.keys(alerts).forEach(id => {
+            const alert = alerts[id];
+            const informedEntity = [];
+
+            (alert.routes || []).forEach(route => {
+                if (route.stopIds && route.stopIds.length) {
+                    route.stopIds.forEach(stopId => informedEntity.push({ routeId: this.id(route.routeId), stopId: this.id(stopId) }));
+                } else {
+                    informedEntity.push({ routeId: this.id(route.routeId) });
+                }
+            });
+            if (!informedEntity.length) {
+                (alert.routeIds || []).forEach(routeId => informedEntity.push({ routeId: this.id(routeId) }));
+                (alert.stopIds || []).forEach(stopId => informedEntity.push({ stopId: this.id(stopId) }));
+            }
+
+            const message = {
+                activePeriod: [{ start: alert.start, end: alert.end }],
+                informedEntity,
+                headerText: translatedString(alert.header),
+                descriptionText: translatedString(alert.description),
+                url: translatedString(alert.url)
+            };
+            Object.keys(message).forEach(key => message[key] === null && delete message[key]);
+
+            this._entities.set(`alert:${id}`, { id: `alert:${this.id(id)}`, alert: message });
+        });
+
+        return this;
+    }
+
+    /**
+     * Azonosító átalakítása a beállított előtag eltávolításával
+     * @param {string} id a Futár azonosító
+     * @return {string}
+     */
+    id(id) {
+        if (!this.stripPrefix || typeof id !== 'string') return id;
+        return id.indexOf(this.stripPrefix) === 0 ? id.slice(this.stripPrefix.length) : id;
+    }
+
+    /**
+     * A FeedMessage sima objektumként, a GTFS-Realtime JSON megjelenítésének megfelelően
+     * @return {object}
+     */
+    toObject() {
+        return rt.FeedMessage.toObject(this.toMessage(), { longs: Number, enums: String });
+    }
+
+    /**
+     * A FeedMessage JSON megjelenítése (JSON.stringify számára)
+     * @return {object}
+     */
+    toJSON() {
+        return this.toObject();
+    }
+
+    /**
+     * A FeedMessage protobuf üzenetként
+     * @return {transit_realtime.FeedMessage}
+     */
+    toMessage() {
+        const feed = {
+            header: {
+                gtfsRealtimeVersion: GTFS_RT_VERSION,
+                incrementality: 'FULL_DATASET',
+                timestamp: this.timestamp
+            },
+            entity: Array.from(this._entities.values())
+        };
+
+        const message = rt.FeedMessage.fromObject(feed);
+        const err = rt.FeedMessage.verify(message);
+        if (err) throw new Error(`Érvénytelen GTFS-Realtime üzenet: ${err}`);
+
+        return message;
+    }
+
+    /**
+     * A FeedMessage kódolása
+     * @param {string} [format = 'protobuf'] a kimenet formátuma ('protobuf' vagy hibakereséshez 'json')
+     * @return {(Buffer|string)} a protobuf kódolású üzenet, illetve json formátum esetén a behúzott JSON szöveg
+     */
+    encode(format) {
+        if (format === 'json') return JSON.stringify(this.toObject(), null, 2);
+        return Buffer.from(rt.FeedMessage.encode(this.toMessage()).finish());
+    }
+
+    _tripUpdate(tripId, serviceDate, trip) {
+        const key = `trip:${tripId}:${serviceDate || ''}`;
+
+        if (!this._entities.has(key)) {
+            this._entities.set(key, {
+                id: `trip:${this.id(tripId)}${serviceDate ? `:${serviceDate}` : ''}`,
+                tripUpdate: {
+                    trip: tripDescriptor(tripId, serviceDate, trip, this),
+                    stopTimeUpdate: [],
+                    timestamp: this.timestamp
+                }
+            });
+        }
+        return this._entities.get(key).tripUpdate;
+    }
+}
+
+/**
+ * GTFS-Realtime FeedMessage dekódolása
+ * @param {Buffer} buffer a protobuf kódolású üzenet
+ * @param {boolean} [asObject = true] sima objektumként adja vissza
+ * @return {object}
+ */
+function decode(buffer, asObject) {
+    const message = rt.FeedMessage.decode(buffer);
+    if (asObject === false) return message;
+    return rt.FeedMessage.toObject(message, { longs: Number, enums: String });
+}
+
+function raw(data) {
+    return (data && data.raw) || data || {};
+}
+
+function tripDescriptor(tripId, serviceDate, trip, builder) {
+    const descriptor = { tripId: builder.id(tripId) };
+
+    if (trip && trip.routeId) descriptor.routeId = builder.id(trip.routeId);
+    if (trip && trip.directionId !== undefined && trip.directionId !== null) descriptor.directionId = Number(trip.directionId);
+    if (/^\d{8}$/.test(serviceDate)) descriptor.startDate = serviceDate;
+
+    return descriptor;
+}
+
+function vehicleDescriptor(vehicle, builder) {
+    const descriptor = { id: builder.id(vehicle.vehicleId) };
+
+    if (vehicle.label) descriptor.label = vehicle.label;
+    if (vehicle.licensePlate) descriptor.licensePlate = vehicle.licensePlate;
+
+    return descriptor;
+}
+
+function stopTimeUpdate(stopTime, builder) {
+    const update = { stopId: builder.id(stopTime.stopId) };
+    if (stopTime.stopSequence !== undefined) update.stopSequence = stopTime.stopSequence;
+
+    const arrival = stopTimeEvent(stopTime.arrivalTime, stopTime.predictedArrivalTime);
+    const departure = stopTimeEvent(stopTime.departureTime, stopTime.predictedDepartureTime);
+
+    if (arrival) update.arrival = arrival;
+    if (departure) update.departure = departure;
+
+    if (!arrival && !departure) {
+        if (stopTime.arrivalTime === undefined && stopTime.departureTime === undefined) return null;
+        update.scheduleRelationship = 'NO_DATA';
+    }
+    return update;
+}
+
+function stopTimeEvent(scheduled, predicted) {
+    if (!predicted) return null;
+
+    const event = { time: predicted };
+    if (scheduled) event.delay = predicted - scheduled;
+    return event;
+}
+
+function translatedString(text) {
+    if (!text || !text.translations) return null;
+
+    const translation = Object.keys(text.translations).map(language => ({
+        text: text.translations[language],
+        language
+    }));
+
+    return translation.length ? { translation } : null;
+}
+
+module.exports = {
+    FeedBuilder,
+    decode
+};
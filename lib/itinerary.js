@@ -0,0 +1,582 @@
+'use strict';
+
+const moment = require('moment-timezone');
+const polyline = require('./polyline');
+const { TIMEZONE } = require('./timetable');
+const { Poller } = require('./poller');
+const { Alert } = require('./alerts');
+
+const DEFAULT_INTERVAL = 30 * 1000;
+const DEFAULT_RISK_MARGIN = 2 * 60;
+
+/**
+ * A szakasz vége után ennyi ideig (másodperc) még lekérdezésre kerül a menet, a késve érkező járatok miatt
+ */
+const GRACE = 2 * 60;
+
+/**
+ * Időpont átalakítása ezredmásodperces unix timestampre (a Futár hol másodpercben, hol ezredmásodpercben adja meg)
+ * @param {number} value az időpont
+ * @return {?number}
+ */
+function toMillis(value) {
+    if (value === undefined || value === null) return null;
+    return value < 1e11 ? value * 1000 : value;
+}
+
+/**
+ * Az utazás egy szakasza (séta vagy egy járattal megtett út)
+ */
+class Leg {
+    /**
+     * @param {object} raw a leg nyers adatai az OTP tervből
+     * @param {object} [refs] a válasz nyers referenciái
+     */
+    constructor(raw, refs) {
+        Object.defineProperty(this, 'raw', { value: raw });
+        Object.defineProperty(this, '_coordinates', { value: null, writable: true });
+
+        const routes = (refs && refs.routes) || {};
+        const route = routes[raw.routeId] || {};
+
+        this.mode = raw.mode;
+        this.transit = raw.transitLeg !== undefined ? Boolean(raw.transitLeg) : raw.mode !== 'WALK' && raw.mode !== 'BICYCLE';
+        this.startTime = new Date(toMillis(raw.startTime));
+        this.endTime = new Date(toMillis(raw.endTime));
+        this.duration = raw.duration !== undefined ? raw.duration : (this.endTime - this.startTime) / 1000;
+        this.distance = raw.distance || 0;
+
+        this.routeId = raw.routeId || null;
+        this.routeShortName = raw.routeShortName || route.shortName || raw.route || null;
+        this.routeColor = raw.routeColor || route.color || null;
+        this.routeTextColor = raw.routeTextColor || route.textColor || null;
+        this.tripId = raw.tripId || null;
+        this.headsign = raw.headsign || null;
+
+        this.from = raw.from || {};
+        this.to = raw.to || {};
+        this.intermediateStops = raw.intermediateStops || [];
+
+        this.realtime = Boolean(raw.realTime);
+        this.departureDelay = raw.departureDelay || 0;
+        this.arrivalDelay = raw.arrivalDelay || 0;
+    }
+
+    /**
+     * A szakasz útvonala [lat, lon] párokként
+     * @return {Array<number[]>}
+     */
+    get coordinates() {
+        if (!this._coordinates) {
+            const geometry = this.raw.legGeometry;
+            this._coordinates = geometry && geometry.points
+                ? polyline.decode(geometry.points)
+                : [[this.from.lat, this.from.lon], [this.to.lat, this.to.lon]];
+        }
+        return this._coordinates;
+    }
+
+    /**
+     * A szakasz GeoJSON Feature formában
+     * @return {object}
+     */
+    toGeoJSON() {
+        return {
+            type: 'Feature',
+            geometry: polyline.toLineString(this.coordinates),
+            properties: {
+                mode: this.mode,
+                transit: this.transit,
+                routeId: this.routeId,
+                routeShortName: this.routeShortName,
+                routeColor: this.routeColor,
+                headsign: this.headsign,
+                from: this.from.name,
+                to: this.to.name,
+                startTime: this.startTime.toISOString(),
+                endTime: this.endTime.toISOString(),
+                duration: this.duration,
+                distance: this.distance,
+                realtime: this.realtime
+            }
+        };
+    }
+}
+
+/**
+ * Egy lehetséges útvonal a tervezés eredményéből
+ */
+class Itinerary {
+    /**
+     * @param {object} raw az itinerary nyers adatai az OTP tervből
+     * @param {object} [refs] a válasz nyers referenciái
+     */
+    constructor(raw, refs) {
+        Object.defineProperty(this, 'raw', { value: raw });
+
+        this.legs = (raw.legs || []).map(leg => new Leg(leg, refs));
+
+        const first = this.legs[0];
+        const last = this.legs[this.legs.length - 1];
+
+        this.startTime = raw.startTime ? new Date(toMillis(raw.startTime)) : first && first.startTime;
+        this.endTime = raw.endTime ? new Date(toMillis(raw.endTime)) : last && last.endTime;
+        this.duration = raw.duration !== undefined ? raw.duration : (this.endTime - this.startTime) / 1000;
+
+        const walkLegs = this.legs.filter(leg => leg.mode === 'WALK');
+        const transitLegs = this.legs.filter(leg => leg.transit);
+
+        this.walkTime = raw.walkTime !== undefined ? raw.walkTime : sum(walkLegs.map(leg => leg.duration));
+        this.walkDistance = raw.walkDistance !== undefined ? raw.walkDistance : sum(walkLegs.map(leg => leg.distance));
+        this.transitTime = raw.transitTime !== undefined ? raw.transitTime : sum(transitLegs.map(leg => leg.duration));
+        this.waitingTime = raw.waitingTime !== undefined ? raw.waitingTime : this._gaps();
+        this.transfers = raw.transfers !== undefined ? raw.transfers : Math.max(transitLegs.length - 1, 0);
+        this.fare = fareSummary(raw.fare);
+        this.realtime = this.legs.some(leg => leg.realtime);
+    }
+
+    /**
+     * A járművel megtett szakaszok
+     * @return {Leg[]}
+     */
+    get transitLegs() {
+        return this.legs.filter(leg => leg.transit);
+    }
+
+    /**
+     * Az igénybe vett viszonylatok rövid nevei
+     * @return {string[]}
+     */
+    get routes() {
+        return this.transitLegs.map(leg => leg.routeShortName);
+    }
+
+    /**
+     * Az útvonal GeoJSON FeatureCollection formában, szakaszonként egy Feature-rel
+     * @return {object}
+     */
+    toGeoJSON() {
+        return {
+            type: 'FeatureCollection',
+            features: this.legs.map(leg => leg.toGeoJSON()),
+            properties: {
+                startTime: this.startTime && this.startTime.toISOString(),
+                endTime: this.endTime && this.endTime.toISOString(),
+                duration: this.duration,
+                transfers: this.transfers,
+                walkDistance: this.walkDistance,
+                fare: this.fare
+            }
+        };
+    }
+
+    _gaps() {
+        let waiting = 0;
+        for (let i = 1; i < this.legs.length; i++) {
+            waiting += Math.max((this.legs[i].startTime - this.legs[i - 1].endTime) / 1000, 0);
+        }
+        return waiting;
+    }
+}
+
+/**
+ * Az utazástervezés eredménye
+ */
+class Plan {
+    /**
+     * @param {object} data a planTrip válasza (nyers vagy hydrate-elt)
+     */
+    constructor(data) {
+        data = (data && data.raw) || data || {};
+        Object.defineProperty(this, 'raw', { value: data });
+
+        const plan = (data.entry && data.entry.plan) || data.plan || {};
+
+        this.from = plan.from || null;
+        this.to = plan.to || null;
+        this.date = plan.date ? new Date(toMillis(plan.date)) : null;
+        this.itineraries = (plan.itineraries || []).map(itinerary => new Itinerary(itinerary, data.references));
+    }
+
+    /**
+     * Az útvonalak szűrése
+     * Az időpontok megadhatók Date, unix timestamp (ezredmásodperc) vagy az útvonal napjára, budapesti idő szerint értelmezett 'HH:mm' formában.
+     * @param {object} criteria a szűrési feltételek
+     * @param {number} [criteria.maxTransfers] az átszállások maximális száma
+     * @param {number} [criteria.maxWalkDistance] a séta maximális hossza méterben
+     * @param {number} [criteria.maxDuration] az utazás maximális hossza másodpercben
+     * @param {(Date|number|string)} [criteria.arriveBefore] legkésőbbi érkezés
+     * @param {(Date|number|string)} [criteria.departAfter] legkorábbi indulás
+     * @param {(string|string[])} [criteria.modes] csak a megadott közlekedési módokat használó útvonalak
+     * @param {boolean} [criteria.realtime] csak valós idejű adatokkal rendelkező útvonalak
+     * @return {Itinerary[]}
+     */
+    filter(criteria) {
+        const { maxTransfers, maxWalkDistance, maxDuration, arriveBefore, departAfter, modes, realtime } = criteria || {};
+        const allowedModes = modes ? [].concat(modes) : null;
+
+        return this.itineraries.filter(itinerary => {
+            if (maxTransfers !== undefined && itinerary.transfers > maxTransfers) return false;
+            if (maxWalkDistance !== undefined && itinerary.walkDistance > maxWalkDistance) return false;
+            if (maxDuration !== undefined && itinerary.duration > maxDuration) return false;
+            if (arriveBefore !== undefined && itinerary.endTime > resolveTime(arriveBefore, itinerary.endTime)) return false;
+            if (departAfter !== undefined && itinerary.startTime < resolveTime(departAfter, itinerary.startTime)) return false;
+            if (allowedModes && itinerary.transitLegs.some(leg => allowedModes.indexOf(leg.mode) === -1)) return false;
+            if (realtime !== undefined && itinerary.realtime !== realtime) return false;
+            return true;
+        });
+    }
+
+    /**
+     * Az útvonalak rendezése
+     * @param {(string|string[])} keys a rendezés szempontjai sorrendben (duration, transfers, walkDistance, walkTime, waitingTime, startTime, endTime), '-' előtaggal csökkenő sorrend
+     * @param {Itinerary[]} [itineraries = this.itineraries] a rendezendő útvonalak (pl. a filter eredménye)
+     * @return {Itinerary[]} az útvonalak új, rendezett tömbben
+     */
+    sortBy(keys, itineraries) {
+        keys = [].concat(keys);
+
+        return (itineraries || this.itineraries).slice().sort((a, b) => {
+            for (let i = 0; i < keys.length; i++) {
+                const desc = keys[i][0] === '-';
+                const key = desc ? keys[i].slice(1) : keys[i];
+                const diff = a[key] - b[key];
+                if (diff) return desc ? -diff : diff;
+            }
+            return 0;
+        });
+    }
+
+    /**
+     * A leggyorsabb útvonal
+     * @return {?Itinerary}
+     */
+    fastest() {
+        return this.sortBy(['duration', 'transfers'])[0] || null;
+    }
+
+    /**
+     * A legkevesebb átszállással járó útvonal
+     * @param {object} [criteria] további szűrési feltételek (lásd filter)
+     * @return {?Itinerary}
+     */
+    fewestTransfers(criteria) {
+        return this.sortBy(['transfers', 'duration'], this.filter(criteria))[0] || null;
+    }
+
+    /**
+     * Az összes útvonal GeoJSON FeatureCollection formában
+     * @return {object}
+     */
+    toGeoJSON() {
+        const features = [];
+        this.itineraries.forEach((itinerary, index) => {
+            itinerary.legs.forEach(leg => {
+                const feature = leg.toGeoJSON();
+                feature.properties.itinerary = index;
+                features.push(feature);
+            });
+        });
+        return { type: 'FeatureCollection', features };
+    }
+}
+
+/**
+ * Egy átszállás két járművel megtett szakasz között
+ * @typedef {object} ItineraryMonitor~transfer
+ * @property {number} index az átszállás sorszáma az útvonalon
+ * @property {Leg} from az érkező szakasz
+ * @property {Leg} to az induló szakasz
+ * @property {number} walkTime a két szakasz közötti séta ideje másodpercben
+ * @property {Date} arrival az érkező járat várható érkezése
+ * @property {Date} departure az induló járat várható indulása
+ * @property {number} slack a séta után az indulásig maradó idő másodpercben (negatív, ha az átszállás nem érhető el)
+ * @property {string} status 'ok', 'atRisk', 'missed' vagy 'made' (az induló járat elindult, az átszállás sikerült)
+ * @property {function(object=): Promise<Plan>} replan újratervezés az érkező szakasz szerinti helyzetből a célig (lásd ItineraryMonitor#replan)
+ */
+
+/**
+ * Az utas várható helyzete
+ * @typedef {object} ItineraryMonitor~position
+ * @property {number} lat földrajzi szélesség
+ * @property {number} lon földrajzi hosszúság
+ * @property {?string} name a megálló neve (jármű esetén null)
+ * @property {Date} time az időpont, amikortól az utas innen indulhat tovább
+ * @property {string} source 'vehicle' (a jármű utolsó ismert helyzete), 'stop' (felszállási vagy leszállási megálló)
+ */
+
+/**
+ * Egy megtervezett útvonal átszállásainak figyelése a menetek valós idejű adatai alapján
+ * Minden még nem teljesített szakasz menetét lekérdezi (tripDetails), és az érkező járat várható érkezését
+ * a séta idejével együtt összeveti a csatlakozó járat várható indulásával.
+ *
+ * Események:
+ * - transferAtRisk: a séta után az indulásig maradó idő a megadott tartalék alá csökkent (transfer)
+ * - transferRecovered: egy veszélyeztetett átszállás ismét elérhető (transfer)
+ * - transferMissed: az átszállás nem érhető el, a transfer.replan függvénnyel újratervezhető az út (transfer)
+ * - alertAffectsLeg: forgalmi változás érinti egy szakasz viszonylatát vagy megállóit (alert, leg)
+ * - update: minden sikeres lekérdezés után (transfers)
+ * - completed: az utolsó szakasz is véget ért, a figyelés leáll
+ * - error: sikertelen lekérdezés (err)
+ * - stop: a figyelés leállt
+ */
+class ItineraryMonitor extends Poller {
+    /**
+     * @param {Futar} futar a lekérdezésekhez használt Futár kliens
+     * @param {(Itinerary|object)} itinerary a figyelendő útvonal (a planTrip eredményének egy eleme)
+     * @param {object} [opts] a figyelés beállításai
+     * @param {number} [opts.riskMargin = 120] az átszállás veszélyeztetett, ha a séta után ennél kevesebb idő (másodperc) marad az indulásig
+     * @param {object} [opts.plan] az újratervezéskor használt további planTrip paraméterek (pl. mode, wheelchair)
+     * @param {string} [opts.lang] a forgalmi változások szövegeinek alapértelmezett nyelve
+     * @param {number} [opts.interval = 30000] a lekérdezési időköz ezredmásodpercben
+     * @param {number} [opts.maxBackoff = 300000] a hibák utáni várakozás felső korlátja ezredmásodpercben
+     */
+    constructor(futar, itinerary, opts) {
+        const { riskMargin, plan, lang, interval, maxBackoff } = opts || {};
+        super({ interval: interval || DEFAULT_INTERVAL, maxBackoff });
+
+        this.futar = futar;
+        this.itinerary = itinerary instanceof Itinerary ? itinerary : new Itinerary(itinerary);
+        this.riskMargin = riskMargin !== undefined ? riskMargin : DEFAULT_RISK_MARGIN;
+        this.plan = plan || {};
+        this.lang = lang;
+
+        // a járművel megtett szakaszok várható indulása és érkezése, kezdetben a tervezett időpontok
+        this.predictions = new Map();
+        this.itinerary.transitLegs.forEach(leg => {
+            this.predictions.set(leg, { departure: leg.startTime, arrival: leg.endTime, realtime: leg.realtime });
+        });
+
+        this.transfers = transfersOf(this.itinerary).map(transfer => Object.assign(transfer, {
+            arrival: transfer.from.endTime,
+            departure: transfer.to.startTime,
+            slack: (transfer.to.startTime - transfer.from.endTime) / 1000 - transfer.walkTime,
+            status: 'ok',
+            replan: replanOpts => this.replan(transfer, replanOpts)
+        }));
+
+        // a menetek járműveinek utolsó ismert helyzete szakaszonként
+        this.vehicles = new Map();
+        this._alerts = new Set();
+    }
+
+    /**
+     * Az utas várható helyzete a szakaszok valós idejű adatai alapján
+     * A még el nem indult szakasz előtt a felszállási megálló, menet közben a jármű utolsó ismert helyzete
+     * (ennek hiányában a leszállási megálló a várható érkezéstől), az utolsó szakasz után annak leszállási megállója.
+     * @param {(Date|number)} [time = most] az időpont
+     * @return {?ItineraryMonitor~position} a helyzet, vagy null, ha az útvonal nem tartalmaz járművel megtett szakaszt
+     */
+    position(time) {
+        const now = time === undefined ? this.futar.config.clock() : +time;
+        const legs = this.itinerary.transitLegs;
+        if (!legs.length) return null;
+
+        const leg = legs.find(leg => this.predictions.get(leg).arrival.getTime() > now) || legs[legs.length - 1];
+        return this._positionOn(leg, now);
+    }
+
+    /**
+     * Újratervezés az utas helyzetéből a célig
+     * Átszállás megadásakor az érkező szakasz szerinti helyzetből (a felszállási megállóból, a jármű utolsó ismert
+     * helyzetéből, illetve az átszállási megállóból a várható érkezéstől), egyébként az aktuális helyzetből (lásd position).
+     * Járművel megtett szakasz nélküli útvonal esetén az indulási helyről, a mostani időponttól tervez.
+     * @param {ItineraryMonitor~transfer} [transfer] az el nem érhető átszállás
+     * @param {object} [opts] további planTrip paraméterek, a fromLat és fromLon megadásával a megadott helyről tervez
+     * @return {Promise<Plan>}
+     */
+    replan(transfer, opts) {
+        const now = this.futar.config.clock();
+        const legs = this.itinerary.legs;
+        const from = (transfer ? this._positionOn(transfer.from, now) : this.position(now)) || place(legs[0].from, now, 'stop');
+        const to = legs[legs.length - 1].to;
+
+        return this.futar.planTrip(Object.assign({}, this.plan, {
+            fromLat: from.lat,
+            fromLon: from.lon,
+            fromName: from.name || undefined,
+            toLat: to.lat,
+            toLon: to.lon,
+            toName: to.name,
+            dateTime: from.time
+        }, opts, { model: true }));
+    }
+
+    // az utas helyzete egy járművel megtett szakasz várható indulása és érkezése szerint
+    _positionOn(leg, now) {
+        const prediction = this.predictions.get(leg);
+        if (prediction.departure.getTime() > now) return place(leg.from, now, 'stop');
+
+        const vehicle = this.vehicles.get(leg);
+        if (vehicle && prediction.arrival.getTime() > now) {
+            return { lat: vehicle.lat, lon: vehicle.lon, name: null, time: new Date(now), source: 'vehicle' };
+        }
+
+        return place(leg.to, Math.max(prediction.arrival.getTime(), now), 'stop');
+    }
+
+    _fetch() {
+        const now = this.futar.config.clock();
+        const legs = Array.from(this.predictions.keys())
+            .filter(leg => leg.tripId && this.predictions.get(leg).arrival.getTime() + GRACE * 1000 > now);
+
+        return Promise.all(legs.map(leg => this.futar.tripDetails({
+            tripId: leg.tripId,
+            date: leg.raw.serviceDate || leg.startTime,
+            includeReferences: true,
+            hydrate: false
+        }).then(data => ({ leg, data }))));
+    }
+
+    _handle(results) {
+        const now = this.futar.config.clock();
+
+        results.forEach(result => {
+            const { leg, data } = result;
+            const entry = data.entry || {};
+            const refs = data.references || {};
+
+            this.predictions.set(leg, predict(leg, entry, this.predictions.get(leg)));
+            if (entry.vehicle && entry.vehicle.location) {
+                this.vehicles.set(leg, { lat: entry.vehicle.location.lat, lon: entry.vehicle.location.lon });
+            }
+            this._checkAlerts(leg, entry, refs);
+        });
+
+        this.transfers.forEach(transfer => {
+            if (transfer.status === 'missed' || transfer.status === 'made') return;
+
+            transfer.arrival = this.predictions.get(transfer.from).arrival;
+            transfer.departure = this.predictions.get(transfer.to).departure;
+            transfer.slack = (transfer.departure - transfer.arrival) / 1000 - transfer.walkTime;
+
+            const previous = transfer.status;
+            if (transfer.slack < 0) {
+                transfer.status = 'missed';
+                this.emit('transferMissed', transfer);
+            } else if (transfer.departure.getTime() <= now) {
+                transfer.status = 'made';
+            } else if (transfer.slack < this.riskMargin) {
+                transfer.status = 'atRisk';
+                if (previous !== 'atRisk') this.emit('transferAtRisk', transfer);
+            } else {
+                transfer.status = 'ok';
+                if (previous === 'atRisk') this.emit('transferRecovered', transfer);
+            }
+        });
+
+        this.emit('update', this.transfers);
+
+        const last = Array.from(this.predictions.values()).pop();
+        const end = last ? last.arrival : this.itinerary.endTime;
+        if (!end || end.getTime() + GRACE * 1000 <= now) {
+            this.emit('completed');
+            this.stop();
+        }
+    }
+
+    _checkAlerts(leg, entry, refs) {
+        const prediction = this.predictions.get(leg);
+        const stopIds = [leg.from.stopId, leg.to.stopId].filter(Boolean);
+        const alertIds = entry.alertIds || [];
+
+        Object.keys(refs.alerts || {}).forEach(id => {
+            const alert = new Alert(refs.alerts[id], refs, { lang: this.lang || this.futar.config.lang, clock: this.futar.config.clock });
+            const key = `${this.itinerary.legs.indexOf(leg)}:${alert.id}`;
+            if (this._alerts.has(key)) return;
+
+            const relevant = alertIds.indexOf(alert.id) !== -1 ||
+                (leg.routeId && alert.affects({ routeId: leg.routeId })) ||
+                stopIds.some(stopId => alert.affects({ stopId }));
+            if (!relevant || !(alert.activeAt(prediction.departure) || alert.activeAt(prediction.arrival))) return;
+
+            this._alerts.add(key);
+            this.emit('alertAffectsLeg', alert, leg);
+        });
+    }
+}
+
+/**
+ * Az útvonal átszállásai, a köztük lévő séta idejével
+ * @param {Itinerary} itinerary az útvonal
+ * @return {Array<{ index: number, from: Leg, to: Leg, walkTime: number }>}
+ */
+function transfersOf(itinerary) {
+    const transfers = [];
+    let previous = null;
+    let walkTime = 0;
+
+    itinerary.legs.forEach(leg => {
+        if (!leg.transit) {
+            walkTime += leg.duration;
+            return;
+        }
+        if (previous) transfers.push({ index: transfers.length, from: previous, to: leg, walkTime });
+        previous = leg;
+        walkTime = 0;
+    });
+
+    return transfers;
+}
+
+// a szakasz várható indulása és érkezése a menet megállási idejeiből
+function predict(leg, entry, previous) {
+    const stopTimes = entry.stopTimes || [];
+    const from = stopTimes.find(stopTime => stopTime.stopId === leg.from.stopId);
+    const to = stopTimes.find(stopTime => stopTime.stopId === leg.to.stopId);
+
+    const time = (stopTime, predicted, scheduled) => {
+        const value = stopTime && (stopTime[predicted] || stopTime[scheduled]);
+        return value ? new Date(toMillis(value)) : null;
+    };
+
+    return {
+        departure: time(from, 'predictedDepartureTime', 'departureTime') || previous.departure,
+        arrival: time(to, 'predictedArrivalTime', 'arrivalTime') || previous.arrival,
+        realtime: Boolean((from && from.predictedDepartureTime) || (to && to.predictedArrivalTime)) || previous.realtime
+    };
+}
+
+function place(stop, time, source) {
+    return { lat: stop.lat, lon: stop.lon, name: stop.name || null, time: new Date(time), source };
+}
+
+function sum(values) {
+    return values.reduce((total, value) => total + (value || 0), 0);
+}
+
+function resolveTime(value, reference) {
+    if (value instanceof Date) return value;
+    if (typeof value === 'number') return new Date(value);
+
+    const time = moment.tz(value, 'HH:mm', true, TIMEZONE);
+    if (!time.isValid()) return new Date(value);
+
+    return moment.tz(reference, TIMEZONE).hours(time.hours()).minutes(time.minutes()).seconds(0).milliseconds(0).toDate();
+}
+
+/**
+ * A viteldíj összesítése
+ * @param {object} fare az OTP fare objektuma
+ * @return {?{ currency: string, amount: number }}
+ */
+function fareSummary(fare) {
+    const regular = fare && fare.fare && fare.fare.regular;
+    if (!regular) return null;
+
+    const currency = regular.currency || {};
+    const code = typeof currency === 'string' ? currency : currency.currencyCode || currency.currency;
+    const digits = currency.defaultFractionDigits || 0;
+
+    return {
+        currency: code || null,
+        amount: regular.cents / Math.pow(10, digits)
+    };
+}
+
+module.exports = {
+    Plan,
+    Itinerary,
+    Leg,
+    ItineraryMonitor
+};
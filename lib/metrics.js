@@ -0,0 +1,185 @@
+'use strict';
+
+const { endpointName } = require('./cache');
+
+/**
+ * A válaszidő hisztogram alapértelmezett határai másodpercben
+ */
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * A kliens lekérdezéseinek statisztikái endpointonként
+ * A Futár kliens request, response, error és retry eseményeiből számolja a lekérdezéseket, hibákat, gyorsítótár találatokat,
+ * újrapróbálkozásokat és a válaszidők eloszlását, melyek Prometheus szöveges formátumban is lekérdezhetők.
+ *
+ * @example
+ * const metrics = new Metrics();
+ * metrics.attach(futar);
+ * http.createServer((req, res) => res.end(metrics.toPrometheus()));
+ */
+class Metrics {
+    /**
+     * @param {object} [opts] beállítások
+     * @param {number[]} [opts.buckets] a válaszidő hisztogram határai másodpercben
+     * @param {string} [opts.prefix = 'futar'] a Prometheus metrikák nevének előtagja
+     */
+    constructor(opts) {
+        const { buckets, prefix } = opts || {};
+
+        this.buckets = (buckets || DEFAULT_BUCKETS).slice().sort((a, b) => a - b);
+        this.prefix = prefix || 'futar';
+        this.reset();
+    }
+
+    /**
+     * A Futár kliens eseményeinek figyelése
+     * @param {Futar} futar a kliens
+     * @return {function()} a figyelés megszüntetése
+     */
+    attach(futar) {
+        const listeners = {
+            response: event => this._record(event, null),
+            error: event => this._record(event, event.error),
+            retry: event => {
+                this._endpoint(event.endpoint).retries++;
+            }
+        };
+
+        Object.keys(listeners).forEach(type => futar.on(type, listeners[type]));
+        return () => Object.keys(listeners).forEach(type => futar.removeListener(type, listeners[type]));
+    }
+
+    /**
+     * A statisztikák nullázása
+     */
+    reset() {
+        this.endpoints = new Map();
+    }
+
+    /**
+     * A statisztikák endpointonként
+     * @return {object} endpoint név szerint a lekérdezések (requests), hibák (errors, típus szerint errorTypes), gyorsítótár
+     *   találatok, hiányok és folyamatban lévő lekérdezéshez csatlakozások (cacheHits, cacheMisses, cacheDedups),
+     *   újrapróbálkozások (retries), menetrendi tartalékból adott válaszok (offline)
+     *   és a válaszidők (latency: count, sum másodpercben, buckets: { le, count } elemek határonként halmozott darabszámmal)
+     */
+    snapshot() {
+        const result = {};
+        this.endpoints.forEach((stats, name) => {
+            result[name] = Object.assign({}, stats, {
+                errorTypes: Object.assign({}, stats.errorTypes),
+                latency: {
+                    count: stats.latency.count,
+                    sum: stats.latency.sum,
+                    buckets: this.buckets.map((le, i) => ({ le, count: stats.latency.counts[i] }))
+                }
+            });
+        });
+        return result;
+    }
+
+    /**
+     * A statisztikák Prometheus szöveges formátumban
+     * @return {string}
+     */
+    toPrometheus() {
+        const lines = [];
+        const metric = (name, type, help, samples) => {
+            lines.push(`# HELP ${this.prefix}_${name} ${help}`, `# TYPE ${this.prefix}_${name} ${type}`);
+            samples.forEach(sample => lines.push(`${this.prefix}_${sample[0]}${labels(sample[1])} ${sample[2]}`));
+        };
+        const each = fn => {
+            const samples = [];
+            this.endpoints.forEach((stats, endpoint) => fn(stats, endpoint, samples));
+            return samples;
+        };
+
+        metric('requests_total', 'counter', 'A Futár API lekérdezések száma', each((stats, endpoint, samples) => {
+            samples.push(['requests_total', { endpoint, outcome: 'success' }, stats.requests - stats.errors]);
+            samples.push(['requests_total', { endpoint, outcome: 'error' }, stats.errors]);
+        }));
+
+        metric('request_errors_total', 'counter', 'A sikertelen lekérdezések száma hibatípusonként', each((stats, endpoint, samples) => {
+            Object.keys(stats.errorTypes).forEach(type => samples.push(['request_errors_total', { endpoint, type }, stats.errorTypes[type]]));
+        }));
+
+        metric('cache_requests_total', 'counter', 'A gyorsítótár találatok, hiányok és összevont lekérdezések száma', each((stats, endpoint, samples) => {
+            samples.push(['cache_requests_total', { endpoint, result: 'hit' }, stats.cacheHits]);
+            samples.push(['cache_requests_total', { endpoint, result: 'miss' }, stats.cacheMisses]);
+            samples.push(['cache_requests_total', { endpoint, result: 'dedup' }, stats.cacheDedups]);
+        }));
+
+        metric('retries_total', 'counter', 'Az újrapróbálkozások száma', each((stats, endpoint, samples) => {
+            samples.push(['retries_total', { endpoint }, stats.retries]);
+        }));
+
+        metric('offline_responses_total', 'counter', 'A menetrendi tartalékból adott válaszok száma', each((stats, endpoint, samples) => {
+            samples.push(['offline_responses_total', { endpoint }, stats.offline]);
+        }));
+
+        metric('request_duration_seconds', 'histogram', 'A lekérdezések válaszideje másodpercben', each((stats, endpoint, samples) => {
+            this.buckets.forEach((le, i) => {
+                samples.push(['request_duration_seconds_bucket', { endpoint, le: String(le) }, stats.latency.counts[i]]);
+            });
+            samples.push(['request_duration_seconds_bucket', { endpoint, le: '+Inf' }, stats.latency.count]);
+            samples.push(['request_duration_seconds_sum', { endpoint }, round(stats.latency.sum)]);
+            samples.push(['request_duration_seconds_count', { endpoint }, stats.latency.count]);
+        }));
+
+        return lines.join('\n') + '\n';
+    }
+
+    _endpoint(endpoint) {
+        const name = endpointName(endpoint);
+        if (!this.endpoints.has(name)) {
+            this.endpoints.set(name, {
+                requests: 0,
+                errors: 0,
+                errorTypes: {},
+                cacheHits: 0,
+                cacheMisses: 0,
+                cacheDedups: 0,
+                retries: 0,
+                offline: 0,
+                latency: { count: 0, sum: 0, counts: this.buckets.map(() => 0) }
+            });
+        }
+        return this.endpoints.get(name);
+    }
+
+    _record(event, error) {
+        const stats = this._endpoint(event.endpoint);
+        const seconds = event.latency / 1000;
+
+        stats.requests++;
+        if (error) {
+            stats.errors++;
+            stats.errorTypes[error.name] = (stats.errorTypes[error.name] || 0) + 1;
+        }
+        if (event.cache === 'hit') stats.cacheHits++;
+        if (event.cache === 'miss') stats.cacheMisses++;
+        if (event.cache === 'dedup') stats.cacheDedups++;
+        if (event.offline) stats.offline++;
+
+        stats.latency.count++;
+        stats.latency.sum += seconds;
+        this.buckets.forEach((le, i) => {
+            if (seconds <= le) stats.latency.counts[i]++;
+        });
+    }
+}
+
+function labels(values) {
+    const keys = Object.keys(values);
+    if (!keys.length) return '';
+    return `{${keys.map(key => `${key}="${String(values[key]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`).join(',')}}`;
+}
+
+function round(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+module.exports = {
+    Metrics,
+    DEFAULT_BUCKETS
+};
@@ -0,0 +1,473 @@
+'use strict';
+
+const moment = require('moment-timezone');
+const { ValidationError } = require('./errors');
+const { TIMEZONE } = require('./timetable');
+
+/**
+ * A tervezésnél használható közlekedési módok
+ */
+const PLAN_MODES = ['BICYCLE', 'WALK', 'SUBWAY', 'RAIL', 'FERRY', 'TRAM', 'TROLLEYBUS', 'BUS'];
+
+/**
+ * A viszonylatok közlekedési módjai
+ */
+const ROUTE_MODES = ['BUS', 'TRAM', 'TROLLEYBUS', 'SUBWAY', 'RAIL', 'FERRY'];
+
+/**
+ * Az utazástervezés optimalizálásának típusai
+ */
+const OPTIMIZE = ['QUICK', 'TRANSFERS', 'WALK', 'TRIANGLE'];
+
+const REFERENCES = { type: 'boolean', default: config => config.includeReferences };
+const NO_REFERENCES = { type: 'boolean', default: false };
+const VERSION = { type: 'integer', min: 1, default: config => config.apiVersion };
+const IF_MODIFIED_SINCE = { type: 'timestamp', default: 0 };
+const LAT = { type: 'number', min: -90, max: 90 };
+const LON = { type: 'number', min: -180, max: 180 };
+const MINUTES = { type: 'integer', min: 0, max: 1440 };
+const CONCURRENCY = { type: 'integer', min: 1 };
+const TODAY = config => moment.tz(config.clock ? config.clock() : Date.now(), TIMEZONE);
+
+const STOP_ID = { type: 'string', required: true };
+const ROUTE_ID = { type: 'string', required: true };
+const TRIP_ID = { type: 'string', required: true };
+
+const AREA = {
+    lat: { type: 'number', min: -90, max: 90 },
+    lon: { type: 'number', min: -180, max: 180 },
+    radius: { type: 'number', min: 0, exclusiveMin: true },
+    latSpan: { type: 'number', min: 0, exclusiveMin: true },
+    lonSpan: { type: 'number', min: 0, exclusiveMin: true },
+    minLat: Object.assign({ send: false }, LAT),
+    minLon: Object.assign({ send: false }, LON),
+    maxLat: Object.assign({ send: false }, LAT),
+    maxLon: Object.assign({ send: false }, LON)
+};
+
+/**
+ * A terület megadása középponttal és sugárral, középponttal és kiterjedéssel, vagy befoglaló téglalappal
+ * @param {object} values az ellenőrzött értékek
+ * @return {object} az értékek, a befoglaló téglalap középpontra és kiterjedésre alakítva
+ */
+function area(values) {
+    const { minLat, minLon, maxLat, maxLon } = values;
+
+    if ([minLat, minLon, maxLat, maxLon].every(value => value !== undefined)) {
+        if (minLat >= maxLat || minLon >= maxLon) {
+            throw new ValidationError('A minLat és minLon értéke kisebb kell legyen a maxLat és maxLon értékénél!');
+        }
+        return Object.assign(values, {
+            lat: (minLat + maxLat) / 2,
+            lon: (minLon + maxLon) / 2,
+            latSpan: maxLat - minLat,
+            lonSpan: maxLon - minLon
+        });
+    }
+
+    if (values.lat === undefined || values.lon === undefined || (values.radius === undefined && (values.latSpan === undefined || values.lonSpan === undefined))) {
+        throw new ValidationError('A lat, lon és radius, a lat, lon, latSpan és lonSpan, vagy a minLat, minLon, maxLat és maxLon megadása kötelező!');
+    }
+
+    if (values.radius !== undefined) {
+        delete values.latSpan;
+        delete values.lonSpan;
+    }
+    return values;
+}
+
+/**
+ * A metódusok paraméter sémái
+ *
+ * Egy paraméter leírása:
+ * - type: string, number, integer, boolean, enum, list, date (nap a megadott formátumban), time (moment időpont), timestamp (unix timestamp)
+ *   vagy ezek tömbje, ha több típus is elfogadott
+ * - required: kötelező paraméter
+ * - default: az alapértelmezett érték, vagy a konfigurációból azt előállító függvény
+ * - min, max, exclusiveMin: számok megengedett tartománya
+ * - values: az enum és list típus megengedett értékei
+ * - items: a list típus elemeinek leírása, ha az elemek maguk is ellenőrzendők (pl. napok listája)
+ * - format: a date típus formátuma
+ * - send: false esetén az érték nem kerül a lekérdezés paraméterei közé (pl. az URL részét képező azonosítók)
+ *
+ * A séma shorthand mezője adja meg, melyik paraméter adható meg önmagában stringként, a check függvény
+ * pedig a paraméterek együttes ellenőrzését végzi.
+ */
+const SCHEMAS = {
+    arrivalsAndDeparturesForStop: {
+        shorthand: 'stopId',
+        params: {
+            stopId: STOP_ID,
+            minutesBefore: Object.assign({ default: 0 }, MINUTES),
+            minutesAfter: Object.assign({ default: 30 }, MINUTES),
+            onlyDepartures: { type: 'boolean', default: true },
+            includeReferences: REFERENCES,
+            version: VERSION
+        }
+    },
+    arrivalsAndDeparturesForStops: {
+        params: {
+            minutesBefore: MINUTES,
+            minutesAfter: MINUTES,
+            onlyDepartures: { type: 'boolean' },
+            concurrency: CONCURRENCY,
+            routeIds: { type: 'list' },
+            directionId: { type: 'string' },
+            mode: { type: 'list', values: ROUTE_MODES }
+        }
+    },
+    departuresNearLocation: {
+        params: {
+            lat: Object.assign({ required: true }, LAT),
+            lon: Object.assign({ required: true }, LON),
+            radius: { type: 'number', min: 0, exclusiveMin: true, default: 500 },
+            limit: { type: 'integer', min: 1, default: 10 },
+            minutesAfter: MINUTES,
+            walkingSpeed: { type: 'number', min: 0, exclusiveMin: true },
+            concurrency: CONCURRENCY
+        }
+    },
+    stopsForLocation: {
+        params: {
+            lat: Object.assign({ required: true }, LAT),
+            lon: Object.assign({ required: true }, LON),
+            radius: { type: 'number', min: 0, exclusiveMin: true, required: true },
+            includeReferences: REFERENCES,
+            version: VERSION
+        }
+    },
+    scheduleForStop: {
+        shorthand: 'stopId',
+        params: {
+            stopId: STOP_ID,
+            day: { type: 'date', format: 'YYYY-MM-DD', default: TODAY },
+            includeReferences: REFERENCES,
+            version: VERSION
+        }
+    },
+    timetable: {
+        shorthand: 'stopId',
+        params: {
+            stopId: STOP_ID,
+            day: { type: 'date', format: 'YYYY-MM-DD', default: TODAY },
+            days: { type: ['integer', 'list'], min: 1, max: 31, items: { type: 'date', format: 'YYYY-MM-DD' }, default: 1 },
+            variants: { type: 'boolean', default: false },
+            concurrency: CONCURRENCY
+        }
+    },
+    routeDetailsForStop: {
+        shorthand: 'stopId',
+        params: {
+            stopId: STOP_ID,
+            includeReferences: REFERENCES,
+            version: VERSION
+        }
+    },
+    vehiclesForStop: {
+        shorthand: 'stopId',
+        params: {
+            stopId: STOP_ID,
+            ifModifiedSince: IF_MODIFIED_SINCE,
+            includeReferences: REFERENCES,
+            version: VERSION
+        }
+    },
+    vehiclesForRoute: {
+        shorthand: 'routeId',
+        params: {
+            routeId: ROUTE_ID,
+            related: { type: 'boolean', default: false },
+            ifModifiedSince: IF_MODIFIED_SINCE,
+            includeReferences: REFERENCES,
+            version: VERSION
+        }
+    },
+    vehiclesForLocation: {
+        params: Object.assign({}, AREA, {
+            ifModifiedSince: IF_MODIFIED_SINCE,
+            includeReferences: REFERENCES,
+            version: VERSION
+        }),
+        check: area
+    },
+    tripDetails: {
+        shorthand: 'tripId',
+        params: {
+            tripId: TRIP_ID,
+            date: { type: 'date', format: 'YYYYMMDD', default: TODAY },
+            vehicleId: { type: 'string' },
+            includeReferences: REFERENCES,
+            version: VERSION
+        }
+    },
+    tripsForLocation: {
+        params: Object.assign({}, AREA, {
+            ifModifiedSince: IF_MODIFIED_SINCE,
+            includeReferences: REFERENCES,
+            version: VERSION
+        }),
+        check: area
+    },
+    stop: {
+        shorthand: 'stopId',
+        params: {
+            stopId: Object.assign({ send: false }, STOP_ID),
+            includeReferences: REFERENCES,
+            version: VERSION
+        }
+    },
+    route: {
+        shorthand: 'routeId',
+        params: {
+            routeId: Object.assign({ send: false }, ROUTE_ID),
+            includeReferences: REFERENCES,
+            version: VERSION
+        }
+    },
+    routeDetails: {
+        shorthand: 'routeId',
+        params: {
+            routeId: ROUTE_ID,
+            related: { type: 'boolean', default: false },
+            includeReferences: REFERENCES,
+            version: VERSION
+        }
+    },
+    search: {
+        shorthand: 'query',
+        params: {
+            query: { type: 'string', required: true },
+            includeReferences: REFERENCES,
+            version: VERSION
+        }
+    },
+    metadata: {
+        params: {
+            includeReferences: NO_REFERENCES,
+            version: VERSION
+        }
+    },
+    bicycleRental: {
+        params: {
+            includeReferences: NO_REFERENCES,
+            version: VERSION
+        }
+    },
+    alertSearch: {
+        shorthand: 'query',
+        params: {
+            query: { type: 'string', default: '' },
+            includeReferences: REFERENCES,
+            version: VERSION
+        }
+    },
+    planTrip: {
+        params: {
+            fromLat: Object.assign({ required: true, send: false }, LAT),
+            fromLon: Object.assign({ required: true, send: false }, LON),
+            toLat: Object.assign({ required: true, send: false }, LAT),
+            toLon: Object.assign({ required: true, send: false }, LON),
+            fromName: { type: 'string', send: false },
+            toName: { type: 'string', send: false },
+            maxTransfers: { type: 'integer', min: 0, default: 5 },
+            numItineraries: { type: 'integer', min: 1, default: 10 },
+            showIntermediateStops: { type: 'boolean', default: true },
+            dateTime: { type: 'time', send: false },
+            arriveBy: { type: 'boolean', default: false },
+            maxWalkDistance: { type: 'number', min: 0, default: 3000 },
+            wheelchair: { type: 'boolean', default: false },
+            ignoreRealtimeUpdates: { type: 'boolean', default: false },
+            optimize: { type: 'enum', values: OPTIMIZE, default: 'QUICK' },
+            mode: { type: 'list', values: PLAN_MODES, default: 'WALK,SUBWAY,RAIL,FERRY,TRAM,TROLLEYBUS,BUS' },
+            triangleSafetyFactor: { type: 'number', min: 0, max: 1, send: false },
+            triangleTimeFactor: { type: 'number', min: 0, max: 1, send: false },
+            triangleSlopeFactor: { type: 'number', min: 0, max: 1, send: false },
+            includeReferences: REFERENCES,
+            version: VERSION
+        }
+    }
+};
+
+/**
+ * Egy időpont értelmezése budapesti helyi időként
+ * Elfogadott: Date, moment, unix timestamp másodpercben vagy ezredmásodpercben, ISO 8601 szöveg
+ * (időzóna nélkül helyi idő), 'YYYY-MM-DD' vagy 'YYYYMMDD' nap.
+ * @param {(Date|number|string|moment)} value az időpont
+ * @return {?moment} az időpont Europe/Budapest időzónában, vagy null, ha nem értelmezhető
+ */
+function parseTime(value) {
+    let time;
+
+    if (moment.isMoment(value) || value instanceof Date) {
+        time = moment.tz(value.valueOf(), TIMEZONE);
+    } else if (typeof value === 'number' || (typeof value === 'string' && /^\d{9,}$/.test(value))) {
+        const number = Number(value);
+        time = moment.tz(number < 1e11 ? number * 1000 : number, TIMEZONE);
+    } else if (typeof value === 'string') {
+        time = moment.tz(value, [moment.ISO_8601, 'YYYYMMDD'], true, TIMEZONE);
+    } else {
+        return null;
+    }
+
+    return time.isValid() ? time : null;
+}
+
+const TYPE_NAMES = {
+    string: 'szöveg',
+    number: 'szám',
+    integer: 'egész szám',
+    boolean: 'logikai érték',
+    list: 'lista'
+};
+
+// névelő a paraméter neve elé
+function article(name) {
+    return /^[aeiouáéíóöőúüű]/i.test(name) ? 'Az' : 'A';
+}
+
+function describe(value) {
+    return typeof value === 'string' ? `'${value}'` : String(value);
+}
+
+function enumeration(values) {
+    return values.length > 1 ? `${values.slice(0, -1).join(', ')} vagy ${values[values.length - 1]}` : values[0];
+}
+
+/**
+ * Egy érték átalakítása a leírás szerinti típusra
+ * A szövegként megadott számok és logikai értékek (pl. query stringből) is elfogadottak.
+ * @param {string} name a paraméter neve
+ * @param {*} value az érték
+ * @param {object} spec a paraméter leírása
+ * @param {string} type a típus
+ * @return {*} az átalakított érték
+ */
+function coerce(name, value, spec, type) {
+    switch (type) {
+    case 'string':
+        if (typeof value !== 'string' && typeof value !== 'number') break;
+        return String(value);
+
+    case 'number':
+    case 'integer': {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || !isFinite(number)) break;
+        if (type === 'integer' && Math.floor(number) !== number) {
+            throw new ValidationError(`${article(name)} ${name} értéke egész szám kell legyen (kapott: ${describe(value)})!`);
+        }
+        if (spec.min !== undefined && (number < spec.min || (spec.exclusiveMin && number === spec.min))) {
+            throw new ValidationError(`${article(name)} ${name} értéke ${spec.exclusiveMin ? 'nagyobb kell legyen, mint' : 'legalább'} ${spec.min} (kapott: ${describe(value)})!`);
+        }
+        if (spec.max !== undefined && number > spec.max) {
+            throw new ValidationError(`${article(name)} ${name} értéke legfeljebb ${spec.max} lehet (kapott: ${describe(value)})!`);
+        }
+        return number;
+    }
+
+    case 'boolean':
+        if (typeof value === 'boolean') return value;
+        if (value === 'true' || value === '1') return true;
+        if (value === 'false' || value === '0') return false;
+        break;
+
+    case 'enum': {
+        const text = String(value).toUpperCase();
+        if (spec.values.indexOf(text) === -1) {
+            throw new ValidationError(`${article(name)} ${name} értéke ${enumeration(spec.values)} lehet (kapott: ${describe(value)})!`);
+        }
+        return text;
+    }
+
+    case 'list': {
+        if (!Array.isArray(value) && typeof value !== 'string') break;
+        const items = (Array.isArray(value) ? value : value.split(',')).map(item => String(item).trim()).filter(Boolean);
+        if (!items.length) break;
+        if (spec.values) {
+            const invalid = items.filter(item => spec.values.indexOf(item.toUpperCase()) === -1);
+            if (invalid.length) {
+                throw new ValidationError(`${article(name)} ${name} elemei ${enumeration(spec.values)} lehetnek (kapott: ${describe(invalid.join(','))})!`);
+            }
+            return items.map(item => item.toUpperCase()).join(',');
+        }
+        if (spec.items) return items.map(item => coerce(name, item, spec.items, spec.items.type)).join(',');
+        return items.join(',');
+    }
+
+    case 'date':
+    case 'time':
+    case 'timestamp': {
+        const time = parseTime(value);
+        if (!time) {
+            throw new ValidationError(`${article(name)} ${name} értéke nem értelmezhető időpont (kapott: ${describe(value)}), Date, ISO 8601 szöveg vagy unix timestamp adható meg!`);
+        }
+        if (type === 'date') return time.format(spec.format || 'YYYY-MM-DD');
+        if (type === 'timestamp') return time.unix();
+        return time;
+    }
+    }
+
+    return undefined;
+}
+
+/**
+ * Egy metódus paramétereinek ellenőrzése és előállítása a sémája alapján
+ * @param {(string|object)} name a metódus neve, vagy maga a séma
+ * @param {(object|string)} opts a metódus paraméterei, vagy a shorthand paraméter stringje
+ * @param {object} config a kliens konfigurációja az alapértelmezett értékekhez
+ * @return {{ values: object, query: object }} az ellenőrzött értékek és az API-nak küldendő paraméterek
+ */
+function build(name, opts, config) {
+    const schema = typeof name === 'string' ? SCHEMAS[name] : name;
+    if (!schema) throw new Error(`Ismeretlen séma: ${name}`);
+
+    if (typeof opts === 'string' && schema.shorthand) {
+        opts = { [schema.shorthand]: opts };
+    }
+    if (opts !== undefined && opts !== null && typeof opts !== 'object') {
+        throw new ValidationError(`A paramétereket objektumként${schema.shorthand ? ` vagy a ${schema.shorthand} stringjeként` : ''} kell megadni!`);
+    }
+    opts = opts || {};
+
+    let values = {};
+
+    Object.keys(schema.params).forEach(key => {
+        const spec = schema.params[key];
+        let value = opts[key];
+
+        if (value === undefined || value === null || value === '') {
+            if (spec.required) throw new ValidationError(`${article(key)} ${key} megadása kötelező!`);
+            if (spec.default === undefined) return;
+            value = typeof spec.default === 'function' ? spec.default(config || {}) : spec.default;
+        }
+
+        const types = Array.isArray(spec.type) ? spec.type : [spec.type];
+        let result;
+        for (let i = 0; i < types.length && result === undefined; i++) {
+            result = coerce(key, value, spec, types[i]);
+        }
+
+        if (result === undefined) {
+            throw new ValidationError(`${article(key)} ${key} értéke ${types.map(type => TYPE_NAMES[type] || type).join(' vagy ')} kell legyen (kapott: ${describe(value)})!`);
+        }
+        values[key] = result;
+    });
+
+    if (schema.check) values = schema.check(values);
+
+    const query = {};
+    Object.keys(values).forEach(key => {
+        const spec = schema.params[key];
+        if (spec && spec.send !== false) query[key] = values[key];
+    });
+
+    return { values, query };
+}
+
+module.exports = {
+    SCHEMAS,
+    PLAN_MODES,
+    ROUTE_MODES,
+    OPTIMIZE,
+    build,
+    parseTime
+};
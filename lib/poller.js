@@ -0,0 +1,129 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+const DEFAULT_INTERVAL = 15 * 1000;
+const DEFAULT_MAX_BACKOFF = 5 * 60 * 1000;
+
+/**
+ * Időközönként lekérdező figyelők közös őse
+ * Hiba esetén exponenciálisan növekvő várakozással próbálkozik újra. Az események aszinkron iterátorként is bejárhatók.
+ * A leszármazottak a _fetch (lekérdezés) és _handle (eredmény feldolgozása) metódusokat valósítják meg.
+ *
+ * Közös események:
+ * - error: sikertelen lekérdezés (err), figyelő nélkül nem dob kivételt
+ * - stop: a figyelés leállt
+ */
+class Poller extends EventEmitter {
+    /**
+     * @param {object} [opts] a figyelés beállításai
+     * @param {number} [opts.interval = 15000] a lekérdezési időköz ezredmásodpercben
+     * @param {number} [opts.maxBackoff = 300000] a hibák utáni várakozás felső korlátja ezredmásodpercben
+     */
+    constructor(opts) {
+        super();
+
+        const { interval, maxBackoff } = opts || {};
+
+        this.interval = interval || DEFAULT_INTERVAL;
+        this.maxBackoff = maxBackoff || DEFAULT_MAX_BACKOFF;
+        this.errors = 0;
+        this.stopped = false;
+
+        this._timer = null;
+        this._iterating = false;
+        this._queue = [];
+        this._waiting = [];
+
+        setImmediate(() => this._poll());
+    }
+
+    /**
+     * A figyelés leállítása
+     */
+    stop() {
+        if (this.stopped) return;
+
+        this.stopped = true;
+        clearTimeout(this._timer);
+        this._timer = null;
+
+        this._waiting.forEach(waiter => waiter.resolve({ value: undefined, done: true }));
+        this._waiting = [];
+
+        this.emit('stop');
+    }
+
+    /**
+     * Az események bejárása aszinkron iterátorral ({ type, args } objektumok)
+     * A hibák az iterátort nem szakítják meg, 'error' típusú eseményként érkeznek.
+     * @return {AsyncIterator}
+     */
+    [Symbol.asyncIterator]() {
+        this._iterating = true;
+
+        return {
+            next: () => {
+                if (this._queue.length) return Promise.resolve({ value: this._queue.shift(), done: false });
+                if (this.stopped) return Promise.resolve({ value: undefined, done: true });
+                return new Promise(resolve => this._waiting.push({ resolve }));
+            },
+            return: () => {
+                this.stop();
+                return Promise.resolve({ value: undefined, done: true });
+            },
+            [Symbol.asyncIterator]() {
+                return this;
+            }
+        };
+    }
+
+    emit(type, ...args) {
+        if (this._iterating && type !== 'stop') {
+            const event = { type, args };
+            if (this._waiting.length) this._waiting.shift().resolve({ value: event, done: false });
+            else this._queue.push(event);
+        }
+
+        // figyelő nélkül a hibák csak az iterátoron keresztül érkeznek, nem dobnak kivételt
+        if (type === 'error' && !this.listenerCount('error')) return false;
+
+        return super.emit(type, ...args);
+    }
+
+    /**
+     * A következő lekérdezésig várandó idő ezredmásodpercben
+     * @return {number}
+     */
+    _nextInterval() {
+        return this.interval;
+    }
+
+    _poll() {
+        if (this.stopped) return;
+
+        Promise.resolve()
+            .then(() => this._fetch())
+            .then(data => {
+                if (this.stopped) return;
+                this.errors = 0;
+                this._handle(data);
+                this._schedule(this._nextInterval());
+            })
+            .catch(err => {
+                if (this.stopped) return;
+                this.errors++;
+                this.emit('error', err);
+                this._schedule(Math.min(this.interval * Math.pow(2, this.errors), this.maxBackoff));
+            });
+    }
+
+    _schedule(delay) {
+        if (this.stopped) return;
+        this._timer = setTimeout(() => this._poll(), delay);
+    }
+}
+
+module.exports = {
+    Poller
+};
@@ -0,0 +1,92 @@
+'use strict';
+
+const DEFAULT_PRECISION = 5;
+
+/**
+ * Google encoded polyline formátumú koordinátasor dekódolása
+ * @param {string} encoded a kódolt koordinátasor
+ * @param {number} [precision = 5] a kódolás pontossága tizedesjegyekben
+ * @return {Array<number[]>} a pontok [lat, lon] párokként
+ */
+function decode(encoded, precision) {
+    const factor = Math.pow(10, precision || DEFAULT_PRECISION);
+    const points = [];
+
+    let index = 0;
+    let lat = 0;
+    let lon = 0;
+
+    const next = () => {
+        let result = 0;
+        let shift = 0;
+        let byte;
+
+        do {
+            byte = encoded.charCodeAt(index++) - 63;
+            result |= (byte & 0x1f) << shift;
+            shift += 5;
+        } while (byte >= 0x20);
+
+        return (result & 1) ? ~(result >> 1) : (result >> 1);
+    };
+
+    while (encoded && index < encoded.length) {
+        lat += next();
+        lon += next();
+        points.push([lat / factor, lon / factor]);
+    }
+
+    return points;
+}
+
+/**
+ * Koordinátasor kódolása Google encoded polyline formátumba
+ * @param {Array<number[]>} points a pontok [lat, lon] párokként
+ * @param {number} [precision = 5] a kódolás pontossága tizedesjegyekben
+ * @return {string} a kódolt koordinátasor
+ */
+function encode(points, precision) {
+    const factor = Math.pow(10, precision || DEFAULT_PRECISION);
+
+    let prevLat = 0;
+    let prevLon = 0;
+
+    return points.map(point => {
+        const lat = Math.round(point[0] * factor);
+        const lon = Math.round(point[1] * factor);
+        const chunk = encodeValue(lat - prevLat) + encodeValue(lon - prevLon);
+
+        prevLat = lat;
+        prevLon = lon;
+        return chunk;
+    }).join('');
+}
+
+function encodeValue(value) {
+    value = value < 0 ? ~(value << 1) : (value << 1);
+
+    let output = '';
+    while (value >= 0x20) {
+        output += String.fromCharCode((0x20 | (value & 0x1f)) + 63);
+        value >>= 5;
+    }
+    return output + String.fromCharCode(value + 63);
+}
+
+/**
+ * Koordinátasor átalakítása GeoJSON LineString geometriává
+ * @param {Array<number[]>} points a pontok [lat, lon] párokként
+ * @return {object} GeoJSON LineString ([lon, lat] sorrendű koordinátákkal)
+ */
+function toLineString(points) {
+    return {
+        type: 'LineString',
+        coordinates: points.map(point => [point[1], point[0]])
+    };
+}
+
+module.exports = {
+    decode,
+    encode,
+    toLineString
+};
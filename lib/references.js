@@ -0,0 +1,195 @@
+'use strict';
+
+/**
+ * Egyes azonosító mezők és a hozzájuk tartozó kapcsolt tulajdonság, illetve referencia típus
+ */
+const SINGLE_LINKS = {
+    agencyId: ['agency', 'agencies'],
+    routeId: ['route', 'routes'],
+    stopId: ['stop', 'stops'],
+    tripId: ['trip', 'trips'],
+    parentStationId: ['parentStation', 'stops']
+};
+
+/**
+ * Azonosító listát tartalmazó mezők és a hozzájuk tartozó kapcsolt tulajdonság, illetve referencia típus
+ */
+const LIST_LINKS = {
+    alertIds: ['alerts', 'alerts'],
+    routeIds: ['routes', 'routes'],
+    stopIds: ['stops', 'stops'],
+    nearbyStopIds: ['nearbyStops', 'stops']
+};
+
+/**
+ * Kapcsolt objektumok közös őse
+ * A nyers mezők a példányon, a hivatkozott objektumok nem felsorolható getterekként érhetők el.
+ */
+class Model {
+    /**
+     * @param {object} raw a nyers objektum a Futár API válaszából
+     * @param {References} refs a válasz referenciái
+     */
+    constructor(raw, refs) {
+        Object.defineProperty(this, 'raw', { value: raw });
+
+        Object.keys(raw).forEach(key => {
+            this[key] = wrap(raw[key], refs, key);
+        });
+
+        Object.keys(SINGLE_LINKS).forEach(key => {
+            if (raw[key] === undefined || raw[key] === null) return;
+            const [name, type] = SINGLE_LINKS[key];
+            if (name in this) return;
+            Object.defineProperty(this, name, { get: () => refs.get(type, raw[key]) });
+        });
+
+        Object.keys(LIST_LINKS).forEach(key => {
+            if (!Array.isArray(raw[key])) return;
+            const [name, type] = LIST_LINKS[key];
+            if (name in this) return;
+            Object.defineProperty(this, name, { get: () => refs.getAll(type, raw[key]) });
+        });
+    }
+}
+
+/** Üzemeltető */
+class Agency extends Model {}
+
+/** Viszonylat */
+class Route extends Model {}
+
+/** Megálló */
+class Stop extends Model {}
+
+/** Menet */
+class Trip extends Model {}
+
+/** Forgalmi változás */
+class Alert extends Model {}
+
+/** Egy megálló érintése egy menet által */
+class StopTime extends Model {}
+
+/** A válasz egy eleme (entry vagy list elem) */
+class Entry extends Model {}
+
+/**
+ * A referencia típusok és a hozzájuk tartozó osztályok
+ */
+const MODELS = {
+    agencies: Agency,
+    routes: Route,
+    stops: Stop,
+    trips: Trip,
+    alerts: Alert
+};
+
+/**
+ * Beágyazott értékek becsomagolása
+ * @param {*} value a nyers érték
+ * @param {References} refs a válasz referenciái
+ * @param {string} key a mező neve
+ * @return {*} a becsomagolt érték
+ */
+function wrap(value, refs, key) {
+    if (Array.isArray(value)) return value.map(item => wrap(item, refs, key));
+    if (isPlainObject(value)) return key === 'stopTimes' ? new StopTime(value, refs) : new Model(value, refs);
+    return value;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Egy válasz referenciáinak kezelése
+ */
+class References {
+    /**
+     * @param {object} [raw = {}] a válasz nyers references objektuma
+     */
+    constructor(raw) {
+        Object.defineProperty(this, 'raw', { value: raw || {} });
+        Object.defineProperty(this, '_cache', { value: {} });
+    }
+
+    /**
+     * Egy hivatkozott objektum lekérdezése
+     * @param {string} type a referencia típusa (agencies, routes, stops, trips, alerts)
+     * @param {string} id az objektum azonosítója
+     * @return {?Model} a kapcsolt objektum, vagy null, ha a referencia hiányzik
+     */
+    get(type, id) {
+        const pool = this.raw[type];
+        if (!pool || !pool[id]) return null;
+
+        const cache = this._cache[type] || (this._cache[type] = {});
+        if (!cache[id]) {
+            const Type = MODELS[type] || Model;
+            cache[id] = new Type(pool[id], this);
+        }
+        return cache[id];
+    }
+
+    /**
+     * Több hivatkozott objektum lekérdezése, a hiányzó referenciák kihagyásával
+     * @param {string} type a referencia típusa
+     * @param {string[]} ids az objektumok azonosítói
+     * @return {Model[]} a kapcsolt objektumok
+     */
+    getAll(type, ids) {
+        return (ids || []).map(id => this.get(type, id)).filter(item => item !== null);
+    }
+
+    /**
+     * Egy referencia típus összes objektuma
+     * @param {string} type a referencia típusa
+     * @return {Model[]} a kapcsolt objektumok
+     */
+    all(type) {
+        return this.getAll(type, Object.keys(this.raw[type] || {}));
+    }
+}
+
+/**
+ * Egy Futár API válasz referenciáinak feloldása kapcsolt objektumokká
+ * Az eredeti válasz a visszaadott objektum raw tulajdonságán érhető el.
+ * @param {object} data a Futár API válasza (data mező)
+ * @return {object} a válasz, melyben az entry, illetve list elemei kapcsolt objektumok
+ */
+function hydrate(data) {
+    if (!isPlainObject(data)) return data;
+
+    const refs = new References(data.references);
+    const result = {};
+
+    Object.keys(data).forEach(key => {
+        if (key === 'references') return;
+        if (key === 'entry' && isPlainObject(data.entry)) {
+            result.entry = new Entry(data.entry, refs);
+        } else if (key === 'list' && Array.isArray(data.list)) {
+            result.list = data.list.map(item => isPlainObject(item) ? new Entry(item, refs) : item);
+        } else {
+            result[key] = data[key];
+        }
+    });
+
+    result.references = refs;
+    Object.defineProperty(result, 'raw', { value: data });
+
+    return result;
+}
+
+module.exports = {
+    hydrate,
+    References,
+    Model,
+    Agency,
+    Route,
+    Stop,
+    Trip,
+    Alert,
+    StopTime,
+    Entry
+};
@@ -0,0 +1,228 @@
+'use strict';
+
+const polyline = require('./polyline');
+
+/**
+ * Egy viszonylat egy változata (megállósorrend és útvonal)
+ */
+class Variant {
+    /**
+     * @param {object} raw a változat nyers adatai a viszonylat variants listájából
+     * @param {object} [refs] a válasz nyers referenciái
+     */
+    constructor(raw, refs) {
+        Object.defineProperty(this, 'raw', { value: raw });
+        Object.defineProperty(this, 'refs', { value: refs || {} });
+        Object.defineProperty(this, '_coordinates', { value: null, writable: true });
+
+        this.name = raw.name || null;
+        this.directionId = raw.direction !== undefined ? String(raw.direction) : (raw.directionId !== undefined ? String(raw.directionId) : null);
+        this.headsign = raw.headsign || null;
+        this.stopIds = raw.stopIds || [];
+    }
+
+    /**
+     * A változat megállói sorrendben, a válasz referenciáiból
+     * @return {object[]}
+     */
+    get stops() {
+        const stops = this.refs.stops || {};
+        return this.stopIds.map(id => stops[id] || { id });
+    }
+
+    /**
+     * A változat útvonala [lat, lon] párokként, kódolt útvonal hiányában a megállókat összekötő vonal
+     * @return {Array<number[]>}
+     */
+    get coordinates() {
+        if (!this._coordinates) {
+            const geometry = this.raw.polyline;
+            this._coordinates = geometry && geometry.points
+                ? polyline.decode(geometry.points)
+                : this.stops.filter(stop => stop.lat !== undefined).map(stop => [stop.lat, stop.lon]);
+        }
+        return this._coordinates;
+    }
+
+    /**
+     * Érinti-e a változat a megállót
+     * @param {string} stopId a megálló azonosítója
+     * @return {boolean}
+     */
+    serves(stopId) {
+        return this.stopIds.indexOf(stopId) !== -1;
+    }
+
+    /**
+     * A változat GeoJSON Feature formában
+     * @param {Route} [route] a viszonylat, melynek adatai a tulajdonságok közé kerülnek
+     * @return {object}
+     */
+    toGeoJSON(route) {
+        return {
+            type: 'Feature',
+            geometry: polyline.toLineString(this.coordinates),
+            properties: {
+                routeId: route ? route.id : null,
+                shortName: route ? route.shortName : null,
+                type: route ? route.type : null,
+                name: this.name,
+                directionId: this.directionId,
+                headsign: this.headsign,
+                stroke: route && route.color ? `#${route.color}` : null,
+                stopIds: this.stopIds
+            }
+        };
+    }
+}
+
+/**
+ * Egy viszonylat a változataival
+ */
+class Route {
+    /**
+     * @param {object} raw a viszonylat nyers adatai (a routeDetails entry eleme vagy egy routes referencia)
+     * @param {object} [refs] a válasz nyers referenciái
+     */
+    constructor(raw, refs) {
+        Object.defineProperty(this, 'raw', { value: raw });
+        Object.defineProperty(this, 'refs', { value: refs || {} });
+
+        this.id = raw.id;
+        this.shortName = raw.shortName || null;
+        this.longName = raw.longName || null;
+        this.description = raw.description || null;
+        this.type = raw.type || null;
+        this.color = raw.color || null;
+        this.textColor = raw.textColor || null;
+        this.variants = (raw.variants || []).map(variant => new Variant(variant, refs));
+    }
+
+    /**
+     * A viszonylat irányai, irányonként az első változat úticéljával
+     * @return {Array<{ directionId: string, headsign: string }>}
+     */
+    get directions() {
+        const directions = new Map();
+        this.variants.forEach(variant => {
+            if (!directions.has(variant.directionId)) {
+                directions.set(variant.directionId, { directionId: variant.directionId, headsign: variant.headsign });
+            }
+        });
+        return Array.from(directions.values());
+    }
+
+    /**
+     * Egy irány változatai
+     * @param {(string|number)} [direction] az irány azonosítója, ha nincs megadva, az összes változat
+     * @return {Variant[]}
+     */
+    variantsFor(direction) {
+        if (direction === undefined || direction === null) return this.variants;
+        return this.variants.filter(variant => variant.directionId === String(direction));
+    }
+
+    /**
+     * Egy irány összes megállója sorrendben
+     * A leghosszabb változat megállósorrendjébe a többi változat megállói az előttük lévő megálló után kerülnek.
+     * @param {(string|number)} [direction] az irány azonosítója, ha nincs megadva, az első irány
+     * @return {object[]} a megállók a válasz referenciáiból
+     */
+    stopsInOrder(direction) {
+        if (direction === undefined || direction === null) {
+            direction = this.directions.length ? this.directions[0].directionId : null;
+        }
+
+        const variants = this.variantsFor(direction).slice().sort((a, b) => b.stopIds.length - a.stopIds.length);
+        const order = [];
+
+        variants.forEach(variant => {
+            let position = -1;
+            variant.stopIds.forEach(stopId => {
+                const index = order.indexOf(stopId);
+                if (index === -1) {
+                    order.splice(position + 1, 0, stopId);
+                    position++;
+                } else {
+                    position = index;
+                }
+            });
+        });
+
+        const stops = this.refs.stops || {};
+        return order.map(id => stops[id] || { id });
+    }
+
+    /**
+     * A megállót érintő változatok
+     * @param {string} stopId a megálló azonosítója
+     * @return {Variant[]}
+     */
+    variantsServing(stopId) {
+        return this.variants.filter(variant => variant.serves(stopId));
+    }
+
+    /**
+     * Érinti-e a viszonylat a megállót
+     * @param {string} stopId a megálló azonosítója
+     * @return {boolean}
+     */
+    serves(stopId) {
+        return this.variants.some(variant => variant.serves(stopId));
+    }
+
+    /**
+     * A viszonylat GeoJSON FeatureCollection formában
+     * @param {object} [opts] beállítások
+     * @param {boolean} [opts.stops = true] a megállók pontként való hozzáadása
+     * @return {object}
+     */
+    toGeoJSON(opts) {
+        const withStops = !opts || opts.stops !== false;
+        const features = this.variants.map(variant => variant.toGeoJSON(this));
+
+        if (withStops) {
+            const seen = new Set();
+            this.variants.forEach(variant => {
+                variant.stops.forEach(stop => {
+                    if (seen.has(stop.id) || stop.lat === undefined) return;
+                    seen.add(stop.id);
+                    features.push({
+                        type: 'Feature',
+                        geometry: { type: 'Point', coordinates: [stop.lon, stop.lat] },
+                        properties: { id: stop.id, name: stop.name, routeId: this.id }
+                    });
+                });
+            });
+        }
+
+        return { type: 'FeatureCollection', features };
+    }
+}
+
+/**
+ * A routeDetails vagy routeDetailsForStop válaszában szereplő viszonylatok
+ * @param {object} data a Futár API válasza
+ * @return {Route[]}
+ */
+function fromResponse(data) {
+    data = (data && data.raw) || data || {};
+
+    const refs = data.references || {};
+    const routes = refs.routes || {};
+    const entry = data.entry || {};
+
+    let list;
+    if (Array.isArray(data.list)) list = data.list;
+    else if (entry.variants) list = [entry];
+    else if (Array.isArray(entry.routes)) list = entry.routes;
+    else list = (entry.routeIds || []).map(id => routes[id]).filter(Boolean);
+
+    return list.map(route => new Route(typeof route === 'string' ? routes[route] || { id: route } : route, refs));
+}
+
+module.exports = {
+    Route,
+    Variant,
+    fromResponse
+};
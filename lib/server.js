@@ -0,0 +1,220 @@
+'use strict';
+
+const http = require('http');
+const { URL } = require('url');
+const errors = require('./errors');
+const { SCHEMAS } = require('./params');
+
+/**
+ * A REST útvonalak és a hozzájuk tartozó kliens metódusok
+ * A query string paraméterei közül csak a metódus paraméter sémájában szereplők kerülnek átadásra,
+ * ezek típusát és értékét a kliens ellenőrzi.
+ */
+const ROUTES = [
+    { path: '/stops', method: 'stopsForLocation' },
+    { path: '/stops/:stopId', method: 'stop' },
+    { path: '/stops/:stopId/departures', method: 'arrivalsAndDeparturesForStop' },
+    { path: '/stops/:stopId/schedule', method: 'scheduleForStop' },
+    { path: '/stops/:stopId/routes', method: 'routeDetailsForStop' },
+    { path: '/stops/:stopId/vehicles', method: 'vehiclesForStop' },
+    { path: '/departures', method: 'departuresNearLocation' },
+    { path: '/routes/:routeId', method: 'routeDetails' },
+    { path: '/routes/:routeId/vehicles', method: 'vehiclesForRoute' },
+    { path: '/trips/:tripId', method: 'tripDetails' },
+    { path: '/vehicles', method: 'vehiclesForLocation' },
+    { path: '/search', method: 'search', aliases: { q: 'query' } },
+    { path: '/plan', method: 'planTrip' },
+    { path: '/alerts', method: 'alertSearch' },
+    { path: '/bikes', method: 'bicycleRental' },
+    { path: '/metadata', method: 'metadata' }
+];
+
+/**
+ * HTTP állapotkód egy hibához
+ * @param {Error} err a hiba
+ * @return {number}
+ */
+function statusFor(err) {
+    if (err instanceof errors.ValidationError) return 400;
+    if (err instanceof errors.RateLimitError) return 429;
+    if (err instanceof errors.TimeoutError) return 504;
+    if (err instanceof errors.NetworkError) return 502;
+    if (err instanceof errors.ApiError) return err.code >= 400 && err.code < 600 ? err.code : 502;
+    return 500;
+}
+
+/**
+ * Egy hiba JSON formában
+ * @param {Error} err a hiba
+ * @return {{ error: { type: string, message: string, code: *, retryAfter: number } }}
+ */
+function errorBody(err) {
+    const error = {
+        type: err instanceof errors.FutarError ? err.name : 'Error',
+        message: err.message
+    };
+    if (err.code !== undefined) error.code = err.code;
+    if (err.retryAfter !== undefined) error.retryAfter = err.retryAfter;
+    return { error };
+}
+
+/**
+ * A válasz többelemű lekérdezéseinek (pl. /departures) elemenkénti hibái JSON formában
+ * @param {object} data a kliens válasza
+ * @return {object}
+ */
+function serialize(data) {
+    if (!data || !Array.isArray(data.errors)) return data;
+
+    return Object.assign({}, data, {
+        errors: data.errors.map(item => (item && item.error instanceof Error ? Object.assign({}, item, errorBody(item.error)) : item))
+    });
+}
+
+/**
+ * A query string paramétereinek kiválasztása a metódus paraméter sémája alapján
+ * Többször megadott paraméter esetén az utolsó érték érvényes.
+ * @param {URLSearchParams} query a query string paraméterei
+ * @param {object} route az útvonal
+ * @return {object}
+ */
+function pickParams(query, route) {
+    const schema = SCHEMAS[route.method].params;
+    const aliases = route.aliases || {};
+    const params = {};
+
+    query.forEach((value, key) => {
+        const name = aliases[key] || key;
+        if (schema[name]) params[name] = value;
+    });
+
+    return params;
+}
+
+function decode(component) {
+    try {
+        return decodeURIComponent(component);
+    } catch (e) {
+        return component;
+    }
+}
+
+function match(pattern, pathname) {
+    const expected = pattern.split('/');
+    const actual = pathname.replace(/\/+$/, '').split('/');
+    if (expected.length !== actual.length) return null;
+
+    const params = {};
+    for (let i = 0; i < expected.length; i++) {
+        if (expected[i].charAt(0) === ':') {
+            if (!actual[i]) return null;
+            params[expected[i].slice(1)] = decode(actual[i]);
+        } else if (expected[i] !== actual[i]) {
+            return null;
+        }
+    }
+    return params;
+}
+
+/**
+ * A kliens metódusait REST útvonalakon elérhetővé tevő HTTP kérés kezelő
+ * A lekérdezések a kliens validációját és gyorsítótárát használják, a hibák egységes JSON formában érkeznek.
+ * Ha a kliens gyűjti a lekérdezések statisztikáit (config.metrics), azok a /metrics útvonalon Prometheus formátumban érhetők el.
+ * @param {Futar} futar a lekérdezésekhez használt Futár kliens
+ * @param {object} [opts] beállítások
+ * @param {string} [opts.cors = '*'] az Access-Control-Allow-Origin fejléc értéke (false: nincs CORS fejléc)
+ * @param {string} [opts.prefix = ''] az útvonalak közös előtagja (pl. '/api')
+ * @return {function(http.IncomingMessage, http.ServerResponse)}
+ */
+function createHandler(futar, opts) {
+    const { cors, prefix } = opts || {};
+    const origin = cors === undefined ? '*' : cors;
+    const base = (prefix || '').replace(/\/+$/, '');
+
+    return (req, res) => {
+        const send = (status, body, headers) => {
+            const json = JSON.stringify(body);
+            const defaults = { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(json) };
+            if (origin) {
+                defaults['Access-Control-Allow-Origin'] = origin;
+                defaults.Vary = 'Origin';
+            }
+            res.writeHead(status, Object.assign(defaults, headers));
+            res.end(req.method === 'HEAD' ? undefined : json);
+        };
+
+        if (req.method === 'OPTIONS') {
+            const headers = {};
+            if (origin) {
+                headers['Access-Control-Allow-Origin'] = origin;
+                headers['Access-Control-Allow-Methods'] = 'GET, HEAD, OPTIONS';
+                headers['Access-Control-Allow-Headers'] = req.headers['access-control-request-headers'] || 'Content-Type';
+                headers['Access-Control-Max-Age'] = '86400';
+            }
+            res.writeHead(204, headers);
+            return res.end();
+        }
+
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            return send(405, { error: { type: 'MethodNotAllowed', message: `A ${req.method} metódus nem támogatott` } }, { Allow: 'GET, HEAD, OPTIONS' });
+        }
+
+        const parsed = new URL(req.url, 'http://localhost');
+        const pathname = base && parsed.pathname.indexOf(base) === 0 ? parsed.pathname.slice(base.length) : parsed.pathname;
+
+        // a kliens statisztikái Prometheus formátumban, ha a metrikák gyűjtése be van kapcsolva
+        if (futar.metrics && pathname.replace(/\/+$/, '') === '/metrics') {
+            const body = futar.metrics.toPrometheus();
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Content-Length': Buffer.byteLength(body) });
+            return res.end(req.method === 'HEAD' ? undefined : body);
+        }
+
+        let route = null;
+        let pathParams = null;
+        for (let i = 0; i < ROUTES.length && !route; i++) {
+            pathParams = match(ROUTES[i].path, pathname);
+            if (pathParams) route = ROUTES[i];
+        }
+
+        if (!route) {
+            return send(404, { error: { type: 'NotFound', message: `Ismeretlen útvonal: ${parsed.pathname}` } });
+        }
+
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) controller.abort();
+        });
+
+        Promise.resolve()
+            .then(() => {
+                const params = Object.assign(pickParams(parsed.searchParams, route), pathParams);
+                return futar[route.method](Object.assign(params, { hydrate: false, model: false, signal: controller.signal }));
+            })
+            .then(data => send(200, serialize(data)))
+            .catch(err => {
+                if (err instanceof errors.AbortError && controller.signal.aborted) return;
+
+                const headers = {};
+                if (err instanceof errors.RateLimitError && err.retryAfter) headers['Retry-After'] = String(Math.ceil(err.retryAfter / 1000));
+                send(statusFor(err), errorBody(err), headers);
+            });
+    };
+}
+
+/**
+ * HTTP szerver létrehozása a kliens REST útvonalaival (a listen hívás a hívó feladata)
+ * @param {Futar} futar a lekérdezésekhez használt Futár kliens
+ * @param {object} [opts] beállítások (lásd createHandler)
+ * @return {http.Server}
+ */
+function createServer(futar, opts) {
+    return http.createServer(createHandler(futar, opts));
+}
+
+module.exports = {
+    createServer,
+    createHandler,
+    statusFor,
+    errorBody,
+    ROUTES
+};
@@ -0,0 +1,336 @@
+'use strict';
+
+const moment = require('moment-timezone');
+const { mergeReferences } = require('./util');
+
+/**
+ * A menetrendek időzónája
+ */
+const TIMEZONE = 'Europe/Budapest';
+
+const DAY_FORMATS = ['YYYYMMDD', 'YYYY-MM-DD'];
+
+/**
+ * Egy nap típusa a menetrend szempontjából
+ * @param {string} day a nap 'YYYY-MM-DD' vagy 'YYYYMMDD' formátumban
+ * @return {string} 'weekday', 'saturday' vagy 'sunday'
+ */
+function dayType(day) {
+    const weekday = moment.tz(day, DAY_FORMATS, TIMEZONE).isoWeekday();
+    if (weekday === 6) return 'saturday';
+    if (weekday === 7) return 'sunday';
+    return 'weekday';
+}
+
+/**
+ * Az adott naptól kezdődő első munkanap, szombat és vasárnap
+ * @param {string} [day = mai nap] a kezdőnap 'YYYY-MM-DD' formátumban
+ * @return {string[]} a napok 'YYYY-MM-DD' formátumban, időrendben
+ */
+function variantDays(day) {
+    const start = day ? moment.tz(day, DAY_FORMATS, TIMEZONE) : moment.tz(TIMEZONE);
+    const found = {};
+
+    for (let i = 0; i < 7; i++) {
+        const date = start.clone().add(i, 'days').format('YYYY-MM-DD');
+        const type = dayType(date);
+        if (!found[type]) found[type] = date;
+    }
+
+    return Object.keys(found).map(type => found[type]).sort();
+}
+
+/**
+ * Egy menetrendi indulás
+ * @typedef {object} Timetable~departure
+ * @property {string} id a menet és az üzemnap azonosítója
+ * @property {string} stopId a megálló azonosítója
+ * @property {string} routeId a viszonylat azonosítója
+ * @property {string} directionId az irány azonosítója
+ * @property {string} headsign az úticél
+ * @property {string} tripId a menet azonosítója
+ * @property {string} serviceDate az üzemnap 'YYYY-MM-DD' formátumban
+ * @property {number} time az indulás ideje (unix timestamp)
+ * @property {number} hour az óra az üzemnap kezdetétől, éjfél után 24 vagy nagyobb
+ * @property {number} minute a perc
+ * @property {boolean} wheelchairAccessible akadálymentes jármű
+ * @property {string[]} groupIds a menetrendi megjegyzések azonosítói
+ */
+
+/**
+ * Egy megálló menetrendje egy vagy több napra, a megállókban kifüggesztett menetrendekhez hasonló csoportosításokkal
+ */
+class Timetable {
+    /**
+     * @param {(object|object[])} data egy vagy több nap scheduleForStop válasza
+     * @param {object} [opts] beállítások
+     * @param {function(): number} [opts.clock = Date.now] az aktuális időt (ezredmásodperc) adó függvény
+     */
+    constructor(data, opts) {
+        const responses = (Array.isArray(data) ? data : [data]).map(item => (item && item.raw) || item || {});
+        Object.defineProperty(this, 'raw', { value: responses });
+        Object.defineProperty(this, 'clock', { value: (opts && opts.clock) || Date.now });
+
+        const refs = mergeReferences(responses.map(response => response.references));
+        Object.defineProperty(this, 'refs', { value: refs });
+
+        const departures = new Map();
+        const days = new Set();
+
+        responses.forEach(response => {
+            const entry = response.entry || {};
+            if (!this.stopId) this.stopId = entry.stopId;
+            if (entry.date) days.add(formatDay(entry.date));
+
+            (entry.schedules || []).forEach(schedule => {
+                (schedule.directions || []).forEach(direction => {
+                    (direction.stopTimes || []).forEach(stopTime => {
+                        const departure = toDeparture(stopTime, entry, schedule, direction, refs);
+                        days.add(departure.serviceDate);
+                        departures.set(departure.id, departure);
+                    });
+                });
+            });
+        });
+
+        this.days = Array.from(days).sort().map(date => ({ date, dayType: dayType(date) }));
+        this.departures = Array.from(departures.values()).sort((a, b) => a.time - b.time);
+        this.errors = [];
+    }
+
+    /**
+     * Egy nap indulásai
+     * @param {string} day a nap 'YYYY-MM-DD' vagy 'YYYYMMDD' formátumban
+     * @return {Timetable~departure[]}
+     */
+    forDay(day) {
+        const date = formatDay(day);
+        return this.departures.filter(departure => departure.serviceDate === date);
+    }
+
+    /**
+     * A feltételeknek megfelelő indulások
+     * @param {object} [filter] a feltételek
+     * @param {string} [filter.routeId] a viszonylat azonosítója
+     * @param {string} [filter.directionId] az irány azonosítója
+     * @param {string} [filter.day] az üzemnap
+     * @return {Timetable~departure[]}
+     */
+    filter(filter) {
+        const { routeId, directionId, day } = filter || {};
+        const date = day ? formatDay(day) : null;
+
+        return this.departures.filter(departure =>
+            (routeId === undefined || departure.routeId === routeId) &&
+            (directionId === undefined || String(departure.directionId) === String(directionId)) &&
+            (date === null || departure.serviceDate === date));
+    }
+
+    /**
+     * Az indulások viszonylat és irány szerint csoportosítva
+     * @param {object} [filter] a feltételek (lásd filter)
+     * @return {Array<{ routeId: string, directionId: string, headsign: string, route: object, departures: Timetable~departure[] }>}
+     */
+    byRoute(filter) {
+        const groups = new Map();
+
+        this.filter(filter).forEach(departure => {
+            const key = `${departure.routeId}:${departure.directionId}`;
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    routeId: departure.routeId,
+                    directionId: departure.directionId,
+                    headsign: departure.headsign,
+                    route: (this.refs.routes || {})[departure.routeId] || null,
+                    departures: []
+                });
+            }
+            groups.get(key).departures.push(departure);
+        });
+
+        return Array.from(groups.values());
+    }
+
+    /**
+     * Egy nap indulásai óránként csoportosítva, az éjfél utáni indulások 24 órától folytatódnak
+     * @param {object} [filter] a feltételek (lásd filter)
+     * @param {string} [filter.day = az első nap] az üzemnap
+     * @return {Array<{ hour: number, departures: Timetable~departure[] }>}
+     */
+    byHour(filter) {
+        const day = (filter && filter.day) || (this.days[0] && this.days[0].date);
+        const hours = new Map();
+
+        this.filter(Object.assign({}, filter, { day })).forEach(departure => {
+            if (!hours.has(departure.hour)) hours.set(departure.hour, { hour: departure.hour, departures: [] });
+            hours.get(departure.hour).departures.push(departure);
+        });
+
+        return Array.from(hours.values()).sort((a, b) => a.hour - b.hour);
+    }
+
+    /**
+     * A következő menetrendi indulások egy időpont után, újabb lekérdezés nélkül
+     * @param {number} [count = 1] az indulások maximális száma
+     * @param {(Date|number)} [after = most] az időpont (Date vagy ezredmásodperc)
+     * @param {object} [filter] a feltételek (lásd filter)
+     * @return {Timetable~departure[]}
+     */
+    next(count, after, filter) {
+        const time = (after === undefined ? this.clock() : +after) / 1000;
+
+        return this.filter(filter)
+            .filter(departure => departure.time >= time)
+            .slice(0, count || 1);
+    }
+
+    /**
+     * Az indulások CSV formátumban
+     * @param {object} [opts] beállítások
+     * @param {string} [opts.separator = ','] a mezőelválasztó
+     * @return {string}
+     */
+    toCSV(opts) {
+        const separator = (opts && opts.separator) || ',';
+        const routes = this.refs.routes || {};
+
+        const rows = [['service_date', 'departure_time', 'route_id', 'route_short_name', 'direction_id', 'headsign', 'trip_id', 'wheelchair_accessible']]
+            .concat(this.departures.map(departure => [
+                departure.serviceDate,
+                clockTime(departure),
+                departure.routeId,
+                (routes[departure.routeId] || {}).shortName,
+                departure.directionId,
+                departure.headsign,
+                departure.tripId,
+                departure.wheelchairAccessible ? 1 : 0
+            ]));
+
+        return rows.map(row => row.map(value => csvField(value, separator)).join(separator)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Az indulások iCalendar formátumban, eseményenként egy indulással
+     * @param {object} [opts] beállítások
+     * @param {string} [opts.name] a naptár neve
+     * @param {number} [opts.duration = 1] az események hossza percben
+     * @return {string}
+     */
+    toICal(opts) {
+        const { name, duration } = opts || {};
+        const routes = this.refs.routes || {};
+        const stop = (this.refs.stops || {})[this.stopId] || {};
+        const stamp = utc(this.clock() / 1000);
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//futar-api//Timetable//HU',
+            'CALSCALE:GREGORIAN',
+            `X-WR-CALNAME:${icalText(name || stop.name || this.stopId || '')}`,
+            `X-WR-TIMEZONE:${TIMEZONE}`
+        ];
+
+        this.departures.forEach(departure => {
+            const route = routes[departure.routeId] || {};
+            const summary = [route.shortName || departure.routeId, departure.headsign].filter(Boolean).join(' ▶ ');
+
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${icalText(`${departure.id}:${departure.stopId}`)}@futar-api`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART:${utc(departure.time)}`,
+                `DTEND:${utc(departure.time + (duration || 1) * 60)}`,
+                `SUMMARY:${icalText(summary)}`,
+                stop.name ? `LOCATION:${icalText(stop.name)}` : null,
+                'END:VEVENT'
+            );
+        });
+
+        lines.push('END:VCALENDAR');
+
+        return lines.filter(line => line !== null).map(fold).join('\r\n') + '\r\n';
+    }
+}
+
+function toDeparture(stopTime, entry, schedule, direction, refs) {
+    const trip = (refs.trips || {})[stopTime.tripId] || {};
+    const group = ((stopTime.groupIds || []).map(id => (direction.groups || {})[id]).filter(Boolean))[0] || {};
+
+    const time = stopTime.departureTime || stopTime.arrivalTime;
+    const serviceDate = formatDay(stopTime.serviceDate || entry.date);
+    const local = moment.unix(time).tz(TIMEZONE);
+    const days = local.clone().startOf('day').diff(moment.tz(serviceDate, DAY_FORMATS, TIMEZONE), 'days');
+
+    return {
+        id: `${stopTime.tripId}:${serviceDate}`,
+        stopId: entry.stopId,
+        routeId: schedule.routeId || trip.routeId,
+        directionId: direction.directionId !== undefined ? direction.directionId : trip.directionId,
+        headsign: stopTime.stopHeadsign || group.headsign || trip.tripHeadsign,
+        tripId: stopTime.tripId,
+        serviceDate,
+        time,
+        hour: local.hour() + 24 * days,
+        minute: local.minute(),
+        wheelchairAccessible: Boolean(stopTime.wheelchairAccessible || trip.wheelchairAccessible),
+        groupIds: stopTime.groupIds || []
+    };
+}
+
+function formatDay(day) {
+    if (day === undefined || day === null) return null;
+    return moment.tz(String(day), DAY_FORMATS, TIMEZONE).format('YYYY-MM-DD');
+}
+
+function pad(number) {
+    return number < 10 ? `0${number}` : String(number);
+}
+
+function clockTime(departure) {
+    return `${pad(departure.hour)}:${pad(departure.minute)}`;
+}
+
+function csvField(value, separator) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    if (text.indexOf(separator) === -1 && !/["\r\n]/.test(text)) return text;
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+function utc(seconds) {
+    return moment.unix(seconds).utc().format('YYYYMMDD[T]HHmmss[Z]');
+}
+
+function icalText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// az iCalendar sorok legfeljebb 75 bájtosak lehetnek, a folytatósorok szóközzel kezdődnek
+function fold(line) {
+    const parts = [];
+    let current = '';
+
+    Array.from(line).forEach(char => {
+        const limit = parts.length ? 74 : 75;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    });
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+module.exports = {
+    Timetable,
+    dayType,
+    variantDays,
+    TIMEZONE
+};
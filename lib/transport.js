@@ -0,0 +1,104 @@
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const { URL } = require('url');
+const { AbortError } = require('./errors');
+
+/**
+ * A transport egy függvény, mely egy HTTP kérést küld el
+ * @callback Futar~transport
+ * @param {object} req a kérés adatai
+ * @param {string} req.method a kérés metódusa
+ * @param {string} req.url a kérés teljes URL-je
+ * @param {object} req.headers a kérés fejlécei
+ * @param {AbortSignal} [req.signal] a kérést megszakító jelzés
+ * @return {Promise<Futar~transportResponse>} a válasz
+ */
+
+/**
+ * A transport által visszaadott válasz
+ * @typedef {object} Futar~transportResponse
+ * @property {number} status a válasz HTTP státuszkódja
+ * @property {object} headers a válasz fejlécei
+ * @property {string} body a válasz törzse
+ */
+
+/**
+ * Beépített transport létrehozása a Node.js http/https moduljaival
+ * @param {object} [opts] a transport beállításai
+ * @param {http.Agent} [opts.agent] a kérésekhez használt Agent
+ * @return {Futar~transport} a transport függvény
+ */
+function createHttpTransport(opts) {
+    const { agent } = opts || {};
+
+    return function httpTransport(req) {
+        return new Promise((resolve, reject) => {
+            const { signal } = req;
+            if (signal && signal.aborted) return reject(new AbortError());
+
+            const url = new URL(req.url);
+            const client = url.protocol === 'http:' ? http : https;
+
+            const options = {
+                method: req.method || 'GET',
+                headers: Object.assign({ 'accept-encoding': 'gzip, deflate' }, req.headers)
+            };
+            if (agent) options.agent = agent;
+
+            const clientReq = client.request(url, options, res => {
+                let stream = res;
+                const encoding = res.headers['content-encoding'];
+                if (encoding === 'gzip') stream = res.pipe(zlib.createGunzip());
+                else if (encoding === 'deflate') stream = res.pipe(zlib.createInflate());
+
+                const chunks = [];
+                stream.on('data', chunk => chunks.push(chunk));
+                stream.on('error', reject);
+                stream.on('end', () => {
+                    resolve({
+                        status: res.statusCode,
+                        headers: res.headers,
+                        body: Buffer.concat(chunks).toString('utf8')
+                    });
+                });
+            });
+
+            if (signal) {
+                const onAbort = () => clientReq.destroy(new AbortError());
+                signal.addEventListener('abort', onAbort);
+                clientReq.on('close', () => signal.removeEventListener('abort', onAbort));
+            }
+
+            clientReq.on('error', reject);
+            clientReq.end();
+        });
+    };
+}
+
+/**
+ * URL összeállítása az alap URL-ből, az endpointból és a lekérdezés paramétereiből
+ * A nem definiált paraméterek kimaradnak.
+ * @param {string} baseUrl az API alap URL-je
+ * @param {string} endpoint az API endpoint URI
+ * @param {object} [params] a lekérdezés paraméterei
+ * @return {string} a teljes URL
+ */
+function buildUrl(baseUrl, endpoint, params) {
+    const url = new URL(`${baseUrl.replace(/\/+$/, '')}/${endpoint.replace(/^\/+/, '')}`);
+
+    Object.keys(params || {}).forEach(key => {
+        const value = params[key];
+        if (value === undefined || value === null) return;
+        url.searchParams.append(key, String(value));
+    });
+
+    return url.toString();
+}
+
+module.exports = {
+    createHttpTransport,
+    buildUrl
+};
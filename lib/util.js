@@ -0,0 +1,69 @@
+'use strict';
+
+/**
+ * Egy függvény futtatása a lista elemein, legfeljebb limit párhuzamos hívással
+ * Az eredmény a lista sorrendjében tartalmazza az elemenkénti kimenetelt, a hibák nem szakítják meg a feldolgozást.
+ * @param {Array} items a feldolgozandó elemek
+ * @param {number} limit a párhuzamos hívások maximális száma
+ * @param {function(*): Promise} fn az elemeket feldolgozó függvény
+ * @return {Promise<Array<{ item: *, value: *, error: Error }>>}
+ */
+function mapLimit(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = () => {
+        if (next >= items.length) return Promise.resolve();
+
+        const index = next++;
+        const item = items[index];
+
+        return Promise.resolve()
+            .then(() => fn(item))
+            .then(value => {
+                results[index] = { item, value, error: null };
+            }, error => {
+                results[index] = { item, value: null, error };
+            })
+            .then(worker);
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.min(limit, items.length); i++) {
+        workers.push(worker());
+    }
+
+    return Promise.all(workers).then(() => results);
+}
+
+/**
+ * Több válasz referenciáinak összefésülése, azonosító szerint egyedi elemekkel
+ * @param {object[]} list a nyers references objektumok
+ * @return {object} az összefésült references objektum
+ */
+function mergeReferences(list) {
+    const merged = {};
+
+    list.forEach(refs => {
+        Object.keys(refs || {}).forEach(type => {
+            merged[type] = Object.assign(merged[type] || {}, refs[type]);
+        });
+    });
+
+    return merged;
+}
+
+/**
+ * Ismétlődő elemek elhagyása a listából
+ * @param {Array} list a lista
+ * @return {Array} az egyedi elemek az első előfordulásuk sorrendjében
+ */
+function unique(list) {
+    return list.filter((item, index) => list.indexOf(item) === index);
+}
+
+module.exports = {
+    mapLimit,
+    mergeReferences,
+    unique
+};
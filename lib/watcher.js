@@ -0,0 +1,178 @@
+'use strict';
+
+const { Poller } = require('./poller');
+const { SCHEMAS } = require('./params');
+
+const DEFAULT_MIN_INTERVAL = 5 * 1000;
+const DEFAULT_MAX_INTERVAL = 60 * 1000;
+
+/**
+ * A következő indulásig hátralévő idő (másodperc), mely alatt a minimális, illetve felett a maximális lekérdezési időköz érvényes
+ */
+const SOON = 5 * 60;
+const LATER = 30 * 60;
+
+/**
+ * Egy megálló induló járatainak folyamatos figyelése
+ * Az egymást követő lekérdezések különbségeit eseményekként jelzi, és aszinkron iterátorként is bejárható.
+ *
+ * Események:
+ * - added: új indulás jelent meg (departure)
+ * - changed: megváltozott egy indulás várható ideje vagy késése (departure, previous)
+ * - cancelled: egy még el nem indult járat eltűnt a listából (departure)
+ * - departed: egy járat elindult a megállóból (departure)
+ * - alertsChanged: megváltoztak a megállót érintő forgalmi változások ({ added, removed, alertIds }),
+ *   az első lekérdezéskor már meglévő változások nem váltanak ki eseményt
+ * - update: minden sikeres lekérdezés után (departures)
+ * - error: sikertelen lekérdezés (err)
+ * - stop: a figyelés leállt
+ */
+class StopWatcher extends Poller {
+    /**
+     * @param {Futar} futar a lekérdezésekhez használt Futár kliens
+     * @param {string} stopId a megálló azonosítója
+     * @param {object} [opts] a figyelés beállításai
+     * @param {number} [opts.minutesBefore = 0] perccel korábban
+     * @param {number} [opts.minutesAfter = 30] perccel később
+     * @param {number} [opts.interval = 15000] az alapértelmezett lekérdezési időköz ezredmásodpercben
+     * @param {number} [opts.minInterval = 5000] a lekérdezési időköz, ha a következő indulás 5 percen belül van
+     * @param {number} [opts.maxInterval = 60000] a lekérdezési időköz, ha 30 percen belül nincs indulás
+     * @param {number} [opts.maxBackoff = 300000] a hibák utáni várakozás felső korlátja ezredmásodpercben
+     */
+    constructor(futar, stopId, opts) {
+        super(opts);
+
+        const { minutesBefore, minutesAfter, minInterval, maxInterval } = opts || {};
+
+        this.futar = futar;
+        this.stopId = stopId;
+        // az alapértelmezett értékek az arrivalsAndDeparturesForStop sémájából származnak, a 0 érvényes érték
+        const defaults = SCHEMAS.arrivalsAndDeparturesForStop.params;
+        this.minutesBefore = minutesBefore !== undefined ? minutesBefore : defaults.minutesBefore.default;
+        this.minutesAfter = minutesAfter !== undefined ? minutesAfter : defaults.minutesAfter.default;
+        this.minInterval = minInterval || DEFAULT_MIN_INTERVAL;
+        this.maxInterval = maxInterval || DEFAULT_MAX_INTERVAL;
+
+        this.departures = new Map();
+        this.alertIds = null;
+        this.polled = false;
+
+        this._departed = new Set();
+    }
+
+    _fetch() {
+        return this.futar.arrivalsAndDeparturesForStop({
+            stopId: this.stopId,
+            minutesBefore: this.minutesBefore,
+            minutesAfter: this.minutesAfter,
+            includeReferences: true,
+            hydrate: false
+        });
+    }
+
+    _nextInterval() {
+        const now = this.futar.config.clock() / 1000;
+        const upcoming = Array.from(this.departures.values())
+            .map(departure => departure.time - now)
+            .filter(seconds => seconds >= 0);
+
+        if (!upcoming.length) return this.maxInterval;
+
+        const next = Math.min.apply(null, upcoming);
+        if (next <= SOON) return this.minInterval;
+        if (next > LATER) return this.maxInterval;
+        return this.interval;
+    }
+
+    _handle(data) {
+        const entry = data.entry || {};
+        const refs = data.references || {};
+        const now = this.futar.config.clock() / 1000;
+
+        const current = new Map();
+        (entry.stopTimes || []).forEach(stopTime => {
+            const departure = toDeparture(stopTime, refs);
+            current.set(departure.id, departure);
+        });
+
+        current.forEach((departure, id) => {
+            const previous = this.departures.get(id);
+            if (!previous) {
+                this.emit('added', departure);
+            } else if (previous.predictedTime !== departure.predictedTime || previous.delay !== departure.delay) {
+                this.emit('changed', departure, previous);
+            }
+
+            if (departure.time <= now && !this._departed.has(id)) {
+                this._departed.add(id);
+                // az első lekérdezéskor már elindult járatok nem váltanak ki eseményt
+                if (this.polled) this.emit('departed', departure);
+            }
+        });
+
+        this.departures.forEach((previous, id) => {
+            if (current.has(id)) return;
+            if (previous.time > now) this.emit('cancelled', previous);
+            else if (!this._departed.has(id)) this.emit('departed', previous);
+        });
+
+        this._departed.forEach(id => {
+            if (!current.has(id)) this._departed.delete(id);
+        });
+
+        this._diffAlerts(entry.alertIds || []);
+
+        this.departures = current;
+        this.polled = true;
+        this.emit('update', Array.from(current.values()));
+    }
+
+    _diffAlerts(alertIds) {
+        // az első lekérdezés csak kiindulási állapot, a már meglévő forgalmi változások nem számítanak újnak
+        if (this.alertIds === null) {
+            this.alertIds = alertIds;
+            return;
+        }
+
+        const added = alertIds.filter(id => this.alertIds.indexOf(id) === -1);
+        const removed = this.alertIds.filter(id => alertIds.indexOf(id) === -1);
+        this.alertIds = alertIds;
+
+        if (added.length || removed.length) this.emit('alertsChanged', { added, removed, alertIds });
+    }
+}
+
+/**
+ * Egy stopTime elem átalakítása indulás objektummá
+ * @param {object} stopTime a Futár API stopTime eleme
+ * @param {object} refs a válasz referenciái
+ * @return {object} az indulás adatai
+ */
+function toDeparture(stopTime, refs) {
+    const trip = (refs.trips || {})[stopTime.tripId] || null;
+    const route = trip && (refs.routes || {})[trip.routeId] || null;
+
+    const scheduledTime = stopTime.departureTime || stopTime.arrivalTime;
+    const predictedTime = stopTime.predictedDepartureTime || stopTime.predictedArrivalTime || null;
+    const time = predictedTime || scheduledTime;
+
+    return {
+        id: `${stopTime.tripId}:${stopTime.serviceDate || ''}`,
+        tripId: stopTime.tripId,
+        routeId: trip ? trip.routeId : null,
+        headsign: stopTime.stopHeadsign || (trip ? trip.tripHeadsign : null),
+        scheduledTime,
+        predictedTime,
+        time,
+        delay: predictedTime ? predictedTime - scheduledTime : null,
+        realtime: predictedTime !== null,
+        stopTime,
+        trip,
+        route
+    };
+}
+
+module.exports = {
+    StopWatcher,
+    toDeparture
+};
@@ -0,0 +1,81 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { AlertMonitor } = require('../lib/alerts');
+
+function response(ids) {
+    const alerts = {};
+    ids.forEach(id => {
+        alerts[id] = { id, start: 0, modifiedTime: 1, header: { translations: { hu: id } } };
+    });
+    return { entry: { alertIds: ids }, references: { alerts } };
+}
+
+// 2017-07-14 10:00 budapesti idő szerint
+const NOW = Date.UTC(2017, 6, 14, 8, 0);
+
+/**
+ * Figyelő egy olyan klienssel, mely lekérdezésenként a következő válasszal tér vissza
+ */
+function monitor(responses, clock) {
+    const futar = {
+        config: { lang: 'hu', clock: clock || Date.now },
+        alertSearch: () => Promise.resolve(responses.shift())
+    };
+    const alertMonitor = new AlertMonitor(futar, { interval: 1 });
+    const events = [];
+    ['published', 'updated', 'expired'].forEach(type => alertMonitor.on(type, alert => events.push(`${type}:${alert.id}`)));
+    return { alertMonitor, events };
+}
+
+/**
+ * Az adott számú sikeres lekérdezés kivárása, utána a figyelés leáll
+ */
+function updates(alertMonitor, count) {
+    return new Promise((resolve, reject) => {
+        alertMonitor.on('error', reject);
+        alertMonitor.on('update', () => {
+            if (--count) return;
+            alertMonitor.stop();
+            resolve();
+        });
+    });
+}
+
+describe('alerts', () => {
+    describe('AlertMonitor', () => {
+        it('az első lekérdezés nem vált ki published eseményt', () => {
+            const { alertMonitor, events } = monitor([response(['BKK_a1', 'BKK_a2'])]);
+
+            return updates(alertMonitor, 1).then(() => {
+                assert.deepStrictEqual(events, []);
+                assert.deepStrictEqual(Array.from(alertMonitor.alerts.keys()), ['BKK_a1', 'BKK_a2']);
+            });
+        });
+
+        it('a későbbi lekérdezések eltéréseit jelzi', () => {
+            const { alertMonitor, events } = monitor([response(['BKK_a1', 'BKK_a2']), response(['BKK_a2', 'BKK_a3'])]);
+
+            return updates(alertMonitor, 2).then(() => {
+                assert.deepStrictEqual(events, ['published:BKK_a3', 'expired:BKK_a1']);
+            });
+        });
+
+        it('a lejárt forgalmi változásokat a kliens órája szerint szűri', () => {
+            const data = response(['BKK_a1', 'BKK_a2']);
+            data.references.alerts.BKK_a1.end = NOW / 1000 + 60;
+            data.references.alerts.BKK_a2.end = NOW / 1000 - 60;
+            const { alertMonitor } = monitor([data], () => NOW);
+            let alerts;
+            alertMonitor.on('update', value => {
+                alerts = value;
+            });
+
+            return updates(alertMonitor, 1).then(() => {
+                assert.deepStrictEqual(Array.from(alertMonitor.alerts.keys()), ['BKK_a1']);
+                assert.deepStrictEqual(alerts.active().map(alert => alert.id), ['BKK_a1']);
+            });
+        });
+    });
+});
@@ -0,0 +1,130 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { BikeShare, BikeShareWatcher } = require('../lib/bikeshare');
+
+// Deák Ferenc tér
+const DEAK = { lat: 47.4975, lon: 19.0545 };
+
+const STATIONS = [
+    { id: 'DEAK', name: 'Deák tér', lat: 47.4976, lon: 19.0546, bikes: 0, spaces: 20 },
+    { id: 'ASTORIA', name: 'Astoria', lat: 47.4935, lon: 19.0605, bikes: 3, spaces: 0 },
+    { id: 'OKTOGON', name: 'Oktogon', lat: 47.5054, lon: 19.0633, bikes: 10, spaces: 5 },
+    { id: 'BATTHYANY', name: 'Batthyány tér', y: 47.5068, x: 19.0389, bikesAvailable: 1, capacity: 10 }
+];
+
+function bikeShare(stations) {
+    return new BikeShare({ list: stations });
+}
+
+function update(changes) {
+    return STATIONS.map(station => changes[station.id] ? Object.assign({}, station, changes[station.id]) : station);
+}
+
+describe('bikeshare', () => {
+    describe('Station', () => {
+        it('a különböző mezőnevű válaszokból is kiolvassa a koordinátákat és a férőhelyeket', () => {
+            const station = bikeShare(STATIONS).station('BATTHYANY');
+
+            assert.strictEqual(station.lat, 47.5068);
+            assert.strictEqual(station.lon, 19.0389);
+            assert.strictEqual(station.bikes, 1);
+            assert.strictEqual(station.docks, 9);
+            assert.strictEqual(station.capacity, 10);
+        });
+
+        it('az üres és a teli állomásokat jelzi', () => {
+            const data = bikeShare(STATIONS);
+
+            assert.strictEqual(data.station('DEAK').empty, true);
+            assert.strictEqual(data.station('ASTORIA').full, true);
+            assert.strictEqual(data.station('OKTOGON').empty || data.station('OKTOGON').full, false);
+            assert.strictEqual(data.station('NINCS'), null);
+        });
+    });
+
+    describe('nearest', () => {
+        const data = bikeShare(STATIONS);
+        const ids = results => results.map(result => result.station.id);
+
+        it('az állomásokat távolság szerint rendezi', () => {
+            const results = data.nearest(DEAK);
+
+            assert.deepStrictEqual(ids(results), ['DEAK', 'ASTORIA', 'OKTOGON', 'BATTHYANY']);
+            assert.ok(results[0].distance < 20);
+            assert.ok(results.every((result, i) => i === 0 || result.distance >= results[i - 1].distance));
+        });
+
+        it('a kerékpárok és a szabad dokkolók minimális számát figyelembe veszi', () => {
+            assert.deepStrictEqual(ids(data.nearest(DEAK, { minBikes: 1 })), ['ASTORIA', 'OKTOGON', 'BATTHYANY']);
+            assert.deepStrictEqual(ids(data.nearest(DEAK, { minBikes: 1, minDocks: 1 })), ['OKTOGON', 'BATTHYANY']);
+        });
+
+        it('a maximális távolságot és a darabszámot figyelembe veszi', () => {
+            assert.deepStrictEqual(ids(data.nearest(DEAK, { maxDistance: 1000 })), ['DEAK', 'ASTORIA']);
+            assert.deepStrictEqual(ids(data.nearest(DEAK, { limit: 1 })), ['DEAK']);
+        });
+    });
+
+    describe('diff', () => {
+        it('a kiürült és a megtelt állomásokat jelzi', () => {
+            const previous = bikeShare(STATIONS);
+            const current = bikeShare(update({ OKTOGON: { bikes: 0, spaces: 15 }, BATTHYANY: { bikesAvailable: 10 } }));
+            const diff = current.diff(previous);
+
+            assert.deepStrictEqual(diff.becameEmpty.map(station => station.id), ['OKTOGON']);
+            assert.deepStrictEqual(diff.becameFull.map(station => station.id), ['BATTHYANY']);
+            assert.deepStrictEqual(diff.changed.map(change => change.station.id), ['OKTOGON', 'BATTHYANY']);
+            assert.strictEqual(diff.changed[0].previous.bikes, 10);
+        });
+
+        it('a már nem üres és a már nem teli állomásokat jelzi', () => {
+            const previous = bikeShare(STATIONS);
+            const current = bikeShare(update({ DEAK: { bikes: 2, spaces: 18 }, ASTORIA: { bikes: 2, spaces: 1 } }));
+            const diff = BikeShare.diff(previous, current);
+
+            assert.deepStrictEqual(diff.noLongerEmpty.map(station => station.id), ['DEAK']);
+            assert.deepStrictEqual(diff.noLongerFull.map(station => station.id), ['ASTORIA']);
+            assert.deepStrictEqual(diff.becameEmpty, []);
+            assert.deepStrictEqual(diff.becameFull, []);
+        });
+
+        it('az új és a megszűnt állomásokat jelzi, változatlan állapotnál nincs változás', () => {
+            const previous = bikeShare(STATIONS.slice(0, 3));
+            const current = bikeShare(STATIONS.slice(1));
+            const diff = current.diff(previous);
+
+            assert.deepStrictEqual(diff.added.map(station => station.id), ['BATTHYANY']);
+            assert.deepStrictEqual(diff.removed.map(station => station.id), ['DEAK']);
+            assert.deepStrictEqual(diff.changed, []);
+        });
+    });
+
+    describe('BikeShareWatcher', () => {
+        it('az első lekérdezés után csak a változásokat jelzi eseményként, az állapot ideje a kliens órájából származik', () => {
+            const responses = [{ list: STATIONS }, { list: update({ OKTOGON: { bikes: 0, spaces: 15 } }) }];
+            const futar = {
+                config: { clock: () => 1500000000000 },
+                bicycleRental: () => Promise.resolve(responses.shift())
+            };
+
+            return new Promise((resolve, reject) => {
+                const events = [];
+                const watcher = new BikeShareWatcher(futar, { interval: 1 });
+                ['empty', 'full', 'available', 'docksAvailable', 'diff'].forEach(type => {
+                    watcher.on(type, value => events.push([type, type === 'diff' ? value.changed.length : value.id]));
+                });
+                watcher.on('error', reject);
+                watcher.on('update', bikeShare => {
+                    events.push(['update', bikeShare.time]);
+                    if (responses.length) return;
+                    watcher.stop();
+                    resolve(events);
+                });
+            }).then(events => {
+                assert.deepStrictEqual(events, [['update', 1500000000000], ['empty', 'OKTOGON'], ['diff', 1], ['update', 1500000000000]]);
+            });
+        });
+    });
+});
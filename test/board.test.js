@@ -0,0 +1,97 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { Board, render } = require('../lib/board');
+
+const SNAPSHOTS = path.join(__dirname, 'snapshots');
+
+// 2017-07-14 10:00 budapesti idő szerint
+const NOW = Date.UTC(2017, 6, 14, 8, 0);
+const TIMEZONE = 'Europe/Budapest';
+
+/**
+ * A kimenet összevetése a rögzített pillanatképpel, UPDATE_SNAPSHOTS=1 esetén a pillanatkép felülírásával
+ */
+function snapshot(name, actual) {
+    const file = path.join(SNAPSHOTS, name);
+    if (process.env.UPDATE_SNAPSHOTS) fs.writeFileSync(file, actual);
+    assert.strictEqual(actual, fs.readFileSync(file, 'utf8'));
+}
+
+function minutes(n) {
+    return NOW / 1000 + n * 60;
+}
+
+function data(routes) {
+    return {
+        entry: {
+            stopId: 'BKK_F01227',
+            alertIds: ['BKK_a1', 'BKK_a2'],
+            stopTimes: [
+                { tripId: 'BKK_T1', serviceDate: '20170714', departureTime: minutes(3), predictedDepartureTime: minutes(5), wheelchairAccessible: true },
+                { tripId: 'BKK_T2', serviceDate: '20170714', departureTime: minutes(0.5) },
+                { tripId: 'BKK_T3', serviceDate: '20170714', departureTime: minutes(12), predictedDepartureTime: minutes(11), stopHeadsign: 'Kelenföld <vá>' },
+                { tripId: 'BKK_T1', serviceDate: '20170714', departureTime: minutes(-10) }
+            ]
+        },
+        references: {
+            stops: { BKK_F01227: { id: 'BKK_F01227', name: 'Deák Ferenc tér' } },
+            trips: {
+                BKK_T1: { id: 'BKK_T1', routeId: 'BKK_0050', tripHeadsign: 'Pasaréti tér' },
+                BKK_T2: { id: 'BKK_T2', routeId: 'BKK_3060', tripHeadsign: 'Örs vezér tere' },
+                BKK_T3: { id: 'BKK_T3', routeId: 'BKK_0050', tripHeadsign: 'Kelenföld vasútállomás' }
+            },
+            routes: routes || {
+                BKK_0050: { id: 'BKK_0050', shortName: '5', color: '009FE3', textColor: 'FFFFFF' },
+                BKK_3060: { id: 'BKK_3060', shortName: 'M2', color: 'E41F18' }
+            },
+            alerts: {
+                BKK_a1: { id: 'BKK_a1', start: minutes(-60), header: { translations: { hu: 'Pótlóbusz az M2-n', en: 'Replacement bus on M2' } } },
+                BKK_a2: { id: 'BKK_a2', start: minutes(-120), end: minutes(-60), header: { translations: { hu: 'Lejárt változás' } } }
+            }
+        }
+    };
+}
+
+describe('board', () => {
+    it('szöveges kimenet', () => {
+        snapshot('board.txt', render(data(), { now: NOW, timezone: TIMEZONE }));
+    });
+
+    it('ANSI kimenet angolul', () => {
+        snapshot('board.ansi', render(data(), { now: NOW, timezone: TIMEZONE, lang: 'en', format: 'ansi' }));
+    });
+
+    it('HTML kimenet', () => {
+        snapshot('board.html', render(data(), { now: NOW, timezone: TIMEZONE, format: 'html' }));
+    });
+
+    it('menetrendi tartalék üres kijelzője', () => {
+        const offline = { entry: { stopTimes: [] }, references: {}, realtime: false, offline: true };
+        snapshot('board-offline.txt', render(offline, { now: NOW, timezone: TIMEZONE, lang: 'en' }));
+    });
+
+    it('a nem RRGGBB formájú színek nem kerülnek a kimenetbe', () => {
+        const board = new Board(data({
+            BKK_0050: { id: 'BKK_0050', shortName: '5', color: '000"><script>x</script>', textColor: 'FFF;background:url(x)' },
+            BKK_3060: { id: 'BKK_3060', shortName: 'M2', color: 'E41F18', textColor: '1;31m' }
+        }), { now: NOW, timezone: TIMEZONE });
+
+        const html = board.toHTML();
+        assert.ok(html.indexOf('<script>') === -1);
+        assert.ok(html.indexOf('url(x)') === -1);
+        assert.ok(html.indexOf('<span style="background-color:#E41F18;color:#FFFFFF">M2</span>') !== -1);
+        assert.deepStrictEqual(board.rows.map(row => [row.route, row.color, row.textColor]), [
+            ['M2', 'E41F18', null],
+            ['5', null, null],
+            ['5', null, null]
+        ]);
+
+        const ansi = board.toANSI();
+        assert.ok(ansi.indexOf('1;31m') === -1);
+        assert.ok(ansi.indexOf('script') === -1);
+    });
+});
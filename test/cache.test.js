@@ -0,0 +1,209 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const Futar = require('..');
+const { ResponseCache, MemoryStore } = require('../lib/cache');
+const { ApiError } = require('../lib/errors');
+
+const CURRENT_TIME = 1500000000000;
+
+function response(entry) {
+    return { code: 200, text: 'OK', currentTime: CURRENT_TIME, data: { entry, references: {} } };
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('cache', () => {
+    describe('MemoryStore', () => {
+        it('a méret túllépésekor a legrégebben használt bejegyzést dobja el', () => {
+            const store = new MemoryStore({ maxSize: 2 });
+            store.set('a', 1);
+            store.set('b', 2);
+            store.get('a');
+            store.set('c', 3);
+
+            assert.strictEqual(store.size, 2);
+            assert.strictEqual(store.get('a'), 1);
+            assert.strictEqual(store.get('b'), undefined);
+            assert.strictEqual(store.get('c'), 3);
+        });
+
+        it('a már tárolt kulcs újramentése frissíti a sorrendet', () => {
+            const store = new MemoryStore({ maxSize: 2 });
+            store.set('a', 1);
+            store.set('b', 2);
+            store.set('a', 10);
+            store.set('c', 3);
+
+            assert.strictEqual(store.get('a'), 10);
+            assert.strictEqual(store.get('b'), undefined);
+        });
+    });
+
+    describe('ResponseCache', () => {
+        it('a lejárati időn belül a tárolt választ adja vissza', () => {
+            const cache = new ResponseCache();
+            const results = [];
+            let loads = 0;
+            const load = () => Promise.resolve(response({ id: ++loads }));
+
+            return cache.fetch('/stop.json', { stopId: 'BKK_F01227' }, load, result => results.push(result))
+                .then(() => cache.fetch('/stop.json', { stopId: 'BKK_F01227' }, load, result => results.push(result)))
+                .then(data => {
+                    assert.strictEqual(loads, 1);
+                    assert.strictEqual(data.data.entry.id, 1);
+                    assert.deepStrictEqual(results, ['miss', 'hit']);
+                });
+        });
+
+        it('a lejárt bejegyzés helyett új lekérdezést küld', () => {
+            const cache = new ResponseCache({ ttl: { stop: 5 } });
+            let loads = 0;
+            const load = () => Promise.resolve(response({ id: ++loads }));
+
+            return cache.fetch('/stop.json', { stopId: 'BKK_F01227' }, load)
+                .then(() => delay(20))
+                .then(() => cache.fetch('/stop.json', { stopId: 'BKK_F01227' }, load))
+                .then(data => {
+                    assert.strictEqual(loads, 2);
+                    assert.strictEqual(data.data.entry.id, 2);
+                });
+        });
+
+        it('a gyorsítótár kulcsában az API kulcs és a nem definiált paraméterek nem szerepelnek', () => {
+            const cache = new ResponseCache();
+            let loads = 0;
+            const load = () => Promise.resolve(response({ id: ++loads }));
+
+            return cache.fetch('/stop.json', { stopId: 'BKK_F01227', key: 'a', version: undefined }, load)
+                .then(() => cache.fetch('/stop.json', { key: 'b', stopId: 'BKK_F01227' }, load))
+                .then(() => assert.strictEqual(loads, 1));
+        });
+
+        it('az azonos, folyamatban lévő lekérdezéseket összevonja', () => {
+            const cache = new ResponseCache();
+            const results = [];
+            let loads = 0;
+            const load = () => {
+                loads++;
+                return delay(10).then(() => response({ id: loads }));
+            };
+
+            return Promise.all([
+                cache.fetch('/arrivals-and-departures-for-stop.json', { stopId: 'BKK_F01227' }, load, result => results.push(result)),
+                cache.fetch('/arrivals-and-departures-for-stop.json', { stopId: 'BKK_F01227' }, load, result => results.push(result)),
+                cache.fetch('/arrivals-and-departures-for-stop.json', { stopId: 'BKK_F01229' }, load, result => results.push(result))
+            ]).then(([first, second, other]) => {
+                assert.strictEqual(loads, 2);
+                assert.strictEqual(first, second);
+                assert.notStrictEqual(first, other);
+                assert.deepStrictEqual(results.sort(), ['dedup', 'miss', 'miss']);
+            });
+        });
+
+        it('a nem gyorsítótárazott endpointok lekérdezéseit is összevonja', () => {
+            const cache = new ResponseCache();
+            let loads = 0;
+            const load = () => {
+                loads++;
+                return delay(10).then(() => response({ id: loads }));
+            };
+
+            return Promise.all([
+                cache.fetch('/plan-trip.json', { fromPlace: 'a', toPlace: 'b' }, load),
+                cache.fetch('/plan-trip.json', { fromPlace: 'a', toPlace: 'b' }, load)
+            ])
+                .then(() => cache.fetch('/plan-trip.json', { fromPlace: 'a', toPlace: 'b' }, load))
+                .then(() => assert.strictEqual(loads, 2));
+        });
+
+        it('a sikertelen lekérdezés nem kerül a gyorsítótárba', () => {
+            const cache = new ResponseCache();
+            let loads = 0;
+            const load = () => ++loads === 1 ? Promise.reject(new ApiError(500)) : Promise.resolve(response({ id: loads }));
+
+            return assert.rejects(cache.fetch('/stop.json', { stopId: 'BKK_F01227' }, load), ApiError)
+                .then(() => cache.fetch('/stop.json', { stopId: 'BKK_F01227' }, load))
+                .then(data => assert.strictEqual(data.data.entry.id, 2));
+        });
+
+        it('a feltételes endpointokat ifModifiedSince paraméterrel frissíti, 304 esetén a tárolt választ adja', () => {
+            const cache = new ResponseCache();
+            const calls = [];
+            const load = params => {
+                calls.push(params);
+                if (calls.length === 1) return Promise.resolve(response({ id: 1 }));
+                if (calls.length === 2) return Promise.reject(new ApiError(304, 'Not Modified'));
+                return Promise.resolve(response({ id: 3 }));
+            };
+            const fetch = () => cache.fetch('/vehicles-for-stop.json', { stopId: 'BKK_F01227' }, load);
+
+            return fetch()
+                .then(() => fetch())
+                .then(data => {
+                    assert.strictEqual(calls[0].ifModifiedSince, undefined);
+                    assert.strictEqual(calls[1].ifModifiedSince, CURRENT_TIME / 1000);
+                    assert.strictEqual(data.data.entry.id, 1);
+                })
+                .then(() => fetch())
+                .then(data => {
+                    assert.strictEqual(calls[2].ifModifiedSince, CURRENT_TIME / 1000);
+                    assert.strictEqual(data.data.entry.id, 3);
+                });
+        });
+
+        it('a feltételes lekérdezés egyéb hibáit továbbadja', () => {
+            const cache = new ResponseCache();
+            let loads = 0;
+            const load = () => ++loads === 1 ? Promise.resolve(response({ id: 1 })) : Promise.reject(new ApiError(500));
+            const fetch = () => cache.fetch('/vehicles-for-stop.json', { stopId: 'BKK_F01227' }, load);
+
+            return fetch().then(() => assert.rejects(fetch(), ApiError));
+        });
+
+        it('a kifejezetten megadott ifModifiedSince paramétert nem bírálja felül', () => {
+            const cache = new ResponseCache();
+            const calls = [];
+            const load = params => {
+                calls.push(params);
+                return Promise.resolve(response({ id: calls.length }));
+            };
+
+            return cache.fetch('/vehicles-for-stop.json', { stopId: 'BKK_F01227', ifModifiedSince: 1 }, load)
+                .then(() => cache.fetch('/vehicles-for-stop.json', { stopId: 'BKK_F01227', ifModifiedSince: 1 }, load))
+                .then(() => assert.deepStrictEqual(calls.map(params => params.ifModifiedSince), [1, 1]));
+        });
+    });
+
+    describe('Futar', () => {
+        it('a response esemény cache mezője megkülönbözteti a találatot, a hiányt és az összevont lekérdezést', () => {
+            const transport = () => delay(10).then(() => ({
+                status: 200,
+                headers: {},
+                body: JSON.stringify(response({ id: 'BKK_F01227' }))
+            }));
+            const futar = new Futar({ cache: true, transport });
+            const results = [];
+            futar.on('response', event => results.push(event.cache));
+
+            return Promise.all([futar.stop('BKK_F01227'), futar.stop('BKK_F01227')])
+                .then(() => futar.stop('BKK_F01227'))
+                .then(() => {
+                    assert.deepStrictEqual(results.slice(0, 2).sort(), ['dedup', 'miss']);
+                    assert.strictEqual(results[2], 'hit');
+                });
+        });
+
+        it('kikapcsolt gyorsítótár esetén a cache mező null', () => {
+            const transport = () => Promise.resolve({ status: 200, headers: {}, body: JSON.stringify(response({})) });
+            const futar = new Futar({ transport });
+            const results = [];
+            futar.on('response', event => results.push(event.cache));
+
+            return futar.stop('BKK_F01227').then(() => assert.deepStrictEqual(results, [null]));
+        });
+    });
+});
@@ -0,0 +1,211 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Cli, main, parseArgs, loadConfig, clientConfig, table } = require('../lib/cli');
+
+/**
+ * A console kimenetének elfogása a fn által visszaadott Promise teljesüléséig
+ */
+function capture(fn) {
+    const output = { log: [], error: [] };
+    const log = console.log;
+    const error = console.error;
+    console.log = text => output.log.push(text);
+    console.error = text => output.error.push(text);
+
+    const restore = () => {
+        console.log = log;
+        console.error = error;
+    };
+
+    return fn().then(result => {
+        restore();
+        return { result, output };
+    }, err => {
+        restore();
+        throw err;
+    });
+}
+
+describe('cli', () => {
+    describe('parseArgs', () => {
+        it('a pozicionális argumentumokat és a kapcsolókat szétválasztja', () => {
+            const args = parseArgs(['departures', 'Határ', 'út', '--json', '--limit', '5']);
+
+            assert.deepStrictEqual(args._, ['departures', 'Határ', 'út']);
+            assert.deepStrictEqual(args.flags, { json: true, limit: '5' });
+        });
+
+        it('a kapcsolók nevét camelCase alakra hozza, az egyenlőségjeles értéket is elfogadja', () => {
+            const args = parseArgs(['plan', 'a', 'b', '--arrive-by=08:30', '--api-key', 'titok']);
+
+            assert.deepStrictEqual(args.flags, { arriveBy: '08:30', apiKey: 'titok' });
+        });
+
+        it('csak az értéket váró kapcsolók kapják meg a következő argumentumot', () => {
+            const args = parseArgs(['search', '--json', 'Deák', '--limit', '--json']);
+
+            assert.deepStrictEqual(args._, ['search', 'Deák']);
+            assert.deepStrictEqual(args.flags, { json: true, limit: true });
+        });
+    });
+
+    describe('loadConfig', () => {
+        let dirs;
+
+        before(() => {
+            dirs = [0, 1].map(() => fs.mkdtempSync(path.join(os.tmpdir(), 'futar-cli-')));
+            fs.writeFileSync(path.join(dirs[1], '.futarrc'), JSON.stringify({ apiKey: 'fajl', baseUrl: 'http://localhost/api', lang: 'en' }));
+        });
+
+        after(() => {
+            dirs.forEach(dir => {
+                fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+                fs.rmdirSync(dir);
+            });
+        });
+
+        it('a .futarrc fájlt a keresési helyek sorrendjében tölti be', () => {
+            assert.deepStrictEqual(loadConfig({}, dirs), { apiKey: 'fajl', baseUrl: 'http://localhost/api', lang: 'en' });
+
+            fs.writeFileSync(path.join(dirs[0], '.futarrc'), JSON.stringify({ apiKey: 'elso' }));
+            assert.deepStrictEqual(loadConfig({}, dirs), { apiKey: 'elso', baseUrl: undefined, lang: 'hu' });
+            fs.unlinkSync(path.join(dirs[0], '.futarrc'));
+        });
+
+        it('a környezeti változók felülírják a fájl értékeit', () => {
+            const config = loadConfig({ FUTAR_API_KEY: 'env', FUTAR_LANG: 'hu' }, dirs);
+
+            assert.strictEqual(config.apiKey, 'env');
+            assert.strictEqual(config.baseUrl, 'http://localhost/api');
+            assert.strictEqual(config.lang, 'hu');
+        });
+
+        it('fájl nélkül a nyelv alapértelmezetten magyar', () => {
+            assert.deepStrictEqual(loadConfig({}, [dirs[0]]), { apiKey: undefined, baseUrl: undefined, lang: 'hu' });
+        });
+
+        it('hibás fájl esetén kivételt dob', () => {
+            fs.writeFileSync(path.join(dirs[0], '.futarrc'), '{ apiKey');
+            assert.throws(() => loadConfig({}, dirs), SyntaxError);
+            fs.unlinkSync(path.join(dirs[0], '.futarrc'));
+        });
+    });
+
+    describe('clientConfig', () => {
+        const config = { apiKey: 'fajl', baseUrl: 'http://localhost/api', lang: 'en' };
+
+        it('a betöltött beállítások nyelvét a Futár kliens is megkapja', () => {
+            const options = clientConfig(config, parseArgs(['alerts']));
+
+            assert.strictEqual(options.lang, 'en');
+            assert.strictEqual(options.apiKey, 'fajl');
+            assert.strictEqual(options.cache, false);
+        });
+
+        it('a kapcsolók felülírják a betöltött beállításokat', () => {
+            const options = clientConfig(config, parseArgs(['serve', '--lang', 'hu', '--api-key', 'kapcsolo']));
+
+            assert.strictEqual(options.lang, 'hu');
+            assert.strictEqual(options.apiKey, 'kapcsolo');
+            assert.strictEqual(options.cache, true);
+            assert.strictEqual(options.metrics, true);
+        });
+    });
+
+    describe('table', () => {
+        it('az oszlopokat a leghosszabb cellához igazítja, az utolsó oszlopot nem tölti ki', () => {
+            assert.strictEqual(table(['Járat', 'Irány'], [['7', 'Bosnyák tér'], ['173E', null]]), [
+                'Járat  Irány',
+                '7      Bosnyák tér',
+                '173E   '
+            ].join('\n'));
+        });
+    });
+
+    describe('Cli', () => {
+        it('parancs nélkül a használati útmutatót írja ki a megadott nyelven', () => {
+            const output = [];
+            const cli = new Cli({ futar: {}, lang: 'en', out: text => output.push(text) });
+
+            return cli.run([]).then(() => assert.ok(/^Usage: futar/.test(output[0])));
+        });
+
+        it('ismeretlen nyelv esetén magyarul ír', () => {
+            assert.strictEqual(new Cli({ futar: {}, lang: 'de' }).lang, 'hu');
+        });
+
+        it('ismeretlen parancs vagy hiányzó argumentum esetén hibával tér vissza', () => {
+            const cli = new Cli({ futar: {}, out: () => {} });
+
+            return Promise.all([
+                assert.rejects(cli.run(['foo']), /Ismeretlen parancs: foo/),
+                assert.rejects(cli.run(['departures']), /Hiányzó argumentum: futar departures/)
+            ]);
+        });
+
+        it('a --json kapcsolóval a választ JSON formában írja ki', () => {
+            const output = [];
+            const futar = { stop: () => Promise.resolve({ entry: { id: 'BKK_F01227' } }) };
+            const cli = new Cli({ futar, out: text => output.push(text) });
+
+            return cli.run(['stop', 'BKK_F01227', '--json'])
+                .then(() => assert.deepStrictEqual(JSON.parse(output[0]), { entry: { id: 'BKK_F01227' } }));
+        });
+    });
+
+    describe('main', () => {
+        const cwd = process.cwd();
+        let dir;
+
+        before(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'futar-main-'));
+            process.chdir(dir);
+        });
+
+        after(() => {
+            process.chdir(cwd);
+            fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+            fs.rmdirSync(dir);
+        });
+
+        it('sikeres futás után 0 a kilépési kód', () => {
+            return capture(() => main(['--help'], { FUTAR_LANG: 'en' })).then(({ result, output }) => {
+                assert.strictEqual(result, 0);
+                assert.ok(/^Usage: futar/.test(output.log[0]));
+            });
+        });
+
+        it('hiba esetén 1 a kilépési kód, az üzenet a hibakimenetre kerül', () => {
+            return capture(() => main(['foo'], {})).then(({ result, output }) => {
+                assert.strictEqual(result, 1);
+                assert.ok(/^Ismeretlen parancs: foo/.test(output.error[0]));
+            });
+        });
+
+        it('hibás .futarrc fájl esetén 1 a kilépési kód', () => {
+            fs.writeFileSync(path.join(dir, '.futarrc'), '{ apiKey');
+
+            return capture(() => main(['--help'], {})).then(({ result, output }) => {
+                fs.unlinkSync(path.join(dir, '.futarrc'));
+                assert.strictEqual(result, 1);
+                assert.strictEqual(output.log.length, 0);
+                assert.strictEqual(output.error.length, 1);
+            });
+        });
+
+        it('a .futarrc nyelve a kimenetre is érvényes', () => {
+            fs.writeFileSync(path.join(dir, '.futarrc'), JSON.stringify({ lang: 'en' }));
+
+            return capture(() => main([], {})).then(({ result, output }) => {
+                fs.unlinkSync(path.join(dir, '.futarrc'));
+                assert.strictEqual(result, 0);
+                assert.ok(/^Usage: futar/.test(output.log[0]));
+            });
+        });
+    });
+});
@@ -0,0 +1,149 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { mergeStopDepartures, groupByNearestStop } = require('../lib/departures');
+const { NetworkError } = require('../lib/errors');
+
+const NOW = 1500000000;
+
+describe('departures', () => {
+    describe('mergeStopDepartures', () => {
+        const results = [
+            {
+                item: 'BKK_F01227',
+                value: {
+                    entry: {
+                        stopTimes: [
+                            { tripId: 'BKK_T1', departureTime: NOW + 600 },
+                            { tripId: 'BKK_T2', departureTime: NOW + 120, predictedDepartureTime: NOW + 300 }
+                        ],
+                        alertIds: ['BKK_1'],
+                        routeIds: ['BKK_0050', 'BKK_3600']
+                    },
+                    references: {
+                        trips: {
+                            BKK_T1: { routeId: 'BKK_0050', directionId: '0' },
+                            BKK_T2: { routeId: 'BKK_3600', directionId: '1' }
+                        },
+                        routes: {
+                            BKK_0050: { id: 'BKK_0050', type: 'BUS' },
+                            BKK_3600: { id: 'BKK_3600', type: 'TRAM' }
+                        }
+                    }
+                }
+            },
+            {
+                item: 'BKK_F01229',
+                value: {
+                    entry: {
+                        stopTimes: [
+                            { tripId: 'BKK_T3', arrivalTime: NOW + 60 }
+                        ],
+                        alertIds: ['BKK_1', 'BKK_2'],
+                        routeIds: ['BKK_0050']
+                    },
+                    references: {
+                        trips: {
+                            BKK_T3: { routeId: 'BKK_0050', directionId: '1' }
+                        },
+                        routes: {
+                            BKK_0050: { id: 'BKK_0050', type: 'BUS' }
+                        }
+                    }
+                }
+            },
+            { item: 'BKK_F01231', error: new NetworkError('A kapcsolat megszakadt') }
+        ];
+        const tripIds = data => data.entry.stopTimes.map(stopTime => stopTime.tripId);
+
+        it('a megállók indulásait időrendben fésüli össze, a megálló azonosítójával kiegészítve', () => {
+            const data = mergeStopDepartures(results);
+
+            assert.deepStrictEqual(tripIds(data), ['BKK_T3', 'BKK_T2', 'BKK_T1']);
+            assert.deepStrictEqual(data.entry.stopTimes.map(stopTime => stopTime.stopId), ['BKK_F01229', 'BKK_F01227', 'BKK_F01227']);
+            assert.deepStrictEqual(data.entry.stopIds, ['BKK_F01227', 'BKK_F01229']);
+            assert.deepStrictEqual(data.entry.alertIds, ['BKK_1', 'BKK_2']);
+            assert.deepStrictEqual(data.entry.routeIds, ['BKK_0050', 'BKK_3600']);
+            assert.deepStrictEqual(Object.keys(data.references.trips), ['BKK_T1', 'BKK_T2', 'BKK_T3']);
+        });
+
+        it('a sikertelen megállókat a hibák között adja vissza', () => {
+            const data = mergeStopDepartures(results);
+
+            assert.strictEqual(data.errors.length, 1);
+            assert.strictEqual(data.errors[0].stopId, 'BKK_F01231');
+            assert.ok(data.errors[0].error instanceof NetworkError);
+        });
+
+        it('viszonylatok szerint szűr, listával vagy vesszővel elválasztott szöveggel', () => {
+            assert.deepStrictEqual(tripIds(mergeStopDepartures(results, { routeIds: ['BKK_3600'] })), ['BKK_T2']);
+            assert.deepStrictEqual(tripIds(mergeStopDepartures(results, { routeIds: 'BKK_0050,BKK_3600' })), ['BKK_T3', 'BKK_T2', 'BKK_T1']);
+        });
+
+        it('irány szerint szűr, számmal megadva is', () => {
+            assert.deepStrictEqual(tripIds(mergeStopDepartures(results, { directionId: 1 })), ['BKK_T3', 'BKK_T2']);
+            assert.deepStrictEqual(tripIds(mergeStopDepartures(results, { directionId: '0' })), ['BKK_T1']);
+        });
+
+        it('közlekedési mód szerint szűr', () => {
+            assert.deepStrictEqual(tripIds(mergeStopDepartures(results, { mode: 'TRAM' })), ['BKK_T2']);
+            assert.deepStrictEqual(tripIds(mergeStopDepartures(results, { mode: ['BUS', 'TRAM'] })), ['BKK_T3', 'BKK_T2', 'BKK_T1']);
+        });
+
+        it('a szűrési feltételek együttesen érvényesek', () => {
+            assert.deepStrictEqual(tripIds(mergeStopDepartures(results, { routeIds: 'BKK_0050', directionId: 1, mode: 'BUS' })), ['BKK_T3']);
+            assert.deepStrictEqual(tripIds(mergeStopDepartures(results, { routeIds: 'BKK_0050', mode: 'TRAM' })), []);
+        });
+
+        it('a referenciák nélküli indulásokat a szűrők kihagyják', () => {
+            const data = mergeStopDepartures([
+                { item: 'BKK_F01227', value: { entry: { stopTimes: [{ tripId: 'BKK_T9', departureTime: NOW }] } } }
+            ], { directionId: 0 });
+
+            assert.deepStrictEqual(tripIds(data), []);
+        });
+    });
+
+    describe('groupByNearestStop', () => {
+        const data = {
+            entry: {
+                stopTimes: [
+                    { stopId: 'BKK_NEAR', tripId: 'BKK_T1', departureTime: NOW + 60 },
+                    { stopId: 'BKK_FAR', tripId: 'BKK_T2', departureTime: NOW + 600 },
+                    { stopId: 'BKK_NEAR', tripId: 'BKK_T3', departureTime: NOW + 900 }
+                ]
+            },
+            references: {
+                trips: {
+                    BKK_T1: { routeId: 'BKK_0050', directionId: '0' },
+                    BKK_T2: { routeId: 'BKK_0050', directionId: '0' },
+                    BKK_T3: { routeId: 'BKK_0050', directionId: '0' }
+                }
+            }
+        };
+        const stops = [
+            { stopId: 'BKK_NEAR', distance: 100, walkingTime: 120 },
+            { stopId: 'BKK_FAR', distance: 300, walkingTime: 360 }
+        ];
+
+        it('a legközelebbi megállót az elérhető indulások közül választja', () => {
+            const groups = groupByNearestStop(data, stops, NOW);
+
+            assert.strictEqual(groups.length, 1);
+            assert.strictEqual(groups[0].stopId, 'BKK_NEAR');
+            assert.deepStrictEqual(groups[0].stopTimes.map(stopTime => stopTime.tripId), ['BKK_T3']);
+        });
+
+        it('a távolabbi megálló elérhető indulása megmarad, ha a közelebbi megállóból nem indul elérhető járat', () => {
+            const groups = groupByNearestStop({
+                entry: { stopTimes: data.entry.stopTimes.slice(0, 2) },
+                references: data.references
+            }, stops, NOW);
+
+            assert.strictEqual(groups.length, 1);
+            assert.strictEqual(groups[0].stopId, 'BKK_FAR');
+            assert.deepStrictEqual(groups[0].stopTimes.map(stopTime => stopTime.tripId), ['BKK_T2']);
+        });
+    });
+});
@@ -0,0 +1,176 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const Futar = require('..');
+const { ApiError, NetworkError, TimeoutError, RateLimitError, AbortError, ValidationError } = require('../lib/errors');
+
+const OK = { status: 200, headers: {}, body: JSON.stringify({ code: 200, text: 'OK', currentTime: 1500000000000, data: { entry: {}, references: {} } }) };
+
+/**
+ * Transport, mely a megadott válaszokat, illetve hibákat adja vissza sorban
+ */
+function sequence(results) {
+    const requests = [];
+    const transport = req => {
+        requests.push(req);
+        const result = results[Math.min(requests.length, results.length) - 1];
+        if (typeof result === 'function') return result(req);
+        return result instanceof Error ? Promise.reject(result) : Promise.resolve(result);
+    };
+    transport.requests = requests;
+    return transport;
+}
+
+function apiError(code) {
+    return { status: 200, headers: {}, body: JSON.stringify({ code, text: `Hiba (${code})` }) };
+}
+
+/**
+ * Transport, mely csak a kérés megszakításakor válaszol
+ */
+function hanging(req) {
+    return new Promise((resolve, reject) => {
+        req.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    });
+}
+
+describe('errors', () => {
+    describe('újrapróbálkozás', () => {
+        it('átmeneti hiba után exponenciálisan növekvő várakozással újrapróbálkozik', () => {
+            const transport = sequence([new Error('ECONNRESET'), apiError(503), OK]);
+            const futar = new Futar({ transport, retries: 2, retryDelay: 5, maxRetryDelay: 100 });
+            const retries = [];
+            futar.on('retry', event => retries.push(event));
+
+            return futar.stop('BKK_F01227').then(() => {
+                assert.strictEqual(transport.requests.length, 3);
+                assert.deepStrictEqual(retries.map(event => event.attempt), [1, 2]);
+                assert.deepStrictEqual(retries.map(event => event.delay), [5, 10]);
+                assert.ok(retries[0].error instanceof NetworkError);
+                assert.ok(retries[1].error instanceof ApiError);
+            });
+        });
+
+        it('a várakozás nem haladja meg a maxRetryDelay értékét', () => {
+            const transport = sequence([apiError(500), apiError(500), apiError(500), OK]);
+            const futar = new Futar({ transport, retries: 3, retryDelay: 4, maxRetryDelay: 6 });
+            const delays = [];
+            futar.on('retry', event => delays.push(event.delay));
+
+            return futar.stop('BKK_F01227').then(() => assert.deepStrictEqual(delays, [4, 6, 6]));
+        });
+
+        it('a 0 értékű retryDelay és maxRetryDelay nem cserélődik le az alapértelmezettre', () => {
+            const futar = new Futar({ retryDelay: 0, maxRetryDelay: 0 });
+
+            assert.strictEqual(futar.config.retryDelay, 0);
+            assert.strictEqual(futar.config.maxRetryDelay, 0);
+            assert.strictEqual(new Futar().config.retryDelay, 500);
+        });
+
+        it('a túl sok lekérdezés hibánál a Retry-After fejlécet is figyelembe veszi', () => {
+            const limited = { status: 429, headers: { 'retry-after': '0' }, body: '' };
+            const transport = sequence([limited, OK]);
+            const futar = new Futar({ transport, retries: 1, retryDelay: 1 });
+            const errors = [];
+            futar.on('retry', event => errors.push(event.error));
+
+            return futar.stop('BKK_F01227').then(() => {
+                assert.strictEqual(transport.requests.length, 2);
+                assert.ok(errors[0] instanceof RateLimitError);
+            });
+        });
+
+        it('az újrapróbálkozások elfogytával az utolsó hibát adja vissza', () => {
+            const transport = sequence([apiError(500), apiError(502)]);
+            const futar = new Futar({ transport, retries: 1, retryDelay: 1 });
+
+            return assert.rejects(futar.stop('BKK_F01227'), err => err instanceof ApiError && err.code === 502)
+                .then(() => assert.strictEqual(transport.requests.length, 2));
+        });
+
+        it('nem átmeneti hiba esetén nem próbálkozik újra', () => {
+            const transport = sequence([apiError(404), OK]);
+            const futar = new Futar({ transport, retryDelay: 1 });
+
+            return assert.rejects(futar.stop('BKK_F01227'), err => err instanceof ApiError && err.code === 404)
+                .then(() => assert.strictEqual(transport.requests.length, 1));
+        });
+    });
+
+    describe('időkorlát', () => {
+        it('a válasz nélküli lekérdezést TimeoutError hibával szakítja meg', () => {
+            const transport = sequence([hanging]);
+            const futar = new Futar({ transport, timeout: 20, retries: 0 });
+
+            return assert.rejects(futar.stop('BKK_F01227'), err => err instanceof TimeoutError && err.timeout === 20)
+                .then(() => assert.strictEqual(transport.requests[0].signal.aborted, true));
+        });
+
+        it('időtúllépés után újrapróbálkozik', () => {
+            const transport = sequence([hanging, OK]);
+            const futar = new Futar({ transport, timeout: 20, retries: 1, retryDelay: 1 });
+
+            return futar.stop('BKK_F01227').then(() => assert.strictEqual(transport.requests.length, 2));
+        });
+    });
+
+    describe('megszakítás', () => {
+        it('a folyamatban lévő lekérdezést AbortError hibával szakítja meg, újrapróbálkozás nélkül', () => {
+            const transport = sequence([hanging]);
+            const futar = new Futar({ transport, retryDelay: 1 });
+            const controller = new AbortController();
+            const request = futar.stop({ stopId: 'BKK_F01227', signal: controller.signal });
+            setTimeout(() => controller.abort(), 10);
+
+            return assert.rejects(request, AbortError).then(() => {
+                assert.strictEqual(transport.requests.length, 1);
+                assert.strictEqual(transport.requests[0].signal.aborted, true);
+            });
+        });
+
+        it('a már megszakított jelzéssel a kérés el sem indul', () => {
+            const transport = sequence([OK]);
+            const futar = new Futar({ transport });
+            const controller = new AbortController();
+            controller.abort();
+
+            return assert.rejects(futar.stop({ stopId: 'BKK_F01227', signal: controller.signal }), AbortError)
+                .then(() => assert.strictEqual(transport.requests.length, 0));
+        });
+
+        it('az újrapróbálkozás előtti várakozás is megszakítható', () => {
+            const transport = sequence([apiError(500), OK]);
+            const futar = new Futar({ transport, retryDelay: 10000 });
+            const controller = new AbortController();
+            futar.on('retry', () => controller.abort());
+
+            return assert.rejects(futar.stop({ stopId: 'BKK_F01227', signal: controller.signal }), AbortError)
+                .then(() => assert.strictEqual(transport.requests.length, 1));
+        });
+    });
+
+    describe('callback', () => {
+        it('callback esetén nem ad vissza Promise-t, a hibát a callback kapja meg', () => {
+            const unhandled = [];
+            const onUnhandled = reason => unhandled.push(reason);
+            process.on('unhandledRejection', onUnhandled);
+
+            const futar = new Futar({ transport: sequence([OK]) });
+
+            return new Promise(resolve => {
+                const result = futar.stop({}, err => {
+                    assert.strictEqual(result, undefined);
+                    assert.ok(err instanceof ValidationError);
+                    resolve();
+                });
+            })
+                .then(() => new Promise(resolve => setImmediate(resolve)))
+                .then(() => {
+                    process.removeListener('unhandledRejection', onUnhandled);
+                    assert.deepStrictEqual(unhandled, []);
+                });
+        });
+    });
+});
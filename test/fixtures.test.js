@@ -0,0 +1,122 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Futar = require('..');
+const { FixtureError } = require('../lib/errors');
+
+// 2017-07-14 10:00 budapesti idő szerint
+const RECORDED_AT = Date.UTC(2017, 6, 14, 8, 0);
+
+/**
+ * Hálózat nélküli transport, mely a kérés URL-jét adja vissza a válaszban
+ */
+function echoTransport(req) {
+    const body = { code: 200, text: 'OK', currentTime: RECORDED_AT, data: { entry: { url: req.url }, references: {} } };
+    return Promise.resolve({ status: 200, headers: {}, body: JSON.stringify(body) });
+}
+
+describe('fixtures', () => {
+    const now = Date.now;
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'futar-fixtures-'));
+
+        const futar = new Futar({
+            apiKey: 'titok',
+            clock: () => RECORDED_AT,
+            fixtures: { mode: 'record', dir, transport: echoTransport },
+            transport: echoTransport
+        });
+
+        return Promise.all([
+            futar.scheduleForStop('BKK_F01227'),
+            futar.tripDetails({ tripId: 'BKK_B8429701', vehicleId: 'BKK_3704' })
+        ]);
+    });
+
+    after(() => {
+        fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+        fs.rmdirSync(dir);
+    });
+
+    it('a rögzített fájlok az API kulcs nélkül, a kliens órája szerinti időponttal kerülnek mentésre', () => {
+        const files = fs.readdirSync(dir).map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+        const schedule = files.find(fixture => fixture.endpoint === '/schedule-for-stop.json');
+
+        assert.strictEqual(files.length, 2);
+        assert.strictEqual(schedule.recordedAt, RECORDED_AT);
+        assert.strictEqual(schedule.params.day, '2017-07-14');
+        assert.strictEqual(schedule.params.key, undefined);
+        assert.strictEqual(schedule.response.json.code, 200);
+    });
+
+    it('megállított órával az alapértelmezett napok a rögzítés napjára esnek, így szigorú módban is egyeznek', () => {
+        const futar = new Futar({ fixtures: { mode: 'replay', dir, freezeTime: true } });
+
+        return Promise.all([futar.scheduleForStop('BKK_F01227'), futar.tripDetails({ tripId: 'BKK_B8429701', vehicleId: 'BKK_3704' })])
+            .then(results => {
+                assert.ok(/day=2017-07-14/.test(results[0].entry.url));
+                assert.ok(/date=20170714/.test(results[1].entry.url));
+                assert.strictEqual(futar.config.clock(), RECORDED_AT);
+                // a globális Date.now érintetlen marad
+                assert.strictEqual(Date.now, now);
+            });
+    });
+
+    it('a freezeTime időpontként is megadható', () => {
+        const futar = new Futar({ fixtures: { mode: 'replay', dir, freezeTime: RECORDED_AT + 60 * 60 * 1000 } });
+
+        return futar.scheduleForStop('BKK_F01227').then(data => {
+            assert.ok(/day=2017-07-14/.test(data.entry.url));
+            assert.strictEqual(futar.config.clock(), RECORDED_AT + 60 * 60 * 1000);
+        });
+    });
+
+    it('szigorú módban az eltérő paraméterű kérés FixtureError hibát ad', () => {
+        const futar = new Futar({ fixtures: { mode: 'replay', dir, freezeTime: true } });
+
+        return futar.scheduleForStop({ stopId: 'BKK_F01227', day: '2017-07-15' }).then(
+            () => assert.fail('a kérésnek hibával kell végződnie'),
+            err => {
+                assert.ok(err instanceof FixtureError);
+                assert.strictEqual(err.endpoint, '/schedule-for-stop.json');
+                assert.strictEqual(err.params.day, '2017-07-15');
+            }
+        );
+    });
+
+    it('a hiányzó könyvtár FixtureError hibát ad, újrapróbálkozás nélkül', () => {
+        const futar = new Futar({ retryDelay: 1, fixtures: { mode: 'replay', dir: path.join(dir, 'nincs') } });
+        const retries = [];
+        futar.on('retry', event => retries.push(event));
+
+        return futar.stop('BKK_F01227').then(
+            () => assert.fail('a kérésnek hibával kell végződnie'),
+            err => {
+                assert.ok(err instanceof FixtureError);
+                assert.ok(/A rögzített válaszok könyvtára nem olvasható: .*nincs \(ENOENT\)/.test(err.message));
+                assert.strictEqual(err.endpoint, '/stop/BKK_F01227.json');
+                assert.deepStrictEqual(retries, []);
+            }
+        );
+    });
+
+    it('megengedő módban az időfüggő paraméterek nem számítanak, az azonosítóknak viszont egyezniük kell', () => {
+        const futar = new Futar({ fixtures: { mode: 'replay', dir, strict: false } });
+
+        return futar.scheduleForStop({ stopId: 'BKK_F01227', day: '2017-07-15' })
+            .then(data => {
+                assert.ok(/day=2017-07-14/.test(data.entry.url));
+                return futar.scheduleForStop('BKK_F01228');
+            })
+            .then(
+                () => assert.fail('a kérésnek hibával kell végződnie'),
+                err => assert.ok(err instanceof FixtureError)
+            );
+    });
+});
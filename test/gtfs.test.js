@@ -0,0 +1,179 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const zlib = require('zlib');
+const Futar = require('..');
+const { GtfsStore, load, readZip } = require('../lib/gtfs');
+const { NetworkError, ApiError } = require('../lib/errors');
+
+const FILES = {
+    'agency.txt': 'agency_id,agency_name,agency_url,agency_timezone\nBKK,BKK,https://bkk.hu,Europe/Budapest\n',
+    'stops.txt': 'stop_id,stop_name,stop_lat,stop_lon\nF01227,Deák Ferenc tér,47.497,19.054\n',
+    'routes.txt': 'route_id,agency_id,route_short_name,route_type,route_color\n3060,BKK,M2,1,E41F18\n'
+};
+
+// egy hétköznapi menet két megállóval, a stop_times oszlopai a szokásostól eltérő sorrendben, idézőjeles mezővel
+const SCHEDULE = Object.assign({}, FILES, {
+    'stops.txt': `${FILES['stops.txt']}F01228,Astoria,47.493,19.061\n`,
+    'trips.txt': 'route_id,service_id,trip_id,trip_headsign\n3060,HETKOZ,T1,Örs vezér tere\n',
+    'calendar.txt': 'service_id,monday,tuesday,wednesday,thursday,friday,saturday,sunday,start_date,end_date\nHETKOZ,1,1,1,1,1,0,0,20170101,20171231\n',
+    'stop_times.txt': 'stop_sequence,trip_id,departure_time,arrival_time,stop_id,stop_headsign\n1,T1,10:05:00,10:04:00,F01227,"Örs vezér tere, Astoria felé"\n2,T1,10:08:00,,F01228\n'
+});
+
+/**
+ * Zip fájl összeállítása deflate tömörítésű bejegyzésekkel
+ */
+function zip(files) {
+    const locals = [];
+    const central = [];
+    let offset = 0;
+
+    Object.keys(files).forEach(name => {
+        const content = Buffer.from(files[name]);
+        const data = zlib.deflateRawSync(content);
+        const fileName = Buffer.from(`gtfs/${name}`);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(8, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(content.length, 22);
+        local.writeUInt16LE(fileName.length, 26);
+
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(8, 10);
+        header.writeUInt32LE(data.length, 20);
+        header.writeUInt32LE(content.length, 24);
+        header.writeUInt16LE(fileName.length, 28);
+        header.writeUInt32LE(offset, 42);
+
+        locals.push(local, fileName, data);
+        central.push(header, fileName);
+        offset += local.length + fileName.length + data.length;
+    });
+
+    const directory = Buffer.concat(central);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(files).length, 8);
+    end.writeUInt16LE(Object.keys(files).length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat(locals.concat([directory, end]));
+}
+
+function offlineClient(offline, error, clock) {
+    return new Futar({ retries: 0, offline, clock, transport: () => Promise.reject(error || new NetworkError('A kapcsolat megszakadt')) });
+}
+
+describe('gtfs', () => {
+    it('a zip fájl bejegyzései aszinkron módon, a könyvtárak nélkül kerülnek kicsomagolásra', () => {
+        const result = readZip(zip(FILES));
+
+        assert.ok(result instanceof Promise);
+        return result.then(files => {
+            assert.deepStrictEqual(Object.keys(files).sort(), Object.keys(FILES).sort());
+            assert.strictEqual(files['stops.txt'].toString(), FILES['stops.txt']);
+        });
+    });
+
+    it('a betöltött adatokból a Futár válaszaival azonos formájú válaszok készülnek', () => {
+        return load(zip(FILES)).then(store => {
+            const data = store.stop({ stopId: 'BKK_F01227' });
+
+            assert.strictEqual(data.entry.name, 'Deák Ferenc tér');
+            assert.deepStrictEqual(data.entry.routeIds, []);
+            assert.strictEqual(data.offline, true);
+            assert.strictEqual(data.realtime, false);
+        });
+    });
+
+    it('a megállók indulásait az oszlopok sorrendjétől függetlenül, a megadott időponthoz képest adja vissza', () => {
+        const store = new GtfsStore(SCHEDULE);
+        // 2017-07-14 (péntek) 10:00 budapesti idő szerint
+        const now = Date.UTC(2017, 6, 14, 8, 0);
+
+        const stopTimes = store.arrivalsAndDeparturesForStop({ stopId: 'BKK_F01227' }, now).entry.stopTimes;
+        assert.strictEqual(stopTimes.length, 1);
+        assert.strictEqual(stopTimes[0].arrivalTime, Date.UTC(2017, 6, 14, 8, 4) / 1000);
+        assert.strictEqual(stopTimes[0].departureTime, Date.UTC(2017, 6, 14, 8, 5) / 1000);
+        assert.strictEqual(stopTimes[0].stopHeadsign, 'Örs vezér tere, Astoria felé');
+
+        const last = store.arrivalsAndDeparturesForStop({ stopId: 'BKK_F01228', onlyDepartures: false }, now).entry.stopTimes;
+        assert.strictEqual(last[0].arrivalTime, Date.UTC(2017, 6, 14, 8, 8) / 1000);
+        assert.strictEqual(last[0].departureTime, undefined);
+
+        assert.deepStrictEqual(store.arrivalsAndDeparturesForStop({ stopId: 'BKK_F01227' }, now + 24 * 3600 * 1000).entry.stopTimes, []);
+    });
+
+    describe('tartalék a Futár kliensben', () => {
+        it('a betöltés csak az első tartalék lekérdezéskor történik', () => {
+            const futar = offlineClient(zip(FILES));
+
+            assert.strictEqual(futar._offline, null);
+            return futar.stop('BKK_F01227').then(() => {
+                assert.ok(futar._offline);
+                return futar.loadOffline();
+            }).then(store => assert.ok(store instanceof GtfsStore));
+        });
+
+        it('átmeneti hiba esetén a menetrendi adatokból válaszol', () => {
+            return offlineClient(zip(FILES)).stop('BKK_F01227').then(data => {
+                assert.strictEqual(data.entry.id, 'BKK_F01227');
+                assert.strictEqual(data.offline, true);
+            });
+        });
+
+        it('a tartalék válasz ideje és a lekérdezés időpontja a kliens órájából származik', () => {
+            const now = Date.UTC(2017, 6, 14, 8, 0);
+            const futar = offlineClient(zip(FILES), null, () => now);
+            const times = [];
+
+            return futar.loadOffline().then(store => {
+                const query = store.query;
+                store.query = (endpoint, params, time) => {
+                    times.push(time);
+                    return query.call(store, endpoint, params, time);
+                };
+
+                return futar.sendRequest('/arrivals-and-departures-for-stop.json', { stopId: 'BKK_F01227' }, { hydrate: false });
+            }).then(data => {
+                assert.deepStrictEqual(times, [now]);
+                assert.deepStrictEqual(data.entry.stopTimes, []);
+            });
+        });
+
+        it('nem átmeneti hiba esetén az eredeti hibát adja', () => {
+            return offlineClient(zip(FILES), new ApiError(404, 'Nem található')).stop('BKK_F01227').then(
+                () => assert.fail('a kérésnek hibával kell végződnie'),
+                err => assert.ok(err instanceof ApiError)
+            );
+        });
+
+        it('a tartalék lekérdezés hibája helyett az eredeti hibát adja', () => {
+            return load(zip(FILES)).then(store => {
+                store.query = () => {
+                    throw new Error('Sérült menetrendi adatok');
+                };
+
+                return offlineClient(store).stop('BKK_F01227').then(
+                    () => assert.fail('a kérésnek hibával kell végződnie'),
+                    err => {
+                        assert.ok(err instanceof NetworkError);
+                        assert.strictEqual(err.message, 'A kapcsolat megszakadt');
+                    }
+                );
+            });
+        });
+
+        it('a nem támogatott lekérdezések az eredeti hibát adják', () => {
+            return offlineClient(zip(FILES)).tripDetails({ tripId: 'BKK_B1' }).then(
+                () => assert.fail('a kérésnek hibával kell végződnie'),
+                err => assert.ok(err instanceof NetworkError)
+            );
+        });
+    });
+});
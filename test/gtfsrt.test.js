@@ -0,0 +1,189 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { transit_realtime: rt } = require('gtfs-realtime-bindings');
+const { FeedBuilder } = require('../lib/gtfsrt');
+
+const TIMESTAMP = 1500000000;
+
+/**
+ * A kódolt üzenet visszafejtése közvetlenül a gtfs-realtime-bindings csomaggal
+ */
+function decode(buffer) {
+    return rt.FeedMessage.toObject(rt.FeedMessage.decode(buffer), { longs: Number, enums: String });
+}
+
+function entity(feed, id) {
+    return feed.entity.find(item => item.id === id);
+}
+
+describe('gtfsrt', () => {
+    it('a fejléc a megadott időbélyeggel kódolódik', () => {
+        const feed = decode(new FeedBuilder({ timestamp: TIMESTAMP }).encode());
+
+        assert.strictEqual(feed.header.gtfsRealtimeVersion, '2.0');
+        assert.strictEqual(feed.header.incrementality, 'FULL_DATASET');
+        assert.strictEqual(feed.header.timestamp, TIMESTAMP);
+        assert.strictEqual((feed.entity || []).length, 0);
+    });
+
+    it('TripUpdate', () => {
+        const data = {
+            entry: {
+                stopId: 'BKK_F01227',
+                stopTimes: [{
+                    stopId: 'BKK_F01227',
+                    tripId: 'BKK_B8429701',
+                    serviceDate: '20170714',
+                    departureTime: TIMESTAMP + 300,
+                    predictedDepartureTime: TIMESTAMP + 420
+                }, {
+                    stopId: 'BKK_F01227',
+                    tripId: 'BKK_B8429702',
+                    serviceDate: '20170714',
+                    arrivalTime: TIMESTAMP + 600,
+                    departureTime: TIMESTAMP + 600
+                }]
+            },
+            references: {
+                trips: {
+                    BKK_B8429701: { id: 'BKK_B8429701', routeId: 'BKK_3060', directionId: '1' },
+                    BKK_B8429702: { id: 'BKK_B8429702', routeId: 'BKK_3060', directionId: '0' }
+                }
+            }
+        };
+
+        const buffer = new FeedBuilder({ timestamp: TIMESTAMP, stripPrefix: 'BKK_' }).addArrivals(data).encode();
+        const feed = decode(buffer);
+
+        assert.strictEqual(feed.entity.length, 2);
+
+        const predicted = entity(feed, 'trip:B8429701:20170714');
+        assert.deepStrictEqual(predicted.tripUpdate.trip, {
+            tripId: 'B8429701',
+            routeId: '3060',
+            directionId: 1,
+            startDate: '20170714'
+        });
+        assert.strictEqual(predicted.tripUpdate.timestamp, TIMESTAMP);
+        assert.deepStrictEqual(predicted.tripUpdate.stopTimeUpdate, [{
+            stopId: 'F01227',
+            departure: { time: TIMESTAMP + 420, delay: 120 }
+        }]);
+
+        const scheduled = entity(feed, 'trip:B8429702:20170714');
+        assert.deepStrictEqual(scheduled.tripUpdate.stopTimeUpdate, [{
+            stopId: 'F01227',
+            scheduleRelationship: 'NO_DATA'
+        }]);
+    });
+
+    it('TripUpdate a tripDetails válaszából', () => {
+        const data = {
+            entry: {
+                tripId: 'BKK_B8429701',
+                serviceDate: '20170714',
+                vehicle: { vehicleId: 'BKK_3704', licensePlate: 'NCA-704', label: '7' },
+                stopTimes: [
+                    { stopId: 'BKK_F01226', arrivalTime: TIMESTAMP, predictedArrivalTime: TIMESTAMP - 30 },
+                    { stopId: 'BKK_F01227', departureTime: TIMESTAMP + 300, predictedDepartureTime: TIMESTAMP + 360 }
+                ]
+            },
+            references: {
+                trips: { BKK_B8429701: { id: 'BKK_B8429701', routeId: 'BKK_3060' } }
+            }
+        };
+
+        const feed = decode(new FeedBuilder({ timestamp: TIMESTAMP }).addTripDetails(data).encode());
+        const tripUpdate = entity(feed, 'trip:BKK_B8429701:20170714').tripUpdate;
+
+        assert.deepStrictEqual(tripUpdate.vehicle, { id: 'BKK_3704', label: '7', licensePlate: 'NCA-704' });
+        assert.deepStrictEqual(tripUpdate.stopTimeUpdate, [
+            { stopSequence: 0, stopId: 'BKK_F01226', arrival: { time: TIMESTAMP - 30, delay: -30 } },
+            { stopSequence: 1, stopId: 'BKK_F01227', departure: { time: TIMESTAMP + 360, delay: 60 } }
+        ]);
+    });
+
+    it('VehiclePosition', () => {
+        const data = {
+            list: [{
+                vehicleId: 'BKK_3704',
+                label: '7',
+                licensePlate: 'NCA-704',
+                tripId: 'BKK_B8429701',
+                serviceDate: '20170714',
+                routeId: 'BKK_3060',
+                stopId: 'BKK_F01227',
+                stopSequence: 12,
+                status: 'IN_TRANSIT_TO',
+                bearing: 90,
+                location: { lat: 47.5, lon: 19.05 },
+                lastUpdateTime: TIMESTAMP - 10
+            }],
+            references: {
+                trips: { BKK_B8429701: { id: 'BKK_B8429701', routeId: 'BKK_3060', directionId: '0' } }
+            }
+        };
+
+        const feed = decode(new FeedBuilder({ timestamp: TIMESTAMP, stripPrefix: 'BKK_' }).addVehicles(data).encode());
+        const vehicle = entity(feed, 'vehicle:3704').vehicle;
+
+        assert.deepStrictEqual(vehicle.vehicle, { id: '3704', label: '7', licensePlate: 'NCA-704' });
+        assert.deepStrictEqual(vehicle.trip, { tripId: 'B8429701', routeId: '3060', directionId: 0, startDate: '20170714' });
+        assert.strictEqual(vehicle.stopId, 'F01227');
+        assert.strictEqual(vehicle.currentStopSequence, 12);
+        assert.strictEqual(vehicle.currentStatus, 'IN_TRANSIT_TO');
+        assert.strictEqual(vehicle.timestamp, TIMESTAMP - 10);
+        assert.strictEqual(vehicle.position.bearing, 90);
+        // a koordináták float típusúak, így csak közelítőleg egyeznek
+        assert.ok(Math.abs(vehicle.position.latitude - 47.5) < 1e-5);
+        assert.ok(Math.abs(vehicle.position.longitude - 19.05) < 1e-5);
+    });
+
+    it('Alert', () => {
+        const data = {
+            references: {
+                alerts: {
+                    'BKK_bkk-alert-1': {
+                        id: 'BKK_bkk-alert-1',
+                        start: TIMESTAMP - 3600,
+                        end: TIMESTAMP + 3600,
+                        routes: [
+                            { routeId: 'BKK_3060', stopIds: ['BKK_F01226', 'BKK_F01227'] },
+                            { routeId: 'BKK_0050' }
+                        ],
+                        header: { translations: { hu: 'Terelés', en: 'Diversion' } },
+                        description: { translations: { hu: 'A villamosok terelt útvonalon közlekednek.' } },
+                        url: { translations: { hu: 'https://bkk.hu/' } }
+                    }
+                }
+            }
+        };
+
+        const feed = decode(new FeedBuilder({ timestamp: TIMESTAMP, stripPrefix: 'BKK_' }).addAlerts(data).encode());
+        const alert = entity(feed, 'alert:bkk-alert-1').alert;
+
+        assert.deepStrictEqual(alert.activePeriod, [{ start: TIMESTAMP - 3600, end: TIMESTAMP + 3600 }]);
+        assert.deepStrictEqual(alert.informedEntity, [
+            { routeId: '3060', stopId: 'F01226' },
+            { routeId: '3060', stopId: 'F01227' },
+            { routeId: '0050' }
+        ]);
+        assert.deepStrictEqual(alert.headerText, {
+            translation: [{ text: 'Terelés', language: 'hu' }, { text: 'Diversion', language: 'en' }]
+        });
+        assert.deepStrictEqual(alert.descriptionText, {
+            translation: [{ text: 'A villamosok terelt útvonalon közlekednek.', language: 'hu' }]
+        });
+        assert.deepStrictEqual(alert.url, { translation: [{ text: 'https://bkk.hu/', language: 'hu' }] });
+    });
+
+    it('a JSON kimenet megegyezik a protobuf visszafejtésével', () => {
+        const builder = new FeedBuilder({ timestamp: TIMESTAMP }).addVehicles({
+            list: [{ vehicleId: 'BKK_3704', lastUpdateTime: TIMESTAMP }]
+        });
+
+        assert.deepStrictEqual(JSON.parse(builder.encode('json')), decode(builder.encode()));
+    });
+});
@@ -0,0 +1,134 @@
+'use strict';
+
+// a folyamat időzónája eltér a budapestitől, hogy kiderüljön, ha valahol a helyi idő szerint számolunk
+process.env.TZ = 'UTC';
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { Plan, ItineraryMonitor } = require('../lib/itinerary');
+
+// 2017-07-14 09:00 budapesti idő szerint
+const ARRIVAL = Date.UTC(2017, 6, 14, 7, 0);
+
+function plan() {
+    return new Plan({
+        entry: {
+            plan: {
+                itineraries: [{ startTime: ARRIVAL - 30 * 60 * 1000, endTime: ARRIVAL, duration: 30 * 60, legs: [] }]
+            }
+        },
+        references: {}
+    });
+}
+
+describe('itinerary', () => {
+    describe('Plan#filter', () => {
+        it('a \'HH:mm\' időpontokat budapesti idő szerint értelmezi', () => {
+            assert.strictEqual(plan().filter({ arriveBefore: '08:30' }).length, 0);
+            assert.strictEqual(plan().filter({ arriveBefore: '09:00' }).length, 1);
+            assert.strictEqual(plan().filter({ departAfter: '08:30' }).length, 1);
+            assert.strictEqual(plan().filter({ departAfter: '08:31' }).length, 0);
+        });
+
+        it('a Date és a timestamp időpontokat változatlanul használja', () => {
+            assert.strictEqual(plan().filter({ arriveBefore: new Date(ARRIVAL - 1) }).length, 0);
+            assert.strictEqual(plan().filter({ arriveBefore: ARRIVAL }).length, 1);
+        });
+    });
+
+    describe('ItineraryMonitor#replan', () => {
+        const MINUTE = 60 * 1000;
+
+        function stop(id, lat, lon) {
+            return { stopId: id, name: id, lat, lon };
+        }
+
+        // két járat átszállással, az első járat a tervezettnél 5 perccel később érkezik az átszállási megállóba,
+        // az újratervezés az átszállás észlelése után az elapsed idővel később történik
+        function monitor(vehicle, elapsed) {
+            const now = Date.now();
+            let time = now;
+            const calls = [];
+            const itinerary = {
+                startTime: now - 10 * MINUTE,
+                endTime: now + 20 * MINUTE,
+                legs: [
+                    { mode: 'BUS', tripId: 'T1', from: stop('S1', 47.50, 19.00), to: stop('S2', 47.52, 19.08), startTime: now - 10 * MINUTE, endTime: now + 5 * MINUTE },
+                    { mode: 'TRAM', tripId: 'T2', from: stop('S2', 47.52, 19.08), to: stop('S3', 47.53, 19.10), startTime: now + 6 * MINUTE, endTime: now + 20 * MINUTE }
+                ]
+            };
+            const futar = {
+                config: { lang: 'hu', clock: () => time },
+                tripDetails: params => Promise.resolve(params.tripId === 'T1'
+                    ? { entry: { vehicle, stopTimes: [{ stopId: 'S2', arrivalTime: (now + 5 * MINUTE) / 1000, predictedArrivalTime: (now + 10 * MINUTE) / 1000 }] } }
+                    : { entry: { vehicle: { vehicleId: 'V2', location: { lat: 47.525, lon: 19.09 } }, stopTimes: [] } }),
+                planTrip: params => {
+                    calls.push(params);
+                    return Promise.resolve(new Plan({}));
+                }
+            };
+
+            const itineraryMonitor = new ItineraryMonitor(futar, itinerary);
+            const missed = new Promise((resolve, reject) => {
+                itineraryMonitor.on('error', reject);
+                itineraryMonitor.on('transferMissed', transfer => {
+                    itineraryMonitor.stop();
+                    time = now + (elapsed || 0);
+                    resolve(transfer.replan());
+                });
+            });
+
+            return missed.then(() => ({ now: time, params: calls[0], itineraryMonitor }));
+        }
+
+        it('menet közben a jármű utolsó ismert helyzetéből tervez', () => {
+            return monitor({ vehicleId: 'V1', location: { lat: 47.51, lon: 19.04 } }).then(result => {
+                assert.strictEqual(result.params.fromLat, 47.51);
+                assert.strictEqual(result.params.fromLon, 19.04);
+                assert.strictEqual(result.params.toLat, 47.53);
+                assert.strictEqual(result.params.dateTime.getTime(), result.now);
+            });
+        });
+
+        it('a jármű helyzetének hiányában a leszállási megállóból, a várható érkezéstől tervez', () => {
+            return monitor(undefined).then(result => {
+                assert.strictEqual(result.params.fromLat, 47.52);
+                assert.strictEqual(result.params.fromName, 'S2');
+                assert.strictEqual(result.params.dateTime.getTime(), result.now + 10 * MINUTE);
+            });
+        });
+
+        it('az érkező szakasz vége után is az átszállási megállóból tervez, nem a csatlakozó járat helyzetéből', () => {
+            return monitor({ vehicleId: 'V1', location: { lat: 47.51, lon: 19.04 } }, 12 * MINUTE).then(result => {
+                assert.strictEqual(result.params.fromLat, 47.52);
+                assert.strictEqual(result.params.fromName, 'S2');
+                assert.strictEqual(result.params.dateTime.getTime(), result.now);
+                assert.strictEqual(result.itineraryMonitor.position().source, 'vehicle');
+                assert.strictEqual(result.itineraryMonitor.position().lat, 47.525);
+            });
+        });
+
+        it('járművel megtett szakasz nélkül a helyzet null, az újratervezés az indulási helyről történik', () => {
+            const now = Date.now();
+            const calls = [];
+            const futar = {
+                config: { lang: 'hu', clock: () => now },
+                planTrip: params => {
+                    calls.push(params);
+                    return Promise.resolve(new Plan({}));
+                }
+            };
+            const itineraryMonitor = new ItineraryMonitor(futar, {
+                legs: [{ mode: 'WALK', from: stop('S1', 47.50, 19.00), to: stop('S3', 47.53, 19.10), startTime: now, endTime: now + 20 * MINUTE }]
+            });
+            itineraryMonitor.stop();
+
+            assert.strictEqual(itineraryMonitor.position(), null);
+            return itineraryMonitor.replan().then(() => {
+                assert.strictEqual(calls[0].fromLat, 47.50);
+                assert.strictEqual(calls[0].toLat, 47.53);
+                assert.strictEqual(calls[0].dateTime.getTime(), now);
+            });
+        });
+    });
+});
@@ -0,0 +1,122 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const EventEmitter = require('events');
+const { Metrics } = require('../lib/metrics');
+const { NetworkError, TimeoutError } = require('../lib/errors');
+
+/**
+ * A Futár kliens eseményeit kibocsátó álkliens egy hozzá kapcsolt Metrics példánnyal
+ */
+function attached(opts) {
+    const futar = new EventEmitter();
+    const metrics = new Metrics(opts);
+    const detach = metrics.attach(futar);
+    return { futar, metrics, detach };
+}
+
+describe('metrics', () => {
+    describe('snapshot', () => {
+        it('a lekérdezéseket, hibákat, gyorsítótár eredményeket és újrapróbálkozásokat endpointonként számolja', () => {
+            const { futar, metrics } = attached();
+
+            futar.emit('response', { endpoint: '/stop/BKK_F01227.json', latency: 20, cache: 'miss' });
+            futar.emit('response', { endpoint: '/stop/BKK_F01228.json', latency: 0, cache: 'hit' });
+            futar.emit('response', { endpoint: '/stop/BKK_F01227.json', latency: 20, cache: 'dedup' });
+            futar.emit('retry', { endpoint: '/search.json', attempt: 1 });
+            futar.emit('error', { endpoint: '/search.json', latency: 300, error: new NetworkError('ECONNRESET') });
+            futar.emit('response', { endpoint: '/search.json', latency: 100, offline: true });
+
+            const snapshot = metrics.snapshot();
+            assert.deepStrictEqual(Object.keys(snapshot), ['stop', 'search']);
+            assert.strictEqual(snapshot.stop.requests, 3);
+            assert.deepStrictEqual([snapshot.stop.cacheHits, snapshot.stop.cacheMisses, snapshot.stop.cacheDedups], [1, 1, 1]);
+            assert.strictEqual(snapshot.search.requests, 2);
+            assert.strictEqual(snapshot.search.errors, 1);
+            assert.deepStrictEqual(snapshot.search.errorTypes, { NetworkError: 1 });
+            assert.strictEqual(snapshot.search.retries, 1);
+            assert.strictEqual(snapshot.search.offline, 1);
+        });
+
+        it('a hisztogram határai halmozottak, a határra eső érték a határ alá számít', () => {
+            const { futar, metrics } = attached({ buckets: [1, 0.1] });
+
+            [50, 100, 500, 2000].forEach(latency => futar.emit('response', { endpoint: '/search.json', latency }));
+
+            const latency = metrics.snapshot().search.latency;
+            assert.deepStrictEqual(latency.buckets, [{ le: 0.1, count: 2 }, { le: 1, count: 3 }]);
+            assert.strictEqual(latency.count, 4);
+            assert.ok(Math.abs(latency.sum - 2.65) < 1e-9);
+        });
+
+        it('a figyelés megszüntetése és a nullázás után nem számol tovább', () => {
+            const { futar, metrics, detach } = attached();
+
+            futar.emit('response', { endpoint: '/search.json', latency: 10 });
+            detach();
+            futar.emit('response', { endpoint: '/search.json', latency: 10 });
+            assert.strictEqual(metrics.snapshot().search.requests, 1);
+
+            metrics.reset();
+            assert.deepStrictEqual(metrics.snapshot(), {});
+        });
+    });
+
+    describe('toPrometheus', () => {
+        it('a metrikákat Prometheus szöveges formátumban, a megadott előtaggal adja vissza', () => {
+            const { futar, metrics } = attached({ prefix: 'bkk', buckets: [0.05, 0.5] });
+
+            futar.emit('response', { endpoint: '/arrivals-and-departures-for-stop.json', latency: 40, cache: 'miss' });
+            futar.emit('response', { endpoint: '/arrivals-and-departures-for-stop.json', latency: 40, cache: 'dedup' });
+            futar.emit('retry', { endpoint: '/arrivals-and-departures-for-stop.json', attempt: 1 });
+            futar.emit('error', { endpoint: '/arrivals-and-departures-for-stop.json', latency: 1000, cache: 'miss', error: new TimeoutError(1000) });
+
+            assert.strictEqual(metrics.toPrometheus(), [
+                '# HELP bkk_requests_total A Futár API lekérdezések száma',
+                '# TYPE bkk_requests_total counter',
+                'bkk_requests_total{endpoint="arrivals-and-departures-for-stop",outcome="success"} 2',
+                'bkk_requests_total{endpoint="arrivals-and-departures-for-stop",outcome="error"} 1',
+                '# HELP bkk_request_errors_total A sikertelen lekérdezések száma hibatípusonként',
+                '# TYPE bkk_request_errors_total counter',
+                'bkk_request_errors_total{endpoint="arrivals-and-departures-for-stop",type="TimeoutError"} 1',
+                '# HELP bkk_cache_requests_total A gyorsítótár találatok, hiányok és összevont lekérdezések száma',
+                '# TYPE bkk_cache_requests_total counter',
+                'bkk_cache_requests_total{endpoint="arrivals-and-departures-for-stop",result="hit"} 0',
+                'bkk_cache_requests_total{endpoint="arrivals-and-departures-for-stop",result="miss"} 2',
+                'bkk_cache_requests_total{endpoint="arrivals-and-departures-for-stop",result="dedup"} 1',
+                '# HELP bkk_retries_total Az újrapróbálkozások száma',
+                '# TYPE bkk_retries_total counter',
+                'bkk_retries_total{endpoint="arrivals-and-departures-for-stop"} 1',
+                '# HELP bkk_offline_responses_total A menetrendi tartalékból adott válaszok száma',
+                '# TYPE bkk_offline_responses_total counter',
+                'bkk_offline_responses_total{endpoint="arrivals-and-departures-for-stop"} 0',
+                '# HELP bkk_request_duration_seconds A lekérdezések válaszideje másodpercben',
+                '# TYPE bkk_request_duration_seconds histogram',
+                'bkk_request_duration_seconds_bucket{endpoint="arrivals-and-departures-for-stop",le="0.05"} 2',
+                'bkk_request_duration_seconds_bucket{endpoint="arrivals-and-departures-for-stop",le="0.5"} 2',
+                'bkk_request_duration_seconds_bucket{endpoint="arrivals-and-departures-for-stop",le="+Inf"} 3',
+                'bkk_request_duration_seconds_sum{endpoint="arrivals-and-departures-for-stop"} 1.08',
+                'bkk_request_duration_seconds_count{endpoint="arrivals-and-departures-for-stop"} 3',
+                ''
+            ].join('\n'));
+        });
+
+        it('a címkék értékeiben a különleges karaktereket escape-eli', () => {
+            const { futar, metrics } = attached();
+            const error = new Error('hiba');
+            error.name = 'Hibás "név"\\\n';
+
+            futar.emit('error', { endpoint: '/search.json', latency: 10, error });
+
+            assert.ok(metrics.toPrometheus().split('\n').indexOf('futar_request_errors_total{endpoint="search",type="Hibás \\"név\\"\\\\\\n"} 1') !== -1);
+        });
+
+        it('lekérdezések nélkül csak a fejléceket tartalmazza', () => {
+            const lines = new Metrics().toPrometheus().split('\n');
+
+            assert.strictEqual(lines.length, 6 * 2 + 1);
+            assert.ok(lines.slice(0, -1).every(line => line.charAt(0) === '#'));
+        });
+    });
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { build, parseTime } = require('../lib/params');
+const { ValidationError } = require('../lib/errors');
+
+const CONFIG = { includeReferences: true, apiVersion: 3, clock: () => Date.UTC(2017, 6, 14, 8, 0) };
+
+describe('params', () => {
+    describe('build', () => {
+        it('a hamis értékek nem cserélődnek le az alapértelmezettre', () => {
+            const { query } = build('arrivalsAndDeparturesForStop', { stopId: 'BKK_F01227', onlyDepartures: false, minutesAfter: 0, includeReferences: false }, CONFIG);
+
+            assert.strictEqual(query.onlyDepartures, false);
+            assert.strictEqual(query.minutesAfter, 0);
+            assert.strictEqual(query.includeReferences, false);
+        });
+
+        it('a 0 értékű koordináta érvényes', () => {
+            const { values } = build('departuresNearLocation', { lat: 0, lon: 0 }, CONFIG);
+
+            assert.strictEqual(values.lat, 0);
+            assert.strictEqual(values.lon, 0);
+        });
+
+        it('a szövegként megadott számokat és logikai értékeket átalakítja', () => {
+            const { query } = build('arrivalsAndDeparturesForStop', { stopId: 'BKK_F01227', onlyDepartures: 'false', minutesBefore: '5' }, CONFIG);
+
+            assert.strictEqual(query.onlyDepartures, false);
+            assert.strictEqual(query.minutesBefore, 5);
+            assert.throws(() => build('arrivalsAndDeparturesForStop', { stopId: 'BKK_F01227', onlyDepartures: 'igen' }, CONFIG), ValidationError);
+        });
+
+        it('a version a konfigurációból, illetve a paraméterekből a routeDetailsForStop lekérdezésnek is elküldésre kerül', () => {
+            assert.deepStrictEqual(build('routeDetailsForStop', 'BKK_F01227', CONFIG).query, { stopId: 'BKK_F01227', includeReferences: true, version: 3 });
+            assert.strictEqual(build('routeDetailsForStop', { stopId: 'BKK_F01227', version: 4 }, CONFIG).query.version, 4);
+        });
+
+        it('érvénytelen enum és lista értékre ValidationError hibát ad', () => {
+            const plan = { fromLat: 47.5, fromLon: 19.05, toLat: 47.45, toLon: 19.1 };
+
+            assert.throws(() => build('planTrip', Object.assign({ optimize: 'FAST' }, plan), CONFIG),
+                err => err instanceof ValidationError && /optimize értéke QUICK, TRANSFERS, WALK vagy TRIANGLE lehet/.test(err.message));
+            assert.throws(() => build('planTrip', Object.assign({ mode: 'BUS,PLANE' }, plan), CONFIG),
+                err => err instanceof ValidationError && /mode elemei .* lehetnek \(kapott: 'PLANE'\)/.test(err.message));
+            assert.strictEqual(build('planTrip', Object.assign({ optimize: 'transfers', mode: ['bus', 'tram'] }, plan), CONFIG).query.mode, 'BUS,TRAM');
+        });
+
+        it('a timetable napjainak listája csak érvényes napokat tartalmazhat', () => {
+            assert.strictEqual(build('timetable', { stopId: 'BKK_F01227', days: '2017-07-14,2017-07-16T10:00' }, CONFIG).values.days, '2017-07-14,2017-07-16');
+            assert.strictEqual(build('timetable', { stopId: 'BKK_F01227', days: 3 }, CONFIG).values.days, 3);
+            assert.throws(() => build('timetable', { stopId: 'BKK_F01227', days: '2017-07-14,holnap' }, CONFIG),
+                err => err instanceof ValidationError && /days értéke nem értelmezhető időpont \(kapott: 'holnap'\)/.test(err.message));
+        });
+
+        it('az alapértelmezett nap a kliens órája szerinti budapesti nap', () => {
+            const config = Object.assign({}, CONFIG, { clock: () => Date.UTC(2017, 6, 14, 22, 30) });
+
+            assert.strictEqual(build('scheduleForStop', 'BKK_F01227', config).query.day, '2017-07-15');
+            assert.strictEqual(build('tripDetails', 'BKK_B8429701', config).query.date, '20170715');
+        });
+
+        it('a Date, ISO 8601 és unix timestamp napokat budapesti idő szerint értelmezi', () => {
+            const day = value => build('scheduleForStop', { stopId: 'BKK_F01227', day: value }, CONFIG).query.day;
+
+            assert.strictEqual(day(new Date(Date.UTC(2017, 6, 14, 22, 30))), '2017-07-15');
+            assert.strictEqual(day('2017-07-14T23:30:00Z'), '2017-07-15');
+            assert.strictEqual(day(Date.UTC(2017, 6, 14, 22, 30) / 1000), '2017-07-15');
+            assert.strictEqual(day('20170714'), '2017-07-14');
+        });
+    });
+
+    describe('parseTime', () => {
+        it('az időzóna nélküli időpontokat helyi időként, az időbélyegeket másodpercben és ezredmásodpercben is értelmezi', () => {
+            assert.strictEqual(parseTime('2017-07-14T10:00').format(), '2017-07-14T10:00:00+02:00');
+            assert.strictEqual(parseTime('2017-01-14T10:00').format(), '2017-01-14T10:00:00+01:00');
+            assert.strictEqual(parseTime(1500019200).format(), '2017-07-14T10:00:00+02:00');
+            assert.strictEqual(parseTime('1500019200000').format(), '2017-07-14T10:00:00+02:00');
+        });
+
+        it('a nem értelmezhető értékekre null értéket ad', () => {
+            assert.strictEqual(parseTime('holnap'), null);
+            assert.strictEqual(parseTime({}), null);
+        });
+    });
+});
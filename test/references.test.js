@@ -0,0 +1,106 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const Futar = require('..');
+const references = require('../lib/references');
+
+const DATA = {
+    entry: {
+        stopId: 'BKK_F01227',
+        alertIds: ['BKK_1', 'BKK_HIANYZO'],
+        stopTimes: [
+            { stopId: 'BKK_F01227', tripId: 'BKK_T1', departureTime: 1500000060 }
+        ]
+    },
+    references: {
+        agencies: { BKK: { id: 'BKK', name: 'BKK' } },
+        routes: { BKK_0050: { id: 'BKK_0050', shortName: '50', agencyId: 'BKK' } },
+        stops: {
+            BKK_F01227: { id: 'BKK_F01227', name: 'Határ út', parentStationId: 'BKK_CSF01227', routeIds: ['BKK_0050'] },
+            BKK_CSF01227: { id: 'BKK_CSF01227', name: 'Határ út' }
+        },
+        trips: { BKK_T1: { id: 'BKK_T1', routeId: 'BKK_0050', tripHeadsign: 'Határ út' } },
+        alerts: { BKK_1: { id: 'BKK_1', routeIds: ['BKK_0050'] } }
+    }
+};
+
+describe('references', () => {
+    describe('hydrate', () => {
+        it('az azonosító mezőkhöz kapcsolt objektumokat rendel', () => {
+            const data = references.hydrate(DATA);
+            const stopTime = data.entry.stopTimes[0];
+
+            assert.ok(data.entry instanceof references.Entry);
+            assert.ok(data.entry.stop instanceof references.Stop);
+            assert.strictEqual(data.entry.stop.name, 'Határ út');
+            assert.strictEqual(data.entry.stop.parentStation.id, 'BKK_CSF01227');
+            assert.ok(stopTime instanceof references.StopTime);
+            assert.strictEqual(stopTime.trip.route.shortName, '50');
+            assert.strictEqual(stopTime.trip.route.agency.name, 'BKK');
+        });
+
+        it('a listás azonosítókból a hiányzó referenciákat kihagyja', () => {
+            const data = references.hydrate(DATA);
+
+            assert.deepStrictEqual(data.entry.alerts.map(alert => alert.id), ['BKK_1']);
+            assert.deepStrictEqual(data.entry.stop.routes.map(route => route.id), ['BKK_0050']);
+            assert.strictEqual(data.references.get('trips', 'BKK_HIANYZO'), null);
+        });
+
+        it('ugyanarra a referenciára ugyanazt az objektumot adja vissza', () => {
+            const data = references.hydrate(DATA);
+
+            assert.strictEqual(data.entry.stop, data.entry.stopTimes[0].stop);
+            assert.strictEqual(data.references.get('routes', 'BKK_0050'), data.entry.alerts[0].routes[0]);
+        });
+
+        it('a kapcsolt tulajdonságok nem kerülnek a JSON kimenetbe, a nyers válasz megmarad', () => {
+            const data = references.hydrate(DATA);
+
+            assert.strictEqual(data.raw, DATA);
+            assert.strictEqual(data.entry.raw, DATA.entry);
+            assert.deepStrictEqual(JSON.parse(JSON.stringify(data.entry)), DATA.entry);
+        });
+
+        it('a list elemeit is feloldja, a nem objektum értékeket változatlanul hagyja', () => {
+            const data = references.hydrate({ list: [{ routeId: 'BKK_0050' }, 'BKK_0050'], limitExceeded: false, references: DATA.references });
+
+            assert.strictEqual(data.list[0].route.shortName, '50');
+            assert.strictEqual(data.list[1], 'BKK_0050');
+            assert.strictEqual(data.limitExceeded, false);
+            assert.strictEqual(references.hydrate(null), null);
+        });
+
+        it('a references.all a típus összes objektumát visszaadja', () => {
+            const data = references.hydrate(DATA);
+
+            assert.deepStrictEqual(data.references.all('stops').map(stop => stop.id), ['BKK_F01227', 'BKK_CSF01227']);
+            assert.deepStrictEqual(data.references.all('vehicles'), []);
+        });
+    });
+
+    describe('Futar', () => {
+        const transport = () => Promise.resolve({
+            status: 200,
+            headers: {},
+            body: JSON.stringify({ code: 200, text: 'OK', currentTime: 1500000000000, data: DATA })
+        });
+
+        it('a config.hydrate bekapcsolásával a válaszok kapcsolt objektumok', () => {
+            const futar = new Futar({ hydrate: true, transport });
+
+            return futar.arrivalsAndDeparturesForStop('BKK_F01227').then(data => {
+                assert.strictEqual(data.entry.stopTimes[0].trip.route.shortName, '50');
+            });
+        });
+
+        it('a hydrate opció felülírja a konfigurációt', () => {
+            const futar = new Futar({ hydrate: true, transport });
+
+            return futar.arrivalsAndDeparturesForStop({ stopId: 'BKK_F01227', hydrate: false }).then(data => {
+                assert.deepStrictEqual(data, DATA);
+            });
+        });
+    });
+});
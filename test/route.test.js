@@ -0,0 +1,115 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { Route, fromResponse } = require('../lib/route');
+
+const STOPS = {
+    A: { id: 'A', name: 'Határ út', lat: 47.45, lon: 19.1 },
+    B: { id: 'B', name: 'Nagysándor József utca', lat: 47.46, lon: 19.11 },
+    C: { id: 'C', name: 'Pestszentlőrinc', lat: 47.43, lon: 19.18 },
+    D: { id: 'D', name: 'Vörösmarty tér', lat: 47.44, lon: 19.15 },
+    E: { id: 'E', name: 'Béke tér', lat: 47.42, lon: 19.2 }
+};
+
+const ROUTE = {
+    id: 'BKK_0050',
+    shortName: '50',
+    type: 'TRAM',
+    color: 'FFD800',
+    variants: [
+        { name: 'Határ út felé', direction: 0, headsign: 'Határ út', stopIds: ['C', 'B', 'A'] },
+        { name: 'Pestszentlőrinc felé', direction: 1, headsign: 'Pestszentlőrinc', stopIds: ['A', 'B', 'C'], polyline: { points: '_p~iF~ps|U_ulLnnqC_mqNvxq`@' } },
+        { name: 'Béke tér felé', direction: 1, headsign: 'Béke tér', stopIds: ['A', 'D', 'C', 'E'] }
+    ]
+};
+
+const DATA = { entry: ROUTE, references: { stops: STOPS, routes: { BKK_0050: { id: 'BKK_0050', shortName: '50' } } } };
+
+const ids = stops => stops.map(stop => stop.id);
+
+describe('route', () => {
+    describe('Route', () => {
+        const route = new Route(ROUTE, DATA.references);
+
+        it('az irányokat az első változat úticéljával adja vissza', () => {
+            assert.deepStrictEqual(route.directions, [
+                { directionId: '0', headsign: 'Határ út' },
+                { directionId: '1', headsign: 'Pestszentlőrinc' }
+            ]);
+            assert.strictEqual(route.variantsFor(1).length, 2);
+            assert.strictEqual(route.variantsFor('0').length, 1);
+            assert.strictEqual(route.variantsFor().length, 3);
+        });
+
+        it('a stopsInOrder a változatok megállóit a leghosszabb változat sorrendjébe illeszti', () => {
+            assert.deepStrictEqual(ids(route.stopsInOrder(1)), ['A', 'B', 'D', 'C', 'E']);
+            assert.strictEqual(route.stopsInOrder(1)[0].name, 'Határ út');
+        });
+
+        it('irány nélkül az első irány megállóit adja vissza', () => {
+            assert.deepStrictEqual(ids(route.stopsInOrder()), ['C', 'B', 'A']);
+        });
+
+        it('a változat elején lévő új megállók a sorrend elejére kerülnek, a hiányzó referenciák azonosítóval', () => {
+            const branched = new Route({
+                id: 'BKK_0050',
+                variants: [
+                    { direction: 0, stopIds: ['B', 'C', 'E'] },
+                    { direction: 0, stopIds: ['X', 'C'] }
+                ]
+            }, DATA.references);
+
+            assert.deepStrictEqual(branched.stopsInOrder(0), [{ id: 'X' }, STOPS.B, STOPS.C, STOPS.E]);
+        });
+
+        it('a megállót érintő változatokat adja vissza', () => {
+            assert.deepStrictEqual(route.variantsServing('D').map(variant => variant.headsign), ['Béke tér']);
+            assert.strictEqual(route.serves('E'), true);
+            assert.strictEqual(route.serves('X'), false);
+        });
+
+        it('az útvonalat a kódolt útvonalból, annak hiányában a megállókból állítja elő', () => {
+            assert.deepStrictEqual(route.variants[1].coordinates, [[38.5, -120.2], [40.7, -120.95], [43.252, -126.453]]);
+            assert.deepStrictEqual(route.variants[0].coordinates, [[47.43, 19.18], [47.46, 19.11], [47.45, 19.1]]);
+        });
+
+        it('GeoJSON formában a változatok vonalként, a megállók egyszer, pontként szerepelnek', () => {
+            const geojson = route.toGeoJSON();
+            const lines = geojson.features.filter(feature => feature.geometry.type === 'LineString');
+            const points = geojson.features.filter(feature => feature.geometry.type === 'Point');
+
+            assert.strictEqual(lines.length, 3);
+            assert.strictEqual(lines[0].properties.stroke, '#FFD800');
+            assert.deepStrictEqual(lines[0].geometry.coordinates[0], [19.18, 47.43]);
+            assert.deepStrictEqual(points.map(point => point.properties.id), ['C', 'B', 'A', 'D', 'E']);
+            assert.strictEqual(route.toGeoJSON({ stops: false }).features.length, 3);
+        });
+    });
+
+    describe('fromResponse', () => {
+        it('a routeDetails válaszából egy viszonylatot ad vissza', () => {
+            const routes = fromResponse(DATA);
+
+            assert.strictEqual(routes.length, 1);
+            assert.ok(routes[0] instanceof Route);
+            assert.strictEqual(routes[0].variants.length, 3);
+            assert.strictEqual(routes[0].stopsInOrder(0)[0].name, 'Pestszentlőrinc');
+        });
+
+        it('a list, a routes és a routeIds alakú válaszokat is feldolgozza', () => {
+            const references = { stops: STOPS, routes: { BKK_0050: ROUTE, BKK_3600: { id: 'BKK_3600', shortName: '36' } } };
+
+            assert.deepStrictEqual(fromResponse({ list: [ROUTE], references }).map(route => route.id), ['BKK_0050']);
+            assert.deepStrictEqual(fromResponse({ entry: { routes: [ROUTE, 'BKK_3600', 'BKK_9999'] }, references }).map(route => route.id), ['BKK_0050', 'BKK_3600', 'BKK_9999']);
+            assert.deepStrictEqual(fromResponse({ entry: { routeIds: ['BKK_3600', 'BKK_9999'] }, references }).map(route => route.shortName), ['36']);
+        });
+
+        it('a hidratált válasz nyers adatait használja, üres válaszra üres listát ad', () => {
+            const hydrated = { raw: DATA };
+
+            assert.strictEqual(fromResponse(hydrated)[0].id, 'BKK_0050');
+            assert.deepStrictEqual(fromResponse(null), []);
+        });
+    });
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const http = require('http');
+const { createServer } = require('../lib/server');
+const { NetworkError, ValidationError } = require('../lib/errors');
+
+function get(server, path) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port: server.address().port, path }, res => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                body += chunk;
+            });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+        }).on('error', reject);
+    });
+}
+
+describe('server', () => {
+    const calls = [];
+    const futar = {
+        search: params => {
+            calls.push(params);
+            return Promise.resolve({ entry: { query: params.query } });
+        },
+        departuresNearLocation: () => Promise.resolve({
+            entry: { stops: [], groups: [] },
+            references: {},
+            errors: [{ stopId: 'BKK_F01227', error: new NetworkError('A kapcsolat megszakadt', { code: 'ECONNRESET' }) }]
+        }),
+        stop: () => Promise.reject(new ValidationError('Érvénytelen stopId'))
+    };
+    let server;
+
+    before(() => {
+        server = createServer(futar);
+        return new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    it('a query string paramétereit a séma és az álnevek szerint adja át', () => {
+        return get(server, '/search?q=De%C3%A1k%20t%C3%A9r&foo=bar&q=Astoria').then(res => {
+            assert.strictEqual(res.status, 200);
+            assert.deepStrictEqual(res.body, { entry: { query: 'Astoria' } });
+            assert.strictEqual(calls[0].query, 'Astoria');
+            assert.strictEqual(calls[0].foo, undefined);
+        });
+    });
+
+    it('a megállónkénti hibák JSON formában jelennek meg', () => {
+        return get(server, '/departures?lat=47.5&lon=19.05').then(res => {
+            assert.strictEqual(res.status, 200);
+            assert.deepStrictEqual(res.body.errors, [{
+                stopId: 'BKK_F01227',
+                error: { type: 'NetworkError', message: 'A kapcsolat megszakadt', code: 'ECONNRESET' }
+            }]);
+        });
+    });
+
+    it('a hibák állapotkóddal és JSON törzzsel érkeznek', () => {
+        return Promise.all([get(server, '/stops/BKK_F01227'), get(server, '/nincs')]).then(responses => {
+            assert.strictEqual(responses[0].status, 400);
+            assert.deepStrictEqual(responses[0].body, { error: { type: 'ValidationError', message: 'Érvénytelen stopId' } });
+            assert.strictEqual(responses[1].status, 404);
+            assert.strictEqual(responses[1].body.error.type, 'NotFound');
+        });
+    });
+});
@@ -0,0 +1,155 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { Timetable, dayType, variantDays } = require('../lib/timetable');
+
+/**
+ * Egy helyi (budapesti) időpont unix timestampje a megadott UTC eltolással
+ */
+function local(date, time, offset) {
+    return Date.parse(`${date}T${time}:00+0${offset}:00`) / 1000;
+}
+
+/**
+ * Egy nap scheduleForStop válasza a megadott indulásokkal
+ */
+function schedule(date, stopTimes) {
+    return {
+        entry: {
+            stopId: 'BKK_F01227',
+            date: date.replace(/-/g, ''),
+            schedules: [{
+                routeId: 'BKK_0050',
+                directions: [{
+                    directionId: '0',
+                    groups: { A: { headsign: 'Határ út, Pesterzsébet' } },
+                    stopTimes: stopTimes.map((time, i) => ({ tripId: `BKK_T${date}_${i}`, departureTime: time, groupIds: ['A'] }))
+                }]
+            }]
+        },
+        references: {
+            routes: { BKK_0050: { id: 'BKK_0050', shortName: '50' } },
+            stops: { BKK_F01227: { id: 'BKK_F01227', name: 'Határ út' } },
+            trips: {}
+        }
+    };
+}
+
+const hours = timetable => timetable.departures.map(departure => `${departure.hour}:${departure.minute}`);
+
+describe('timetable', () => {
+    describe('Timetable', () => {
+        it('az éjfél utáni indulások órája 24-től folytatódik az üzemnapon belül', () => {
+            const timetable = new Timetable(schedule('2017-07-14', [
+                local('2017-07-14', '23:40', 2),
+                local('2017-07-15', '00:20', 2),
+                local('2017-07-15', '01:05', 2)
+            ]));
+
+            assert.deepStrictEqual(hours(timetable), ['23:40', '24:20', '25:5']);
+            assert.deepStrictEqual(timetable.byHour().map(group => group.hour), [23, 24, 25]);
+            assert.deepStrictEqual(timetable.days, [{ date: '2017-07-14', dayType: 'weekday' }]);
+        });
+
+        it('a tavaszi óraátállítás napján az órák a helyi idő szerintiek', () => {
+            const timetable = new Timetable([
+                schedule('2017-03-25', [local('2017-03-26', '00:30', 1), local('2017-03-26', '03:30', 2)]),
+                schedule('2017-03-26', [local('2017-03-26', '01:30', 1), local('2017-03-26', '03:00', 2)])
+            ]);
+
+            assert.deepStrictEqual(timetable.forDay('2017-03-25').map(departure => departure.hour), [24, 27]);
+            assert.deepStrictEqual(timetable.forDay('20170326').map(departure => departure.hour), [1, 3]);
+        });
+
+        it('az őszi óraátállításkor a kétszer előforduló óra mindkét indulása ugyanabba az órába kerül', () => {
+            const timetable = new Timetable([
+                schedule('2017-10-28', [local('2017-10-29', '01:00', 2)]),
+                schedule('2017-10-29', [local('2017-10-29', '02:30', 2), local('2017-10-29', '02:30', 1), local('2017-10-30', '00:15', 1)])
+            ]);
+
+            assert.deepStrictEqual(timetable.forDay('2017-10-28').map(departure => departure.hour), [25]);
+            assert.deepStrictEqual(timetable.byHour({ day: '2017-10-29' }).map(group => [group.hour, group.departures.length]), [[2, 2], [24, 1]]);
+        });
+
+        it('a napok típusát a budapesti naptár szerint állapítja meg', () => {
+            assert.strictEqual(dayType('2017-07-14'), 'weekday');
+            assert.strictEqual(dayType('20170715'), 'saturday');
+            assert.strictEqual(dayType('2017-07-16'), 'sunday');
+            assert.deepStrictEqual(variantDays('2017-07-14'), ['2017-07-14', '2017-07-15', '2017-07-16']);
+            assert.deepStrictEqual(variantDays('2017-07-16'), ['2017-07-16', '2017-07-17', '2017-07-22']);
+        });
+
+        it('a következő indulásokat egy időpont után adja vissza', () => {
+            const times = [local('2017-07-14', '10:00', 2), local('2017-07-14', '10:15', 2), local('2017-07-14', '10:30', 2)];
+            const timetable = new Timetable(schedule('2017-07-14', times));
+
+            assert.deepStrictEqual(timetable.next(2, times[1] * 1000).map(departure => departure.time), times.slice(1));
+            assert.deepStrictEqual(timetable.next(1, new Date(times[2] * 1000 + 1)), []);
+        });
+
+        it('időpont nélkül a megadott óra szerinti következő indulásokat adja vissza', () => {
+            const times = [local('2017-07-14', '10:00', 2), local('2017-07-14', '10:15', 2)];
+            const timetable = new Timetable(schedule('2017-07-14', times), { clock: () => times[0] * 1000 + 1 });
+
+            assert.deepStrictEqual(timetable.next().map(departure => departure.time), [times[1]]);
+        });
+    });
+
+    describe('toCSV', () => {
+        it('az indulásokat üzemnapi idővel, CRLF sorvégekkel írja ki', () => {
+            const timetable = new Timetable(schedule('2017-07-14', [local('2017-07-14', '23:40', 2), local('2017-07-15', '00:05', 2)]));
+
+            assert.strictEqual(timetable.toCSV(), [
+                'service_date,departure_time,route_id,route_short_name,direction_id,headsign,trip_id,wheelchair_accessible',
+                '2017-07-14,23:40,BKK_0050,50,0,"Határ út, Pesterzsébet",BKK_T2017-07-14_0,0',
+                '2017-07-14,24:05,BKK_0050,50,0,"Határ út, Pesterzsébet",BKK_T2017-07-14_1,0',
+                ''
+            ].join('\r\n'));
+        });
+
+        it('más elválasztóval csak az azt, illetve idézőjelet tartalmazó mezőket teszi idézőjelek közé', () => {
+            const data = schedule('2017-07-14', [local('2017-07-14', '08:00', 2)]);
+            data.entry.schedules[0].directions[0].groups.A.headsign = 'Határ út; "Pesterzsébet"';
+            const lines = new Timetable(data).toCSV({ separator: ';' }).split('\r\n');
+
+            assert.strictEqual(lines[1], '2017-07-14;08:00;BKK_0050;50;0;"Határ út; ""Pesterzsébet""";BKK_T2017-07-14_0;0');
+        });
+    });
+
+    describe('toICal', () => {
+        it('indulásonként egy eseményt ír ki UTC időpontokkal', () => {
+            const timetable = new Timetable(schedule('2017-07-14', [local('2017-07-14', '23:40', 2)]));
+            const lines = timetable.toICal({ duration: 5 }).split('\r\n');
+
+            assert.strictEqual(lines[0], 'BEGIN:VCALENDAR');
+            assert.ok(lines.indexOf('X-WR-CALNAME:Határ út') !== -1);
+            assert.ok(lines.indexOf('X-WR-TIMEZONE:Europe/Budapest') !== -1);
+            assert.ok(lines.indexOf('DTSTART:20170714T214000Z') !== -1);
+            assert.ok(lines.indexOf('DTEND:20170714T214500Z') !== -1);
+            assert.ok(lines.indexOf('SUMMARY:50 ▶ Határ út\\, Pesterzsébet') !== -1);
+            assert.ok(lines.indexOf('UID:BKK_T2017-07-14_0:2017-07-14:BKK_F01227@futar-api') !== -1);
+            assert.ok(lines.some(line => /^DTSTAMP:\d{8}T\d{6}Z$/.test(line)));
+            assert.strictEqual(lines[lines.length - 2], 'END:VCALENDAR');
+            assert.strictEqual(lines[lines.length - 1], '');
+        });
+
+        it('a DTSTAMP a megadott óra szerinti időpont', () => {
+            const timetable = new Timetable(schedule('2017-07-14', [local('2017-07-14', '08:00', 2)]), { clock: () => Date.UTC(2017, 6, 14, 6, 30) });
+
+            assert.ok(timetable.toICal().split('\r\n').indexOf('DTSTAMP:20170714T063000Z') !== -1);
+        });
+
+        it('a 75 bájtnál hosszabb sorokat a karakterek megtartásával tördeli', () => {
+            const timetable = new Timetable(schedule('2017-07-14', [local('2017-07-14', '08:00', 2)]));
+            const name = 'Árvíztűrő tükörfúrógép '.repeat(5);
+            const ical = timetable.toICal({ name });
+            const lines = ical.split('\r\n');
+            const start = lines.findIndex(line => line.indexOf('X-WR-CALNAME:') === 0);
+
+            assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+            assert.ok(lines[start + 1].charAt(0) === ' ');
+            assert.strictEqual(ical.replace(/\r\n /g, '').split('\r\n')[start], `X-WR-CALNAME:${name}`);
+        });
+    });
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const http = require('http');
+const zlib = require('zlib');
+const { buildUrl, createHttpTransport } = require('../lib/transport');
+const { AbortError } = require('../lib/errors');
+
+const BODY = JSON.stringify({ code: 200, text: 'OK', data: { entry: { name: 'Határ út' } } });
+
+describe('transport', () => {
+    describe('buildUrl', () => {
+        it('az alap URL és az endpoint közti perjeleket egyesíti', () => {
+            assert.strictEqual(buildUrl('http://localhost/api/', '/stop.json'), 'http://localhost/api/stop.json');
+            assert.strictEqual(buildUrl('http://localhost/api', 'stop.json'), 'http://localhost/api/stop.json');
+        });
+
+        it('a nem definiált paramétereket kihagyja, a többit kódolja', () => {
+            const url = buildUrl('http://localhost/api', '/stop.json', {
+                stopId: 'BKK_F01227',
+                query: 'Határ út',
+                includeReferences: false,
+                minutesAfter: 0,
+                version: undefined,
+                key: null
+            });
+
+            assert.strictEqual(url, 'http://localhost/api/stop.json?stopId=BKK_F01227&query=Hat%C3%A1r+%C3%BAt&includeReferences=false&minutesAfter=0');
+        });
+    });
+
+    describe('createHttpTransport', () => {
+        let server;
+        let baseUrl;
+        const requests = [];
+
+        before(() => {
+            server = http.createServer((req, res) => {
+                requests.push(req);
+
+                if (req.url === '/gzip') {
+                    res.writeHead(200, { 'content-type': 'application/json', 'content-encoding': 'gzip' });
+                    res.end(zlib.gzipSync(BODY));
+                } else if (req.url === '/deflate') {
+                    res.writeHead(200, { 'content-type': 'application/json', 'content-encoding': 'deflate' });
+                    res.end(zlib.deflateSync(BODY));
+                } else if (req.url === '/slow') {
+                    // a válasz nem érkezik meg, a kérést a jelzés szakítja meg
+                } else {
+                    res.writeHead(404, { 'content-type': 'application/json' });
+                    res.end(BODY);
+                }
+            });
+            return new Promise(resolve => server.listen(0, '127.0.0.1', resolve)).then(() => {
+                baseUrl = `http://127.0.0.1:${server.address().port}`;
+            });
+        });
+
+        after(() => {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        });
+
+        it('a gzip tömörítésű választ kicsomagolja', () => {
+            return createHttpTransport()({ method: 'GET', url: `${baseUrl}/gzip`, headers: {} }).then(res => {
+                assert.strictEqual(res.status, 200);
+                assert.strictEqual(res.body, BODY);
+                assert.strictEqual(requests[requests.length - 1].headers['accept-encoding'], 'gzip, deflate');
+            });
+        });
+
+        it('a deflate tömörítésű választ kicsomagolja', () => {
+            return createHttpTransport()({ method: 'GET', url: `${baseUrl}/deflate`, headers: {} }).then(res => {
+                assert.strictEqual(res.body, BODY);
+            });
+        });
+
+        it('a hibás státuszú választ is visszaadja, a fejléceket továbbítja', () => {
+            return createHttpTransport()({ method: 'GET', url: `${baseUrl}/missing`, headers: { 'x-test': 'futar' } }).then(res => {
+                assert.strictEqual(res.status, 404);
+                assert.strictEqual(res.headers['content-type'], 'application/json');
+                assert.strictEqual(res.body, BODY);
+                assert.strictEqual(requests[requests.length - 1].headers['x-test'], 'futar');
+            });
+        });
+
+        it('a már megszakított jelzéssel a kérés el sem indul', () => {
+            const controller = new AbortController();
+            const count = requests.length;
+            controller.abort();
+
+            return assert.rejects(
+                createHttpTransport()({ method: 'GET', url: `${baseUrl}/gzip`, headers: {}, signal: controller.signal }),
+                AbortError
+            ).then(() => assert.strictEqual(requests.length, count));
+        });
+
+        it('a folyamatban lévő kérést a jelzés megszakítja', () => {
+            const controller = new AbortController();
+            const request = createHttpTransport()({ method: 'GET', url: `${baseUrl}/slow`, headers: {}, signal: controller.signal });
+            setTimeout(() => controller.abort(), 20);
+
+            return assert.rejects(request, AbortError);
+        });
+    });
+});
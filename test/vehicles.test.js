@@ -0,0 +1,138 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { URL } = require('url');
+const Futar = require('..');
+const { ValidationError } = require('../lib/errors');
+
+// 2017-07-14 01:30 budapesti idő szerint, UTC szerint még az előző nap
+const NOW = Date.UTC(2017, 6, 13, 23, 30);
+
+/**
+ * Futár kliens, mely a kérések endpointját és paramétereit gyűjti
+ */
+function client(config) {
+    const requests = [];
+    const transport = req => {
+        const url = new URL(req.url);
+        const params = {};
+        url.searchParams.forEach((value, key) => {
+            params[key] = value;
+        });
+        requests.push({ endpoint: url.pathname.split('/').pop(), params });
+
+        const body = { code: 200, text: 'OK', currentTime: NOW, data: { list: [], references: {} } };
+        return Promise.resolve({ status: 200, headers: {}, body: JSON.stringify(body) });
+    };
+    const futar = new Futar(Object.assign({ apiKey: 'titok', clock: () => NOW, transport }, config));
+    return { futar, requests };
+}
+
+describe('vehicles', () => {
+    it('a vehiclesForStop a megálló járműveit kérdezi le', () => {
+        const { futar, requests } = client();
+
+        return futar.vehiclesForStop('BKK_F01227').then(() => {
+            assert.strictEqual(requests[0].endpoint, 'vehicles-for-stop.json');
+            assert.strictEqual(requests[0].params.stopId, 'BKK_F01227');
+            assert.strictEqual(requests[0].params.ifModifiedSince, '0');
+            assert.strictEqual(requests[0].params.version, '3');
+        });
+    });
+
+    it('a régi vechiclesForStop név a vehiclesForStop metódust hívja', () => {
+        const { futar, requests } = client();
+
+        return futar.vechiclesForStop({ stopId: 'BKK_F01227', ifModifiedSince: 1500000000 }).then(() => {
+            assert.strictEqual(requests[0].endpoint, 'vehicles-for-stop.json');
+            assert.strictEqual(requests[0].params.ifModifiedSince, '1500000000');
+        });
+    });
+
+    it('a vehiclesForRoute a kapcsolódó viszonylatok kérését is átadja', () => {
+        const { futar, requests } = client();
+
+        return futar.vehiclesForRoute({ routeId: 'BKK_0050', related: true }).then(() => {
+            assert.strictEqual(requests[0].endpoint, 'vehicles-for-route.json');
+            assert.strictEqual(requests[0].params.routeId, 'BKK_0050');
+            assert.strictEqual(requests[0].params.related, 'true');
+        });
+    });
+
+    it('a vehiclesForLocation a befoglaló téglalapot középpontra és kiterjedésre alakítja', () => {
+        const { futar, requests } = client();
+
+        return futar.vehiclesForLocation({ minLat: 47.4, minLon: 19, maxLat: 47.6, maxLon: 19.2 }).then(() => {
+            const params = requests[0].params;
+
+            assert.strictEqual(requests[0].endpoint, 'vehicles-for-location.json');
+            assert.strictEqual(Number(params.lat).toFixed(6), '47.500000');
+            assert.strictEqual(Number(params.lon).toFixed(6), '19.100000');
+            assert.strictEqual(Number(params.latSpan).toFixed(6), '0.200000');
+            assert.strictEqual(Number(params.lonSpan).toFixed(6), '0.200000');
+            assert.strictEqual(params.minLat, undefined);
+        });
+    });
+
+    it('sugár megadásakor a kiterjedés nem kerül a kérésbe', () => {
+        const { futar, requests } = client();
+
+        return futar.tripsForLocation({ lat: 47.5, lon: 19.05, radius: 300, latSpan: 0.1, lonSpan: 0.1 }).then(() => {
+            assert.strictEqual(requests[0].endpoint, 'trips-for-location.json');
+            assert.strictEqual(requests[0].params.radius, '300');
+            assert.strictEqual(requests[0].params.latSpan, undefined);
+            assert.strictEqual(requests[0].params.lonSpan, undefined);
+        });
+    });
+
+    it('hiányos terület esetén ValidationError hibát ad, kérés nélkül', () => {
+        const { futar, requests } = client();
+
+        return Promise.all([
+            assert.rejects(futar.vehiclesForLocation({ lat: 47.5, lon: 19.05 }), ValidationError),
+            assert.rejects(futar.tripsForLocation({ minLat: 47.6, minLon: 19, maxLat: 47.4, maxLon: 19.2 }), ValidationError)
+        ]).then(() => assert.strictEqual(requests.length, 0));
+    });
+
+    it('a tripDetails alapértelmezett napja a budapesti idő szerinti aktuális nap', () => {
+        const { futar, requests } = client();
+
+        return futar.tripDetails({ tripId: 'BKK_B8429701', vehicleId: 'BKK_3704' }).then(() => {
+            assert.strictEqual(requests[0].endpoint, 'trip-details.json');
+            assert.strictEqual(requests[0].params.tripId, 'BKK_B8429701');
+            assert.strictEqual(requests[0].params.vehicleId, 'BKK_3704');
+            assert.strictEqual(requests[0].params.date, '20170714');
+        });
+    });
+
+    it('a tripDetails napja Date objektummal is megadható', () => {
+        const { futar, requests } = client();
+
+        return futar.tripDetails({ tripId: 'BKK_B8429701', date: new Date(Date.UTC(2017, 6, 20, 12)) }).then(() => {
+            assert.strictEqual(requests[0].params.date, '20170720');
+        });
+    });
+
+    it('a kötelező azonosító hiányában ValidationError hibát ad', () => {
+        const { futar, requests } = client();
+
+        return Promise.all([
+            assert.rejects(futar.vehiclesForStop({}), ValidationError),
+            assert.rejects(futar.vehiclesForRoute({}), ValidationError),
+            assert.rejects(futar.tripDetails({ vehicleId: 'BKK_3704' }), ValidationError)
+        ]).then(() => assert.strictEqual(requests.length, 0));
+    });
+
+    it('callback megadásakor a választ a callback kapja meg', () => {
+        const { futar } = client();
+
+        return new Promise((resolve, reject) => {
+            futar.vehiclesForRoute('BKK_0050', (err, data) => {
+                if (err) return reject(err);
+                assert.deepStrictEqual(data.list, []);
+                resolve();
+            });
+        });
+    });
+});
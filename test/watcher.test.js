@@ -0,0 +1,82 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { StopWatcher } = require('../lib/watcher');
+
+/**
+ * Az első lekérdezés paraméterei a megadott beállításokkal
+ */
+function firstRequest(opts) {
+    return new Promise((resolve, reject) => {
+        const futar = {
+            config: { clock: Date.now },
+            arrivalsAndDeparturesForStop: params => {
+                resolve(params);
+                return Promise.resolve({ entry: { stopTimes: [] }, references: {} });
+            }
+        };
+        const watcher = new StopWatcher(futar, 'BKK_F01227', opts);
+        watcher.on('error', reject);
+        watcher.on('update', () => watcher.stop());
+    });
+}
+
+/**
+ * A figyelő eseményei a megadott válaszok egymás utáni lekérdezésekor
+ */
+function events(responses) {
+    return new Promise((resolve, reject) => {
+        const futar = {
+            config: { clock: Date.now },
+            arrivalsAndDeparturesForStop: () => Promise.resolve(responses.shift())
+        };
+        const result = [];
+        const watcher = new StopWatcher(futar, 'BKK_F01227', { interval: 1, minInterval: 1, maxInterval: 1 });
+        watcher.on('error', reject);
+        watcher.on('alertsChanged', change => result.push(change));
+        watcher.on('update', () => {
+            if (responses.length) return;
+            watcher.stop();
+            resolve(result);
+        });
+    });
+}
+
+describe('watcher', () => {
+    describe('StopWatcher', () => {
+        it('az alapértelmezett időablak az arrivalsAndDeparturesForStop sémájából származik', () => {
+            return firstRequest().then(params => {
+                assert.strictEqual(params.minutesBefore, 0);
+                assert.strictEqual(params.minutesAfter, 30);
+            });
+        });
+
+        it('a 0 perces időablak nem cserélődik le az alapértelmezettre', () => {
+            return firstRequest({ minutesBefore: 0, minutesAfter: 0 }).then(params => {
+                assert.strictEqual(params.minutesBefore, 0);
+                assert.strictEqual(params.minutesAfter, 0);
+            });
+        });
+
+        it('az első lekérdezéskor már meglévő forgalmi változások nem váltanak ki alertsChanged eseményt', () => {
+            return events([
+                { entry: { stopTimes: [], alertIds: ['BKK_1'] }, references: {} },
+                { entry: { stopTimes: [], alertIds: ['BKK_1'] }, references: {} }
+            ]).then(changes => assert.deepStrictEqual(changes, []));
+        });
+
+        it('a későbbi lekérdezések különbségeit jelzi', () => {
+            return events([
+                { entry: { stopTimes: [], alertIds: ['BKK_1'] }, references: {} },
+                { entry: { stopTimes: [], alertIds: ['BKK_1', 'BKK_2'] }, references: {} },
+                { entry: { stopTimes: [] }, references: {} }
+            ]).then(changes => {
+                assert.deepStrictEqual(changes, [
+                    { added: ['BKK_2'], removed: [], alertIds: ['BKK_1', 'BKK_2'] },
+                    { added: [], removed: ['BKK_1', 'BKK_2'], alertIds: [] }
+                ]);
+            });
+        });
+    });
+});